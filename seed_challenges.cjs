@@ -5,25 +5,19 @@
 //   2) node seed_challenges.cjs            # upsert only
 //   3) PRUNE=soft node seed_challenges.cjs # mark missing docs inactive
 //   4) PRUNE=delete node seed_challenges.cjs # delete missing docs
+//   5) node seed_challenges.cjs --dry-run  # (or DRY_RUN=1) validate + report only
 // Notes: uses batched writes; respects createdAt on existing docs.
+//        Every run validates the whole catalog first (server/catalogSchema.js) and writes
+//        nothing if any entry has errors; --dry-run needs no credentials.
+//        Entries carry a stable "id"; day-to-day edits can go through the admin API
+//        (/api/admin/catalog, see server/catalogAdmin.js), which also keeps revisions.
 
 const fs = require("fs");
 const path = require("path");
-const admin = require("firebase-admin");
-
-const serviceAccount = require("./serviceAccountKey.json");
-admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-const db = admin.firestore();
 
 const BATCH_SIZE = 400;
-const PRUNE = (process.env.PRUNE || "").toLowerCase(); 
-
-function makeIdFromTitle(title) {
-  return String(title)
-    .toLowerCase()
-    .replace(/\s+/g, "_")
-    .replace(/[^a-z0-9_]/g, "");
-}
+const PRUNE = (process.env.PRUNE || "").toLowerCase();
+const DRY_RUN = process.argv.includes("--dry-run") || /^(1|true|yes)$/i.test(process.env.DRY_RUN || "");
 
 async function commitBatch(batch, pendingCount) {
   if (pendingCount === 0) return 0;
@@ -44,18 +38,24 @@ async function main() {
     process.exit(1);
   }
 
-  // Build desired set
+  // Validate everything before touching Firestore (shared with the admin API)
+  const { validateCatalog, formatCatalogReport } = await import("./server/catalogSchema.js");
+  const report = validateCatalog(input);
+  console.log(formatCatalogReport(report, path.basename(file)));
+  if (!report.ok) {
+    console.error("\nNothing written. Fix the errors above and run again.");
+    process.exit(1);
+  }
+
+  // Build desired set (ids are unique and present after validation)
   const desired = new Map(); // id -> item
   for (const item of input) {
-    const title = String(item.title || "").trim();
-    if (!title) continue;
-    const id = makeIdFromTitle(title);
-    desired.set(id, {
-      title,
-      description: String(item.description || "").trim(),
-      category: item.category || "habits",
-      difficulty: item.difficulty || "easy",
-      points: Number(item.points || 10),
+    desired.set(String(item.id), {
+      title: item.title.trim(),
+      description: item.description.trim(),
+      category: item.category,
+      difficulty: item.difficulty,
+      points: item.points,
       active: item.active === false ? false : true,
       rand: typeof item.rand === "number" ? item.rand : Math.random(),
       tags: Array.isArray(item.tags) ? item.tags : [],
@@ -63,9 +63,21 @@ async function main() {
       source_org: item.source_org || null,
       source: item.source || null,
       coachPrompt: item.coachPrompt || null,
+      // multi-day: { type: "span", days } or { type: "recurring", days, weekdays[] }
+      schedule: item.schedule || null,
     });
   }
 
+  if (DRY_RUN) {
+    console.log(`\n🔎 Dry run: ${desired.size} entries would be upserted${PRUNE ? ` (PRUNE=${PRUNE} not evaluated)` : ""}. Nothing written.`);
+    process.exit(0);
+  }
+
+  const admin = require("firebase-admin");
+  const serviceAccount = require("./serviceAccountKey.json");
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  const db = admin.firestore();
+
   // Read existing docs to support pruning and preserve createdAt
   const colRef = db.collection("challenges_catalog");
   const snap = await colRef.get();
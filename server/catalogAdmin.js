@@ -0,0 +1,267 @@
+/**
+ * server/catalogAdmin.js
+ * Admin-only REST API for challenges_catalog (replaces hand-editing + reseeding).
+ * - Access: Firebase custom claim { admin: true } (grant with `npm run admin:grant -- <uid>`).
+ * - Ids are stable: given explicitly or derived once from the title at creation and never
+ *   changed afterwards, so Challenge.catalog_id references survive title edits.
+ * - Entries are checked with the shared rules in server/catalogSchema.js (same as the seeder),
+ *   and no two entries may have titles with the same slug (makeIdFromTitle).
+ * - Import never re-activates an entry unless the item sets `active` itself.
+ * - Every write bumps `rev` and appends a revision doc:
+ *   challenges_catalog/{id}/revisions/{rev} { rev, action, before, after, changed[], by, at }.
+ * - Routes: GET /admin/catalog, GET /admin/catalog/:id/revisions, POST /admin/catalog,
+ *   PATCH /admin/catalog/:id, POST /admin/catalog/:id/deactivate, POST /admin/catalog/import.
+ * Used by server/index.js.
+ */
+
+import express from "express";
+import { validateCatalogEntry, makeIdFromTitle } from "./catalogSchema.js";
+
+const EDITABLE = ["title", "description", "category", "difficulty", "points", "source", "source_org", "coachPrompt", "tags", "schedule", "active"];
+const IMPORT_MAX = 200;
+const ID_RE = /^[a-z0-9_]{3,80}$/;
+
+/**
+ * Validate (server/catalogSchema.js rules) and normalize an entry, or a partial patch when
+ * `partial`. The id is checked by the routes. Returns { data, errors[] }; data only holds
+ * EDITABLE fields that were given.
+ */
+export function normalizeCatalogItem(input = {}, { partial = false } = {}) {
+  const data = {};
+  const has = (k) => input[k] !== undefined;
+  const str = (v) => (typeof v === "string" ? v.trim() : "");
+  const { errors } = validateCatalogEntry({ ...input, id: undefined }, { partial: true });
+  if (!partial) {
+    // Full entries: everything but the id (derived from the title when missing) is required.
+    for (const k of ["title", "description", "category", "difficulty", "points", "source", "coachPrompt"]) {
+      if (!has(k)) errors.push(`${k} is required`);
+    }
+  }
+
+  if (has("title") || !partial) data.title = str(input.title);
+  if (has("description") || !partial) data.description = str(input.description);
+  if (has("category") || !partial) data.category = input.category;
+  if (has("difficulty") || !partial) data.difficulty = input.difficulty;
+  if (has("points") || !partial) data.points = Number(input.points);
+  if (has("source") || !partial) data.source = str(input.source) || null;
+  if (has("source_org") || !partial) data.source_org = str(input.source_org) || null;
+  if (has("coachPrompt") || !partial) data.coachPrompt = str(input.coachPrompt) || null;
+  if (has("tags")) data.tags = Array.isArray(input.tags) ? input.tags.map(String) : [];
+  if (has("schedule")) data.schedule = input.schedule || null;
+  if (has("active")) data.active = input.active !== false;
+  if (!partial && !has("active")) data.active = true;
+
+  return { data, errors };
+}
+
+// Id of another entry whose title has the same slug as `title`, or null
+function slugOwner(docs, title, exceptId) {
+  const slug = makeIdFromTitle(title || "");
+  const hit = docs.find((d) => d.id !== exceptId && makeIdFromTitle(d.data()?.title || "") === slug);
+  return slug && hit ? hit.id : null;
+}
+const slugTakenError = (title, owner) => `Title "${title}" has the same slug as entry "${owner}"`;
+
+function changedFields(before = {}, after = {}) {
+  return EDITABLE.filter((k) => JSON.stringify(before[k] ?? null) !== JSON.stringify(after[k] ?? null));
+}
+function pick(obj = {}) {
+  return Object.fromEntries(EDITABLE.filter((k) => obj[k] !== undefined).map((k) => [k, obj[k]]));
+}
+
+// Write the entry + its next revision inside `tx`. Returns the revision record.
+function writeWithRevision(admin, tx, ref, beforeSnap, patch, action, uid) {
+  const FieldValue = admin.firestore.FieldValue;
+  const before = beforeSnap.exists ? beforeSnap.data() : null;
+  const after = { ...(before || {}), ...patch };
+  const rev = (before?.rev || 0) + 1;
+  const changed = changedFields(before || {}, after);
+
+  tx.set(
+    ref,
+    {
+      ...patch,
+      rev,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: uid,
+      ...(before ? {} : { createdAt: FieldValue.serverTimestamp(), rand: Math.random() }),
+    },
+    { merge: true }
+  );
+  const record = { rev, action, before: before ? pick(before) : null, after: pick(after), changed, by: uid };
+  tx.set(ref.collection("revisions").doc(String(rev).padStart(6, "0")), { ...record, at: FieldValue.serverTimestamp() });
+  return record;
+}
+
+/** Only users whose ID token carries the `admin` custom claim. */
+export function requireAdmin(req, res, next) {
+  if (req.claims?.admin === true) return next();
+  return res.status(403).json({ error: "Admin only" });
+}
+
+/**
+ * Build the catalog admin router (api is already auth-protected in index.js).
+ * Expects req.uid and req.claims (set by requireFirebaseAuth).
+ */
+export function buildCatalogAdminRouter(admin, fdb) {
+  const router = express.Router();
+  const col = fdb.collection("challenges_catalog");
+  router.use("/admin/catalog", requireAdmin);
+
+  /* List all entries, inactive included */
+  router.get("/admin/catalog", async (_req, res) => {
+    try {
+      const snap = await col.limit(1000).get();
+      const items = snap.docs.map((d) => ({ id: d.id, ...d.data() })).sort((a, b) => a.id.localeCompare(b.id));
+      res.json({ items });
+    } catch (e) {
+      console.error("GET /admin/catalog error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Revision history, newest first */
+  router.get("/admin/catalog/:id/revisions", async (req, res) => {
+    try {
+      const snap = await col.doc(req.params.id).collection("revisions").orderBy("rev", "desc").limit(100).get();
+      res.json({ items: snap.docs.map((d) => d.data()) });
+    } catch (e) {
+      console.error("GET /admin/catalog/:id/revisions error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Create one entry */
+  router.post("/admin/catalog", async (req, res) => {
+    try {
+      const { data, errors } = normalizeCatalogItem(req.body || {});
+      if (errors.length) return res.status(400).json({ error: "Invalid entry", details: errors });
+      const id = String(req.body?.id || makeIdFromTitle(data.title));
+      if (!ID_RE.test(id)) return res.status(400).json({ error: "id must be 3–80 chars of a-z, 0-9, _" });
+
+      const ref = col.doc(id);
+      const out = await fdb.runTransaction(async (tx) => {
+        const [snap, all] = await Promise.all([tx.get(ref), tx.get(col)]);
+        if (snap.exists) return { status: 409, error: `Entry "${id}" already exists` };
+        const owner = slugOwner(all.docs, data.title, id);
+        if (owner) return { status: 409, error: slugTakenError(data.title, owner) };
+        return { revision: writeWithRevision(admin, tx, ref, snap, data, "create", req.uid) };
+      });
+      if (out.error) return res.status(out.status).json({ error: out.error });
+      res.status(201).json({ id, ...out.revision.after, rev: out.revision.rev });
+    } catch (e) {
+      console.error("POST /admin/catalog error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Edit fields (id never changes) */
+  router.patch("/admin/catalog/:id", async (req, res) => {
+    try {
+      const { data, errors } = normalizeCatalogItem(req.body || {}, { partial: true });
+      if (errors.length) return res.status(400).json({ error: "Invalid entry", details: errors });
+      if (!Object.keys(data).length) return res.status(400).json({ error: "Nothing to update" });
+
+      const ref = col.doc(req.params.id);
+      const out = await fdb.runTransaction(async (tx) => {
+        const [snap, all] = await Promise.all([tx.get(ref), data.title !== undefined ? tx.get(col) : null]);
+        if (!snap.exists) return { status: 404, error: "Entry not found" };
+        const owner = all && slugOwner(all.docs, data.title, req.params.id);
+        if (owner) return { status: 409, error: slugTakenError(data.title, owner) };
+        return { revision: writeWithRevision(admin, tx, ref, snap, data, "update", req.uid) };
+      });
+      if (out.error) return res.status(out.status).json({ error: out.error });
+      res.json({ id: req.params.id, ...out.revision.after, rev: out.revision.rev, changed: out.revision.changed });
+    } catch (e) {
+      console.error("PATCH /admin/catalog/:id error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Deactivate (kept for existing Challenge docs; no longer recommended) */
+  router.post("/admin/catalog/:id/deactivate", async (req, res) => {
+    try {
+      const ref = col.doc(req.params.id);
+      const out = await fdb.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return { status: 404, error: "Entry not found" };
+        if (snap.data()?.active === false) return { revision: null };
+        return { revision: writeWithRevision(admin, tx, ref, snap, { active: false }, "deactivate", req.uid) };
+      });
+      if (out.error) return res.status(out.status).json({ error: out.error });
+      res.json({ id: req.params.id, active: false, rev: out.revision?.rev ?? null });
+    } catch (e) {
+      console.error("POST /admin/catalog/:id/deactivate error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /*
+   * Bulk import: { items: [...], prune?: "soft", dryRun?: boolean }.
+   * Upserts by id (explicit, else derived from the title for new entries); unchanged entries
+   * get no revision. Titles must keep unique slugs, within the import and against other
+   * entries. Existing entries keep their `active` flag unless the item sets it.
+   * prune "soft" deactivates entries missing from the import.
+   */
+  router.post("/admin/catalog/import", async (req, res) => {
+    try {
+      const items = Array.isArray(req.body?.items) ? req.body.items : null;
+      if (!items?.length) return res.status(400).json({ error: "items[] required" });
+      if (items.length > IMPORT_MAX) return res.status(400).json({ error: `At most ${IMPORT_MAX} items per import` });
+
+      const existingDocs = (await col.get()).docs;
+      const existing = new Map(existingDocs.map((d) => [d.id, d]));
+      const invalid = [];
+      const desired = new Map();
+      const slugs = new Map(); // slug → id, within this import
+      items.forEach((raw, i) => {
+        const { data, errors } = normalizeCatalogItem(raw);
+        const id = String(raw?.id || makeIdFromTitle(data.title || ""));
+        if (!ID_RE.test(id)) errors.push("invalid id");
+        if (desired.has(id)) errors.push(`duplicate id "${id}"`);
+        const slug = makeIdFromTitle(data.title || "");
+        if (slugs.has(slug)) errors.push(`title has the same slug as item "${slugs.get(slug)}"`);
+        else slugs.set(slug, id);
+        if (existing.has(id) && raw?.active === undefined) delete data.active;
+        if (errors.length) invalid.push({ index: i, id, errors });
+        else desired.set(id, { index: i, data });
+      });
+      // Entries left out of the import keep their titles, so their slugs stay taken
+      const untouched = existingDocs.filter((d) => !desired.has(d.id));
+      for (const [id, { index, data }] of desired) {
+        const owner = slugOwner(untouched, data.title, id);
+        if (owner) invalid.push({ index, id, errors: [slugTakenError(data.title, owner)] });
+      }
+      if (invalid.length) return res.status(400).json({ error: "Invalid items", details: invalid });
+
+      const plan = { created: [], updated: [], unchanged: [], deactivated: [] };
+      for (const [id, { data }] of desired) {
+        const snap = existing.get(id);
+        if (!snap) plan.created.push(id);
+        else if (changedFields(snap.data(), { ...snap.data(), ...data }).length) plan.updated.push(id);
+        else plan.unchanged.push(id);
+      }
+      if (req.body?.prune === "soft") {
+        for (const [id, snap] of existing) if (!desired.has(id) && snap.data()?.active !== false) plan.deactivated.push(id);
+      }
+      if (req.body?.dryRun) return res.json({ dryRun: true, ...plan });
+
+      // One small transaction per entry keeps each revision consistent with its write.
+      const write = (id, patch, action) =>
+        fdb.runTransaction(async (tx) => {
+          const ref = col.doc(id);
+          writeWithRevision(admin, tx, ref, await tx.get(ref), patch, action, req.uid);
+        });
+      for (const id of plan.created) await write(id, desired.get(id).data, "import");
+      for (const id of plan.updated) await write(id, desired.get(id).data, "import");
+      for (const id of plan.deactivated) await write(id, { active: false }, "deactivate");
+
+      res.json({ dryRun: false, ...plan });
+    } catch (e) {
+      console.error("POST /admin/catalog/import error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
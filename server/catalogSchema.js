@@ -0,0 +1,163 @@
+/**
+ * server/catalogSchema.js
+ * Schema checks for challenge catalog entries (challenges_catalog.json and the admin API).
+ * - validateCatalogEntry(): errors (block seeding/saving) and warnings (worth a look).
+ * - validateCatalog(): every entry + cross-entry checks (duplicate ids and title slugs).
+ * - formatCatalogReport(): readable text report for the terminal.
+ * Used by seed_challenges.cjs (validation + --dry-run) and server/catalogAdmin.js.
+ */
+
+export const CATALOG_CATEGORIES = ["habits", "mental", "social", "physical"];
+export const CATALOG_DIFFICULTIES = ["easy", "medium", "hard"];
+export const CATALOG_LIMITS = {
+  id: [3, 80],
+  title: [3, 80],
+  description: [10, 240],
+  coachPrompt: [10, 300],
+  source_org: [2, 60],
+  points: [5, 100],
+  scheduleDays: [2, 30],
+};
+const KNOWN_FIELDS = new Set([
+  "id", "title", "description", "category", "difficulty", "points", "source", "source_org",
+  "coachPrompt", "tags", "schedule", "active", "rand",
+]);
+const TYPICAL_POINTS = { easy: 10, medium: 20, hard: 30 };
+const ID_RE = /^[a-z0-9_]+$/;
+
+// Same derivation as the seeder's fallback; used to catch titles that collapse together.
+export function makeIdFromTitle(title) {
+  return String(title).toLowerCase().replace(/\s+/g, "_").replace(/[^a-z0-9_]/g, "");
+}
+
+function checkLength(errors, field, value, [min, max]) {
+  const s = String(value ?? "").trim();
+  if (!s) errors.push(`${field} is required`);
+  else if (s.length < min || s.length > max) errors.push(`${field} must be ${min}–${max} characters (has ${s.length})`);
+}
+
+function checkSchedule(errors, schedule) {
+  if (schedule == null) return;
+  const [min, max] = CATALOG_LIMITS.scheduleDays;
+  if (typeof schedule !== "object") return errors.push("schedule must be an object");
+  if (!["span", "recurring"].includes(schedule.type)) errors.push('schedule.type must be "span" or "recurring"');
+  if (!Number.isInteger(schedule.days) || schedule.days < min || schedule.days > max) {
+    errors.push(`schedule.days must be an integer ${min}–${max}`);
+  }
+  if (schedule.type === "recurring") {
+    const wd = schedule.weekdays;
+    if (!Array.isArray(wd) || !wd.length || wd.some((w) => !Number.isInteger(w) || w < 0 || w > 6)) {
+      errors.push("schedule.weekdays must be a non-empty list of 0–6 (0 = Sunday)");
+    }
+  }
+}
+
+/**
+ * Check one entry. Pass { partial: true } for patches (only the given fields are checked).
+ * Returns { errors: string[], warnings: string[] }.
+ */
+export function validateCatalogEntry(item, { partial = false } = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!item || typeof item !== "object" || Array.isArray(item)) return { errors: ["entry must be an object"], warnings };
+  const given = (k) => !partial || item[k] !== undefined;
+
+  if (!partial || item.id !== undefined) {
+    if (item.id === undefined) errors.push("id is required (stable id, e.g. the title slug)");
+    else {
+      checkLength(errors, "id", item.id, CATALOG_LIMITS.id);
+      if (!ID_RE.test(String(item.id))) errors.push("id may only contain a-z, 0-9 and _");
+    }
+  }
+  if (given("title")) checkLength(errors, "title", item.title, CATALOG_LIMITS.title);
+  if (given("description")) checkLength(errors, "description", item.description, CATALOG_LIMITS.description);
+  if (given("coachPrompt")) checkLength(errors, "coachPrompt", item.coachPrompt, CATALOG_LIMITS.coachPrompt);
+  if (given("category") && !CATALOG_CATEGORIES.includes(item.category)) {
+    errors.push(`category must be one of ${CATALOG_CATEGORIES.join(", ")} (got ${JSON.stringify(item.category ?? null)})`);
+  }
+  if (given("difficulty") && !CATALOG_DIFFICULTIES.includes(item.difficulty)) {
+    errors.push(`difficulty must be one of ${CATALOG_DIFFICULTIES.join(", ")} (got ${JSON.stringify(item.difficulty ?? null)})`);
+  }
+  if (given("points")) {
+    const [min, max] = CATALOG_LIMITS.points;
+    if (!Number.isInteger(item.points) || item.points < min || item.points > max) {
+      errors.push(`points must be an integer ${min}–${max} (got ${JSON.stringify(item.points ?? null)})`);
+    }
+  }
+  if (given("source")) {
+    let url = null;
+    try {
+      url = new URL(String(item.source ?? ""));
+    } catch {
+      url = null;
+    }
+    if (!url) errors.push("source must be a valid URL");
+    else if (url.protocol !== "https:") errors.push("source must use https");
+  }
+  if (item.source_org !== undefined && item.source_org !== null) {
+    checkLength(errors, "source_org", item.source_org, CATALOG_LIMITS.source_org);
+  } else if (!partial) {
+    warnings.push("source_org is missing");
+  }
+  if (item.tags !== undefined && (!Array.isArray(item.tags) || item.tags.some((t) => typeof t !== "string"))) {
+    errors.push("tags must be a list of strings");
+  }
+  if (item.active !== undefined && typeof item.active !== "boolean") errors.push("active must be true or false");
+  checkSchedule(errors, item.schedule);
+
+  const unknown = Object.keys(item).filter((k) => !KNOWN_FIELDS.has(k));
+  if (unknown.length) warnings.push(`unknown field(s): ${unknown.join(", ")}`);
+  const typical = TYPICAL_POINTS[item.difficulty];
+  if (!partial && typical && !item.schedule && Number.isInteger(item.points) && item.points !== typical) {
+    warnings.push(`points ${item.points} differs from the usual ${typical} for ${item.difficulty}`);
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Validate a whole catalog array.
+ * Returns { ok, total, errorCount, warningCount, entries: [{ index, id, title, errors, warnings }] }
+ * where entries only lists rows with findings.
+ */
+export function validateCatalog(items) {
+  if (!Array.isArray(items)) {
+    return { ok: false, total: 0, errorCount: 1, warningCount: 0, entries: [{ index: -1, id: null, title: null, errors: ["catalog must be a JSON array"], warnings: [] }] };
+  }
+  const rows = items.map((item, index) => ({ index, id: item?.id ?? null, title: item?.title ?? null, ...validateCatalogEntry(item) }));
+
+  const firstById = new Map();
+  const firstBySlug = new Map();
+  rows.forEach((r) => {
+    if (r.id) {
+      if (firstById.has(r.id)) r.errors.push(`duplicate id "${r.id}" (also entry #${firstById.get(r.id) + 1})`);
+      else firstById.set(r.id, r.index);
+    }
+    const slug = r.title ? makeIdFromTitle(r.title) : "";
+    if (slug) {
+      if (firstBySlug.has(slug)) r.errors.push(`title collapses to the same slug "${slug}" as entry #${firstBySlug.get(slug) + 1}`);
+      else firstBySlug.set(slug, r.index);
+    }
+  });
+
+  const entries = rows.filter((r) => r.errors.length || r.warnings.length);
+  const errorCount = rows.reduce((a, r) => a + r.errors.length, 0);
+  const warningCount = rows.reduce((a, r) => a + r.warnings.length, 0);
+  return { ok: errorCount === 0, total: items.length, errorCount, warningCount, entries };
+}
+
+/** Plain-text report, one block per entry with findings. */
+export function formatCatalogReport(result, file = "challenges_catalog.json") {
+  const lines = [`Catalog check: ${file} (${result.total} entries)`];
+  for (const e of result.entries) {
+    lines.push("", `#${e.index + 1} ${e.id || "(no id)"}${e.title ? ` — "${e.title}"` : ""}`);
+    e.errors.forEach((m) => lines.push(`  ✗ ${m}`));
+    e.warnings.forEach((m) => lines.push(`  ⚠ ${m}`));
+  }
+  lines.push(
+    "",
+    result.ok
+      ? `✅ No errors (${result.warningCount} warning${result.warningCount === 1 ? "" : "s"}).`
+      : `❌ ${result.errorCount} error${result.errorCount === 1 ? "" : "s"}, ${result.warningCount} warning${result.warningCount === 1 ? "" : "s"}.`
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,232 @@
+/**
+ * server/challenges.js
+ * Server-side persistence for the daily challenge set.
+ * - One marker doc per user and day: users/{uid}/challengeDays/{YYYY-MM-DD}
+ *   { date, challengeIds[], createdAt }. Whoever creates it first owns the day's set,
+ *   so two devices (or a double click) can't generate two sets.
+ * - Challenge docs are written in the same transaction, with points/difficulty/category
+ *   read from challenges_catalog (never from the client).
+ * - Catalog items with a `schedule` become multi-day challenges (planSchedule): they carry
+ *   start_date/end_date/target and are checked in per day until completed.
+ * - Swaps: an uncompleted challenge of the day can be replaced (MAX_SWAPS_PER_DAY); the
+ *   swap is stored as an implicit negative signal { signal: "swap" } in challengePrefs.
+ * Used by server/index.js (POST /api/ai/generate-challenges, POST /api/challenges/:id/swap).
+ */
+
+import { dayKey, daysBetweenKeys, addDaysToKey, weekdayOfKey } from "./timezone.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const dayMarkerRef = (fdb, uid, date) =>
+  fdb.collection("users").doc(uid).collection("challengeDays").doc(date);
+
+/**
+ * Day key for a generate request. Clients send their day key (in the user's stored time
+ * zone); accept it when it is within a day of today in that zone (clock skew around
+ * midnight), otherwise use today in that zone.
+ */
+export function resolveChallengeDate(requested, timeZone = "UTC", now = new Date()) {
+  const today = dayKey(now, timeZone);
+  if (typeof requested !== "string" || !ISO_DATE.test(requested)) return today;
+  return Math.abs(daysBetweenKeys(today, requested)) <= 1 ? requested : today;
+}
+
+function toChallengeDoc(c) {
+  return { id: c.id, ...c.data() };
+}
+
+/**
+ * Normalize a catalog `schedule` and lay it out from startDate.
+ * - { type: "span", days: N }: check in on N consecutive days.
+ * - { type: "recurring", days: N, weekdays: [0-6] }: N check-ins on the given weekdays
+ *   (0 = Sunday), e.g. "walk after lunch every weekday" → weekdays [1..5], days 5.
+ * Returns null for one-shot challenges, else { schedule, start_date, end_date, target }.
+ */
+export function planSchedule(raw, startDate) {
+  if (!raw || typeof raw !== "object") return null;
+  const days = Math.round(Number(raw.days));
+  if (!Number.isFinite(days) || days < 2 || days > 30) return null;
+
+  if (raw.type === "recurring") {
+    const weekdays = [...new Set((raw.weekdays || []).map(Number))].filter((w) => w >= 0 && w <= 6).sort();
+    if (!weekdays.length) return null;
+    // end on the N-th matching weekday counted from the start date
+    let end = startDate;
+    for (let seen = 0, d = startDate; seen < days; d = addDaysToKey(d, 1)) {
+      if (weekdays.includes(weekdayOfKey(d))) {
+        seen += 1;
+        end = d;
+      }
+    }
+    return { schedule: { type: "recurring", days, weekdays }, start_date: startDate, end_date: end, target: days };
+  }
+  return { schedule: { type: "span", days }, start_date: startDate, end_date: addDaysToKey(startDate, days - 1), target: days };
+}
+
+// Challenge doc for a catalog item; points always come from the catalog.
+function challengeFromCatalog(snap, uid, date, recommendation = null) {
+  const c = snap.data();
+  const plan = planSchedule(c.schedule, date);
+  return {
+    title: c.title,
+    description: c.description || "",
+    category: c.category || c.type || null,
+    difficulty: c.difficulty || null,
+    points: Number(c.points) || 10,
+    user_id: uid,
+    due_date: date,
+    completed: false,
+    created_date: new Date().toISOString(),
+    catalog_id: snap.id,
+    origin: "daily",
+    source: c.source || c.source_url || null,
+    source_org: c.source_org || c.source_name || null,
+    coachPrompt: c.coachPrompt || c.coach_prompt || null,
+    recommendation, // { score, breakdown, reason } from server/recommender.js
+    // multi-day: progress is tracked with per-day check-ins (see checkInChallenge on the client)
+    ...(plan ? { multi_day: true, ...plan, checkins: {}, progress: 0 } : {}),
+  };
+}
+
+/** The day's persisted set, or null when it hasn't been generated yet. */
+export async function getDailyChallenges(fdb, uid, date) {
+  const marker = await dayMarkerRef(fdb, uid, date).get();
+  if (!marker.exists) return null;
+  const ids = marker.data()?.challengeIds || [];
+  if (!ids.length) return [];
+  const snaps = await fdb.getAll(...ids.map((id) => fdb.collection("Challenge").doc(id)));
+  return snaps.filter((s) => s.exists).map(toChallengeDoc);
+}
+
+/**
+ * Create the day's Challenge docs for the chosen catalog ids, atomically with the marker.
+ * Returns { created, items }; created is false when another request already made the set.
+ */
+export async function persistDailyChallenges(admin, fdb, uid, date, catalogIds, recommendations = {}) {
+  const markerRef = dayMarkerRef(fdb, uid, date);
+  const catalogRefs = catalogIds.map((id) => fdb.collection("challenges_catalog").doc(id));
+
+  return fdb.runTransaction(async (tx) => {
+    const marker = await tx.get(markerRef);
+    if (marker.exists) {
+      const ids = marker.data()?.challengeIds || [];
+      const snaps = ids.length ? await tx.getAll(...ids.map((id) => fdb.collection("Challenge").doc(id))) : [];
+      return { created: false, items: snaps.filter((s) => s.exists).map(toChallengeDoc) };
+    }
+
+    const catalog = (await tx.getAll(...catalogRefs)).filter((s) => s.exists && s.data()?.active !== false);
+    if (!catalog.length) throw new Error("Chosen challenges are no longer in the catalog.");
+
+    const items = catalog.map((snap) => {
+      const ref = fdb.collection("Challenge").doc();
+      const data = challengeFromCatalog(snap, uid, date, recommendations[snap.id] || null);
+      tx.set(ref, data);
+      return { id: ref.id, ...data };
+    });
+
+    tx.set(markerRef, {
+      date,
+      challengeIds: items.map((i) => i.id),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { created: true, items };
+  });
+}
+
+export const MAX_SWAPS_PER_DAY = 2;
+const DISLIKE_WINDOW_DAYS = 30;
+
+/** Catalog ids the user disliked or swapped away in the last DISLIKE_WINDOW_DAYS. */
+export async function getRecentlyRejectedCatalogIds(fdb, uid, now = Date.now()) {
+  const cutoff = now - DISLIKE_WINDOW_DAYS * 86400000;
+  const snap = await fdb.collection("users").doc(uid).collection("challengePrefs").limit(500).get();
+  const ids = new Set();
+  for (const d of snap.docs) {
+    const p = d.data() || {};
+    if (!p.catalog_id) continue;
+    if (p.preference !== "dislike" && p.signal !== "swap") continue;
+    const at = p.updatedAt?.toMillis?.() ?? 0;
+    if (at >= cutoff) ids.add(String(p.catalog_id));
+  }
+  return ids;
+}
+
+/**
+ * Check that a challenge can be swapped and collect what the recommender must avoid.
+ * Returns { status, error } or { challenge, excludeCatalogIds, swapsLeft }.
+ */
+export async function prepareChallengeSwap(fdb, uid, challengeId, date) {
+  const snap = await fdb.collection("Challenge").doc(challengeId).get();
+  if (!snap.exists || snap.data()?.user_id !== uid) return { status: 404, error: "Challenge not found" };
+  const challenge = { id: snap.id, ...snap.data() };
+  if (challenge.completed) return { status: 409, error: "Completed challenges can't be swapped." };
+  if (challenge.due_date !== date) return { status: 409, error: "Only today's challenges can be swapped." };
+  if (challenge.progress > 0) return { status: 409, error: "Challenges with check-ins can't be swapped." };
+
+  const marker = await dayMarkerRef(fdb, uid, date).get();
+  const m = marker.data() || {};
+  if (!marker.exists || !(m.challengeIds || []).includes(challengeId)) {
+    return { status: 409, error: "Only generated daily challenges can be swapped." };
+  }
+  const swapsLeft = MAX_SWAPS_PER_DAY - (m.swapCount || 0);
+  if (swapsLeft <= 0) return { status: 429, error: `You can swap up to ${MAX_SWAPS_PER_DAY} challenges a day.` };
+
+  const current = await fdb.getAll(...m.challengeIds.map((id) => fdb.collection("Challenge").doc(id)));
+  const excludeCatalogIds = await getRecentlyRejectedCatalogIds(fdb, uid);
+  current.forEach((s) => s.exists && s.data()?.catalog_id && excludeCatalogIds.add(String(s.data().catalog_id)));
+  // earlier swaps today shouldn't come straight back either
+  (m.swaps || []).forEach((s) => s.from && excludeCatalogIds.add(String(s.from)));
+
+  return { challenge, excludeCatalogIds, swapsLeft };
+}
+
+/**
+ * Replace one uncompleted challenge of the day's set with a catalog item, atomically:
+ * delete the old doc, create the new one in the same slot, bump the day's swap count and
+ * record the swap as an implicit negative signal in users/{uid}/challengePrefs/{oldId}.
+ * Returns { status, error } or { item, swapsLeft }.
+ */
+export async function swapDailyChallenge(admin, fdb, uid, date, challengeId, catalogId, recommendation = null) {
+  const FieldValue = admin.firestore.FieldValue;
+  const markerRef = dayMarkerRef(fdb, uid, date);
+  const oldRef = fdb.collection("Challenge").doc(challengeId);
+  const catRef = fdb.collection("challenges_catalog").doc(catalogId);
+  const prefRef = fdb.collection("users").doc(uid).collection("challengePrefs").doc(challengeId);
+
+  return fdb.runTransaction(async (tx) => {
+    const [marker, old, cat] = await tx.getAll(markerRef, oldRef, catRef);
+    const m = marker.data() || {};
+    const ids = m.challengeIds || [];
+    if (!old.exists || old.data()?.user_id !== uid || !ids.includes(challengeId)) {
+      return { status: 404, error: "Challenge not found" };
+    }
+    if (old.data().completed) return { status: 409, error: "Completed challenges can't be swapped." };
+    if ((m.swapCount || 0) >= MAX_SWAPS_PER_DAY) {
+      return { status: 429, error: `You can swap up to ${MAX_SWAPS_PER_DAY} challenges a day.` };
+    }
+    if (!cat.exists) return { status: 409, error: "Replacement is no longer in the catalog." };
+
+    const o = old.data();
+    const newRef = fdb.collection("Challenge").doc();
+    const item = { ...challengeFromCatalog(cat, uid, date, recommendation), swapped_from: o.catalog_id || null };
+    tx.set(newRef, item);
+    tx.delete(oldRef);
+    tx.update(markerRef, {
+      challengeIds: ids.map((id) => (id === challengeId ? newRef.id : id)),
+      swapCount: FieldValue.increment(1),
+      swaps: FieldValue.arrayUnion({ from: o.catalog_id || null, to: cat.id, at: new Date().toISOString() }),
+    });
+    tx.set(
+      prefRef,
+      {
+        signal: "swap",
+        type: o.category ?? null,
+        title: o.title ?? null,
+        catalog_id: o.catalog_id ?? null,
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return { item: { id: newRef.id, ...item }, swapsLeft: MAX_SWAPS_PER_DAY - (m.swapCount || 0) - 1 };
+  });
+}
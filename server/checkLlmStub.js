@@ -0,0 +1,32 @@
+/**
+ * server/checkLlmStub.js
+ * Offline check of which stub fixture (server/fixtures/llm-stub.json) answers which prompt.
+ * - Cases: server/fixtures/llm-stub-cases.json (or a file passed as the first argument),
+ *   each { name, system, user, expect: fixture name }.
+ * - Fixtures are matched first-wins, so a loose `system` pattern early in the file can
+ *   swallow prompts meant for a later entry; this catches that. Prints each failure and
+ *   exits 1 if any case fails.
+ * No Firebase, no network: `npm run llm:stub:check`.
+ */
+
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+import { StubChatModel, loadStubFixtures } from "./llm.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const casesFile = process.argv[2] || path.join(__dirname, "fixtures", "llm-stub-cases.json");
+const cases = JSON.parse(fs.readFileSync(casesFile, "utf8"));
+const stub = new StubChatModel({ fixtures: loadStubFixtures() });
+
+let failed = 0;
+for (const c of cases) {
+  const got = stub.match(c.system || "", c.user || "")?.name ?? null;
+  if (got === c.expect) continue;
+  failed += 1;
+  console.log(`FAIL ${c.name}: expected ${c.expect}, got ${got}`);
+}
+
+console.log(`${cases.length - failed}/${cases.length} stub cases passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,36 @@
+/**
+ * server/checkSafety.js
+ * Offline check of the safety rules (server/safety.js) against labeled messages.
+ * - Cases: server/fixtures/safety-cases.json (or a file passed as the first argument),
+ *   each { stage, text, expect: [categories], severity }.
+ * - A case passes when classifyText() returns exactly the expected categories and
+ *   severity; prints each failure and exits 1 if any case fails.
+ * No Firebase, no network: `npm run safety:check`.
+ */
+
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+import { classifyText } from "./safety.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const casesFile = process.argv[2] || path.join(__dirname, "fixtures", "safety-cases.json");
+const cases = JSON.parse(fs.readFileSync(casesFile, "utf8"));
+
+const sameSet = (a, b) => a.length === b.length && [...a].sort().join("|") === [...b].sort().join("|");
+
+let failed = 0;
+for (const c of cases) {
+  const got = classifyText(c.text, c.stage || "input");
+  const expect = c.expect || [];
+  const ok = sameSet(got.categories, expect) && (got.severity ?? null) === (c.severity ?? null);
+  if (ok) continue;
+  failed += 1;
+  console.log(`FAIL [${c.stage || "input"}] ${c.text}`);
+  console.log(`  expected ${JSON.stringify(expect)} / ${c.severity ?? null}`);
+  console.log(`  got      ${JSON.stringify(got.categories)} / ${got.severity} (matched: ${got.matches.join(", ") || "-"})`);
+}
+
+console.log(`${cases.length - failed}/${cases.length} safety cases passed`);
+process.exit(failed ? 1 : 0);
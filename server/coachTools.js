@@ -0,0 +1,368 @@
+/**
+ * server/coachTools.js
+ * Structured actions the AI coach can propose from chat (tool calling).
+ * - COACH_TOOLS: OpenAI-style tool schemas bound to the chat model.
+ * - toProposedActions(): validates the model's tool calls into pending actions that are
+ *   stored on the assistant message (nothing is written until the user confirms).
+ * - buildCoachActionsRouter(): POST /ai/actions/resolve executes or dismisses one action
+ *   and records the outcome on the message (the audit trail); confirmed log entries
+ *   recompute the streak (server/streaks.js). At most MAX_COACH_CHALLENGES_PER_DAY
+ *   challenges can be confirmed per day (users/{uid}.coach_challenges { date, count }).
+ * Used by server/index.js.
+ */
+
+import express from "express";
+import crypto from "crypto";
+import { timeZoneOf, todayKey, daysBetweenKeys, isDayKey } from "./timezone.js";
+import { recomputeUserStreak } from "./streaks.js";
+
+const HH_MM = /^\d{2}:\d{2}$/;
+const CATEGORIES = ["habits", "mental", "social", "physical"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+// Coach-made challenges are worth a flat amount: the model's chosen difficulty is only a
+// label, so talking the coach into "hard" challenges can't farm points.
+const COACH_CHALLENGE_POINTS = 10;
+export const MAX_COACH_CHALLENGES_PER_DAY = 3;
+// Dates the coach may write to, relative to the user's today
+const DATE_PAST_DAYS = 7;
+const CHALLENGE_FUTURE_DAYS = 30;
+const KNOWN_TRIGGERS = [
+  "Stress", "Social pressure", "After meals", "With coffee",
+  "Alcohol", "Boredom", "Work break", "Driving", "Phone calls", "Habit",
+];
+
+export const COACH_TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "log_craving",
+      description:
+        "Record craving(s) the user says they just had or had today in their daily log. Use only when the user reports a craving.",
+      parameters: {
+        type: "object",
+        properties: {
+          count: { type: "integer", minimum: 1, maximum: 20, description: "Number of cravings to add (default 1)." },
+          intensity: { type: "integer", minimum: 1, maximum: 10, description: "How strong, if the user said (1 = mild, 10 = overwhelming)." },
+          time: { type: "string", description: "HH:mm when it happened, if the user said." },
+          passed: { type: "boolean", description: "true if the craving passed without smoking, false if they smoked." },
+          triggers: {
+            type: "array",
+            items: { type: "string" },
+            description: `What set it off. Prefer: ${KNOWN_TRIGGERS.join(", ")}.`,
+          },
+          date: { type: "string", description: `YYYY-MM-DD, up to ${DATE_PAST_DAYS} days back; omit for today.` },
+        },
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "log_daily_entry",
+      description:
+        "Update today's (or a given day's) daily log with values the user explicitly stated: cigarettes smoked, mood, stress, notes.",
+      parameters: {
+        type: "object",
+        properties: {
+          date: { type: "string", description: `YYYY-MM-DD, up to ${DATE_PAST_DAYS} days back; omit for today.` },
+          cigarettes_smoked: { type: "integer", minimum: 0, maximum: 100 },
+          mood_rating: { type: "integer", minimum: 1, maximum: 5, description: "1 = low, 5 = great." },
+          stress_level: { type: "integer", minimum: 1, maximum: 5, description: "1 = calm, 5 = very stressed." },
+          notes: { type: "string", description: "Short note in the user's words." },
+        },
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "add_triggers",
+      description: "Add triggers the user faced to their daily log without changing anything else.",
+      parameters: {
+        type: "object",
+        properties: {
+          triggers: { type: "array", items: { type: "string" }, description: `Prefer: ${KNOWN_TRIGGERS.join(", ")}.` },
+          date: { type: "string", description: `YYYY-MM-DD, up to ${DATE_PAST_DAYS} days back; omit for today.` },
+        },
+        required: ["triggers"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "create_challenge",
+      description: "Create a personal challenge when the user asks for one (e.g. 'give me a challenge for tomorrow').",
+      parameters: {
+        type: "object",
+        properties: {
+          title: { type: "string", description: "Short, actionable title (max 80 chars)." },
+          description: { type: "string", description: "One or two sentences (max 240 chars)." },
+          category: { type: "string", enum: CATEGORIES },
+          difficulty: { type: "string", enum: DIFFICULTIES },
+          due_date: { type: "string", description: `YYYY-MM-DD, at most ${CHALLENGE_FUTURE_DAYS} days ahead; omit for today.` },
+        },
+        required: ["title", "description"],
+      },
+    },
+  },
+];
+
+// Omitted → today. Otherwise a real calendar day from DATE_PAST_DAYS ago to `daysAhead`
+// from today, else null (the call is dropped rather than written to some other day).
+function cleanDate(v, timeZone, daysAhead = 0) {
+  const today = todayKey(timeZone);
+  if (v == null || v === "") return today;
+  if (!isDayKey(v)) return null;
+  const offset = daysBetweenKeys(today, v);
+  return offset >= -DATE_PAST_DAYS && offset <= daysAhead ? v : null;
+}
+function cleanInt(v, lo, hi) {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : undefined;
+}
+function cleanText(v, max) {
+  const s = typeof v === "string" ? v.trim() : "";
+  return s ? s.slice(0, max) : undefined;
+}
+function cleanTriggers(v) {
+  if (!Array.isArray(v)) return [];
+  const byLower = new Map(KNOWN_TRIGGERS.map((t) => [t.toLowerCase(), t]));
+  const out = v
+    .map((t) => String(t || "").trim().slice(0, 40))
+    .filter(Boolean)
+    .map((t) => byLower.get(t.toLowerCase()) || t);
+  return [...new Set(out)].slice(0, 8);
+}
+
+// Map triggers onto the user's own labels (users/{uid}.tag_library, see
+// src/services/tagLibrary.js): old names that were renamed/merged follow their alias,
+// case-insensitive matches take the user's spelling, anything else is kept as said.
+function canonicalUserTriggers(triggers, profile) {
+  const lib = profile?.tag_library;
+  if (!lib || !triggers.length) return triggers;
+  const aliases = lib.aliases?.triggers || {};
+  const byLower = new Map((lib.triggers || []).map((t) => [String(t.label).toLowerCase(), t.label]));
+  const out = triggers.map((t) => {
+    const key = t.toLowerCase();
+    return aliases[key] || byLower.get(key) || t;
+  });
+  return [...new Set(out)];
+}
+
+// Validate one tool call into { tool, args, summary }, or null when unusable.
+// Omitted dates mean today in the user's time zone.
+function normalizeCall(name, raw = {}, timeZone = "UTC") {
+  switch (name) {
+    case "log_craving": {
+      const args = {
+        date: cleanDate(raw.date, timeZone),
+        count: cleanInt(raw.count ?? 1, 1, 20),
+        triggers: cleanTriggers(raw.triggers),
+        intensity: raw.intensity != null ? cleanInt(raw.intensity, 1, 10) ?? null : null,
+        time: typeof raw.time === "string" && HH_MM.test(raw.time) ? raw.time : null,
+        passed: typeof raw.passed === "boolean" ? raw.passed : null,
+      };
+      if (!args.date) return null;
+      const trig = args.triggers.length ? ` (${args.triggers.join(", ")})` : "";
+      return { tool: name, args, summary: `Log ${args.count} craving${args.count > 1 ? "s" : ""}${trig} for ${args.date}` };
+    }
+    case "log_daily_entry": {
+      const args = {
+        date: cleanDate(raw.date, timeZone),
+        cigarettes_smoked: cleanInt(raw.cigarettes_smoked, 0, 100),
+        mood_rating: cleanInt(raw.mood_rating, 1, 5),
+        stress_level: cleanInt(raw.stress_level, 1, 5),
+        notes: cleanText(raw.notes, 500),
+      };
+      if (!args.date) return null;
+      Object.keys(args).forEach((k) => args[k] === undefined && delete args[k]);
+      const parts = [
+        args.cigarettes_smoked !== undefined ? `${args.cigarettes_smoked} cigarettes` : null,
+        args.mood_rating !== undefined ? `mood ${args.mood_rating}/5` : null,
+        args.stress_level !== undefined ? `stress ${args.stress_level}/5` : null,
+        args.notes ? "a note" : null,
+      ].filter(Boolean);
+      if (!parts.length) return null;
+      return { tool: name, args, summary: `Update ${args.date} log: ${parts.join(", ")}` };
+    }
+    case "add_triggers": {
+      const args = { date: cleanDate(raw.date, timeZone), triggers: cleanTriggers(raw.triggers) };
+      if (!args.date || !args.triggers.length) return null;
+      return { tool: name, args, summary: `Add triggers to ${args.date}: ${args.triggers.join(", ")}` };
+    }
+    case "create_challenge": {
+      const difficulty = DIFFICULTIES.includes(raw.difficulty) ? raw.difficulty : "easy";
+      const args = {
+        title: cleanText(raw.title, 80),
+        description: cleanText(raw.description, 240) || "",
+        category: CATEGORIES.includes(raw.category) ? raw.category : "habits",
+        difficulty,
+        due_date: cleanDate(raw.due_date, timeZone, CHALLENGE_FUTURE_DAYS),
+      };
+      if (!args.title || !args.due_date) return null;
+      return { tool: name, args, summary: `Create challenge “${args.title}” for ${args.due_date} (${difficulty})` };
+    }
+    default:
+      return null;
+  }
+}
+
+/** Turn the model's tool calls into pending actions for the assistant message. */
+export function toProposedActions(toolCalls = [], timeZone = "UTC") {
+  const proposedAt = new Date().toISOString();
+  return toolCalls
+    .map((tc) => normalizeCall(tc?.name, tc?.args || {}, timeZone))
+    .filter(Boolean)
+    .map((a) => ({
+      id: crypto.randomUUID(),
+      ...a,
+      status: "pending",
+      proposedAt,
+      audit: [{ event: "proposed", at: proposedAt }],
+    }));
+}
+
+// Apply a confirmed action inside the caller's transaction. Returns a small result record.
+function applyAction(admin, fdb, tx, uid, action, profile = null) {
+  const FieldValue = admin.firestore.FieldValue;
+  const logRef = (date) => fdb.collection("users").doc(uid).collection("dailyLogs").doc(date);
+  const stamp = { updatedAt: FieldValue.serverTimestamp() };
+  const args = Array.isArray(action.args?.triggers)
+    ? { ...action.args, triggers: canonicalUserTriggers(action.args.triggers, profile) }
+    : action.args;
+
+  switch (action.tool) {
+    case "log_craving": {
+      // One event per craving (dailyLogs/{date}/cravings), count derived as in the app
+      for (let i = 0; i < args.count; i++) {
+        tx.set(logRef(args.date).collection("cravings").doc(), {
+          uid,
+          date: args.date,
+          at: FieldValue.serverTimestamp(),
+          time: args.time ?? null,
+          intensity: args.intensity ?? null,
+          trigger: args.triggers[0] ?? null,
+          location: null,
+          coping: null,
+          passed: args.passed ?? null,
+          source: "coach",
+          createdAt: FieldValue.serverTimestamp(),
+        });
+      }
+      tx.set(
+        logRef(args.date),
+        {
+          date: args.date,
+          cravings_count: FieldValue.increment(args.count),
+          ...(args.triggers.length ? { triggers_faced: FieldValue.arrayUnion(...args.triggers) } : {}),
+          ...stamp,
+        },
+        { merge: true }
+      );
+      return { path: `dailyLogs/${args.date}` };
+    }
+    case "log_daily_entry": {
+      // Same invariant as upsertDailyLog(): smoke_free only when no cigarettes.
+      const patch = { ...args, ...stamp };
+      if (args.cigarettes_smoked !== undefined) patch.smoke_free = args.cigarettes_smoked === 0;
+      tx.set(logRef(args.date), patch, { merge: true });
+      return { path: `dailyLogs/${args.date}` };
+    }
+    case "add_triggers": {
+      tx.set(
+        logRef(args.date),
+        { date: args.date, triggers_faced: FieldValue.arrayUnion(...args.triggers), ...stamp },
+        { merge: true }
+      );
+      return { path: `dailyLogs/${args.date}` };
+    }
+    case "create_challenge": {
+      const ref = fdb.collection("Challenge").doc();
+      tx.set(ref, {
+        ...args,
+        points: COACH_CHALLENGE_POINTS,
+        user_id: uid,
+        completed: false,
+        created_date: new Date().toISOString(),
+        catalog_id: null,
+        origin: "ai_coach",
+        source: null,
+        source_org: null,
+        coachPrompt: null,
+      });
+      return { challengeId: ref.id };
+    }
+    default:
+      throw new Error(`Unknown action: ${action.tool}`);
+  }
+}
+
+/**
+ * Build the coach actions router (api is already auth-protected in index.js).
+ * Expects req.uid (set by requireFirebaseAuth).
+ */
+export function buildCoachActionsRouter(admin, fdb) {
+  const router = express.Router();
+
+  /* Confirm (approve: true) or dismiss (approve: false) one proposed action */
+  router.post("/ai/actions/resolve", async (req, res) => {
+    try {
+      const { conversationId, messageId, actionId, approve } = req.body || {};
+      if (!conversationId || !messageId || !actionId) {
+        return res.status(400).json({ error: "conversationId, messageId and actionId required" });
+      }
+      const msgRef = fdb
+        .collection("users").doc(req.uid)
+        .collection("conversations").doc(String(conversationId))
+        .collection("messages").doc(String(messageId));
+
+      const result = await fdb.runTransaction(async (tx) => {
+        const snap = await tx.get(msgRef);
+        if (!snap.exists) return { status: 404, error: "Message not found" };
+        const actions = Array.isArray(snap.data()?.actions) ? snap.data().actions : [];
+        const idx = actions.findIndex((a) => a.id === actionId);
+        if (idx < 0) return { status: 404, error: "Action not found" };
+        const action = actions[idx];
+        if (action.status !== "pending") return { action }; // already resolved: idempotent
+
+        const at = new Date().toISOString();
+        let next;
+        if (approve) {
+          // Trigger labels follow the user's own list and the challenge limit is counted on
+          // the user doc; read it before any write
+          const userRef = fdb.collection("users").doc(req.uid);
+          const needsProfile = Array.isArray(action.args?.triggers) || action.tool === "create_challenge";
+          const profile = needsProfile ? (await tx.get(userRef)).data() || {} : null;
+          if (action.tool === "create_challenge") {
+            const today = todayKey(timeZoneOf(profile));
+            const made = profile.coach_challenges?.date === today ? Number(profile.coach_challenges.count) || 0 : 0;
+            if (made >= MAX_COACH_CHALLENGES_PER_DAY) {
+              return { status: 429, error: `The coach can add up to ${MAX_COACH_CHALLENGES_PER_DAY} challenges a day.` };
+            }
+            tx.set(userRef, { coach_challenges: { date: today, count: made + 1 } }, { merge: true });
+          }
+          const outcome = applyAction(admin, fdb, tx, req.uid, action, profile);
+          next = { ...action, status: "confirmed", resolvedAt: at, result: outcome, audit: [...(action.audit || []), { event: "confirmed", at }] };
+        } else {
+          next = { ...action, status: "dismissed", resolvedAt: at, audit: [...(action.audit || []), { event: "dismissed", at }] };
+        }
+        const updated = actions.map((a, i) => (i === idx ? next : a));
+        tx.update(msgRef, { actions: updated });
+        return { action: next };
+      });
+
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      // A confirmed log entry can start or end a streak, like a log saved in the app
+      if (result.action.status === "confirmed" && result.action.tool === "log_daily_entry") {
+        await recomputeUserStreak(admin, fdb, req.uid).catch((e) => console.warn("Streak recompute failed:", e.message));
+      }
+      res.json(result.action);
+    } catch (e) {
+      console.error("POST /ai/actions/resolve error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
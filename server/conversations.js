@@ -0,0 +1,188 @@
+/**
+ * server/conversations.js
+ * Conversation management router for the AI coach (mounted under /api).
+ * - GET    /conversations?archived=1 : list threads (archived hidden unless asked for).
+ * - PATCH  /conversations/:id        : rename and/or archive/unarchive a thread.
+ * - DELETE /conversations/:id        : delete a thread and its messages subcollection.
+ * - GET    /conversations/search?q=  : case-insensitive text search across the user's recent
+ *                                     messages (bounded scan, see SEARCH_MAX_SCANNED).
+ * - GET    /messages?conversationId= : messages of one thread, oldest first.
+ * The list filters on `archived` in the query (index: conversations archived ASC,
+ * updatedAt DESC); older docs without the field get archived: false once per user.
+ * Used by server/index.js.
+ */
+
+import express from "express";
+
+const TITLE_MAX = 80;
+const LIST_LIMIT = 50;
+const SEARCH_MAX_CONVOS = 100;
+const SEARCH_MAX_HITS = 50;
+const SEARCH_MSGS_PER_CONVO = 100; // newest messages read per conversation
+const SEARCH_MAX_SCANNED = 1500; // messages read per search, across conversations
+const SEARCH_PARALLEL = 10;
+
+// Short excerpt around the first match so the drawer can show context.
+function snippetAround(text, needle, radius = 60) {
+  const s = String(text || "");
+  const i = s.toLowerCase().indexOf(needle);
+  if (i < 0) return s.slice(0, radius * 2);
+  const start = Math.max(0, i - radius);
+  const end = Math.min(s.length, i + needle.length + radius);
+  return `${start > 0 ? "…" : ""}${s.slice(start, end)}${end < s.length ? "…" : ""}`;
+}
+
+/**
+ * Build the conversations router (api is already auth-protected in index.js).
+ * Expects req.uid (set by requireFirebaseAuth).
+ */
+export function buildConversationsRouter(admin, fdb) {
+  const router = express.Router();
+  const convosOf = (uid) => fdb.collection("users").doc(uid).collection("conversations");
+
+  // Threads created before archiving existed have no `archived` field, so an equality
+  // query would skip them: stamp them once per user (flag on users/{uid}).
+  async function ensureArchivedField(uid) {
+    const userRef = fdb.collection("users").doc(uid);
+    if ((await userRef.get()).data()?.conversations_archived_field) return;
+    const snap = await convosOf(uid).select("archived").get();
+    const missing = snap.docs.filter((d) => typeof d.data()?.archived !== "boolean");
+    for (let i = 0; i < missing.length; i += 450) {
+      const batch = fdb.batch();
+      missing.slice(i, i + 450).forEach((d) => batch.update(d.ref, { archived: false }));
+      await batch.commit();
+    }
+    await userRef.set({ conversations_archived_field: true }, { merge: true });
+  }
+
+  /* List conversations */
+  router.get("/conversations", async (req, res) => {
+    try {
+      const wantArchived = req.query.archived === "1" || req.query.archived === "true";
+      await ensureArchivedField(req.uid);
+      const snap = await convosOf(req.uid)
+        .where("archived", "==", wantArchived)
+        .orderBy("updatedAt", "desc")
+        .limit(LIST_LIMIT)
+        .get();
+      res.json(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+    } catch (e) {
+      console.error("GET /conversations error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Search messages across all of the user's conversations */
+  router.get("/conversations/search", async (req, res) => {
+    try {
+      const q = String(req.query.q || "").trim().toLowerCase();
+      if (q.length < 2) return res.status(400).json({ error: "q must be at least 2 characters" });
+
+      const convos = await convosOf(req.uid).orderBy("updatedAt", "desc").limit(SEARCH_MAX_CONVOS).get();
+
+      // Newest threads first, a few at a time, until the message budget is spent
+      const scanned = [];
+      let budget = SEARCH_MAX_SCANNED;
+      for (let i = 0; i < convos.docs.length && budget > 0; i += SEARCH_PARALLEL) {
+        const chunk = convos.docs.slice(i, i + SEARCH_PARALLEL);
+        const per = Math.max(1, Math.min(SEARCH_MSGS_PER_CONVO, Math.floor(budget / chunk.length)));
+        const msgs = await Promise.all(chunk.map((c) =>
+          c.ref.collection("messages").orderBy("createdAt", "desc").limit(per).select("role", "content", "createdAt").get()));
+        chunk.forEach((c, j) => scanned.push({ c, msgs: msgs[j].docs.reverse() }));
+        budget -= msgs.reduce((n, m) => n + m.size, 0);
+      }
+
+      const hits = [];
+      for (const { c, msgs } of scanned) {
+        const convo = c.data() || {};
+        const titleHit = String(convo.title || "").toLowerCase().includes(q);
+        const matches = msgs
+          .map((m) => ({ id: m.id, ...m.data() }))
+          .filter((m) => String(m.content || "").toLowerCase().includes(q));
+        if (!titleHit && !matches.length) continue;
+
+        hits.push({
+          conversationId: c.id,
+          title: convo.title || "Untitled",
+          archived: !!convo.archived,
+          updatedAt: convo.updatedAt || null,
+          matches: matches.slice(0, 3).map((m) => ({
+            messageId: m.id,
+            role: m.role,
+            snippet: snippetAround(m.content, q),
+            createdAt: m.createdAt || null,
+          })),
+          matchCount: matches.length,
+        });
+        if (hits.length >= SEARCH_MAX_HITS) break;
+      }
+      // truncated: older threads/messages were not searched
+      res.json({ query: q, items: hits, truncated: budget <= 0 || scanned.length < convos.size });
+    } catch (e) {
+      console.error("GET /conversations/search error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Rename and/or archive a conversation */
+  router.patch("/conversations/:id", async (req, res) => {
+    try {
+      const ref = convosOf(req.uid).doc(String(req.params.id));
+      const snap = await ref.get();
+      if (!snap.exists) return res.status(404).json({ error: "Conversation not found" });
+
+      const { title, archived } = req.body || {};
+      const patch = {};
+      if (title !== undefined) {
+        const t = String(title).trim();
+        if (!t) return res.status(400).json({ error: "Title cannot be empty." });
+        if (t.length > TITLE_MAX) return res.status(400).json({ error: `Title must be ≤ ${TITLE_MAX} characters.` });
+        patch.title = t;
+      }
+      if (archived !== undefined) {
+        patch.archived = !!archived;
+        patch.archivedAt = archived ? admin.firestore.FieldValue.serverTimestamp() : null;
+      }
+      if (!Object.keys(patch).length) return res.status(400).json({ error: "Nothing to update" });
+
+      await ref.update(patch);
+      const fresh = await ref.get();
+      res.json({ id: ref.id, ...fresh.data() });
+    } catch (e) {
+      console.error("PATCH /conversations/:id error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Delete a conversation and everything under it */
+  router.delete("/conversations/:id", async (req, res) => {
+    try {
+      const ref = convosOf(req.uid).doc(String(req.params.id));
+      const snap = await ref.get();
+      if (!snap.exists) return res.status(404).json({ error: "Conversation not found" });
+      await fdb.recursiveDelete(ref);
+      res.json({ ok: true, id: ref.id });
+    } catch (e) {
+      console.error("DELETE /conversations/:id error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Get messages */
+  router.get("/messages", async (req, res) => {
+    try {
+      const { conversationId } = req.query;
+      if (!conversationId) return res.status(400).json({ error: "conversationId required" });
+      const convoRef = convosOf(req.uid).doc(String(conversationId));
+      const exists = await convoRef.get();
+      if (!exists.exists) return res.status(404).json({ error: "Conversation not found" });
+      const mq = await convoRef.collection("messages").orderBy("createdAt", "asc").get();
+      res.json(mq.docs.map((d) => ({ id: d.id, ...d.data() })));
+    } catch (e) {
+      console.error("GET /messages error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,96 @@
+/**
+ * server/difficulty.js
+ * Per-user adaptive difficulty for challenge recommendations.
+ * - computeDifficultyProfile(): pure; replays the last WINDOW_DAYS of Challenge docs and
+ *   daily logs day by day. The level (1 = easy … 3 = hard) rises after days where the user
+ *   completes everything at or above their level, and eases off after days with nothing
+ *   completed, slips (cigarettes logged) or very high stress.
+ * - difficultyFit(): -1..1 score of a candidate's difficulty against the level.
+ * Days are the user's day keys (server/timezone.js), like everywhere else on the server.
+ * Used by server/recommender.js (part of every pick's score breakdown).
+ */
+
+import { DEFAULT_TIMEZONE, todayKey, addDaysToKey } from "./timezone.js";
+
+const WINDOW_DAYS = 28;
+const START_LEVEL = 1.5;           // new users: between easy and medium
+const LEVELS = { easy: 1, medium: 2, hard: 3 };
+
+// Per-day adjustments
+const STEP_UP = 0.2;               // finished everything, at or above level
+const STEP_UP_PARTIAL = 0.05;      // finished at least half
+const STEP_DOWN_MISSED = 0.15;     // had challenges, finished none
+const STEP_DOWN_SLIP = 0.25;       // smoked that day
+const STEP_DOWN_STRESS = 0.05;     // stress 5/5
+
+const clampLevel = (x) => Math.max(1, Math.min(3, x));
+const levelOf = (difficulty) => LEVELS[String(difficulty || "").toLowerCase()] || LEVELS.medium;
+
+/** Nearest difficulty name for a numeric level. */
+export function targetDifficulty(level) {
+  return level < 1.5 ? "easy" : level < 2.5 ? "medium" : "hard";
+}
+
+/**
+ * Replay history into a level. challenges: Challenge docs ({ due_date, difficulty, completed });
+ * logs: dailyLogs docs ({ date, cigarettes_smoked, smoke_free, stress_level }).
+ * Returns { level, target, stats: { [difficulty]: { assigned, completed } }, slips, missedDays, days }.
+ */
+export function computeDifficultyProfile(challenges = [], logs = [], today = todayKey(DEFAULT_TIMEZONE)) {
+  const sinceIso = addDaysToKey(today, -(WINDOW_DAYS - 1));
+
+  const byDay = new Map();
+  const day = (d) => {
+    if (!byDay.has(d)) byDay.set(d, { items: [], log: null });
+    return byDay.get(d);
+  };
+  // Multi-day challenges count once, on the day they ended (still-running ones are skipped).
+  for (const c of challenges) {
+    const d = c.multi_day ? (c.end_date && c.end_date < today ? c.end_date : null) : c.due_date;
+    if (d && d >= sinceIso && d < today) day(d).items.push(c);
+  }
+  for (const l of logs) {
+    if (l?.date && l.date >= sinceIso && l.date <= today) day(l.date).log = l;
+  }
+
+  const stats = { easy: { assigned: 0, completed: 0 }, medium: { assigned: 0, completed: 0 }, hard: { assigned: 0, completed: 0 } };
+  let level = START_LEVEL;
+  let slips = 0;
+  let missedDays = 0;
+
+  for (const d of [...byDay.keys()].sort()) {
+    const { items, log } = byDay.get(d);
+    if (items.length) {
+      const done = items.filter((c) => c.completed);
+      for (const c of items) {
+        const key = targetDifficulty(levelOf(c.difficulty));
+        stats[key].assigned += 1;
+        if (c.completed) stats[key].completed += 1;
+      }
+      const doneLevel = done.length ? done.reduce((a, c) => a + levelOf(c.difficulty), 0) / done.length : 0;
+      if (done.length === items.length && doneLevel >= level - 0.25) level += STEP_UP;
+      else if (done.length * 2 >= items.length) level += STEP_UP_PARTIAL;
+      else if (!done.length) {
+        level -= STEP_DOWN_MISSED;
+        missedDays += 1;
+      }
+    }
+    if (log) {
+      const smoked = Number(log.cigarettes_smoked) > 0 || log.smoke_free === false;
+      if (smoked) {
+        level -= STEP_DOWN_SLIP;
+        slips += 1;
+      }
+      if (Number(log.stress_level) >= 5) level -= STEP_DOWN_STRESS;
+    }
+    level = clampLevel(level);
+  }
+
+  level = Math.round(level * 100) / 100;
+  return { level, target: targetDifficulty(level), stats, slips, missedDays, days: WINDOW_DAYS };
+}
+
+/** How well a candidate's difficulty fits the level: 1 = spot on, -1 = two steps off. */
+export function difficultyFit(difficulty, level) {
+  return 1 - Math.abs(levelOf(difficulty) - level);
+}
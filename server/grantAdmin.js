@@ -0,0 +1,36 @@
+/**
+ * server/grantAdmin.js
+ * Set or clear the `admin` custom claim that gates /api/admin/* routes.
+ * Usage: npm run admin:grant -- <uid>            # grant
+ *        npm run admin:grant -- <uid> --revoke   # revoke
+ * Credentials: server/firebase-admin.json or GOOGLE_APPLICATION_CREDENTIALS (as server/index.js).
+ * The user must sign in again (or refresh their ID token) for the change to apply.
+ */
+
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+import admin from "firebase-admin";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const credPath = path.join(__dirname, "firebase-admin.json");
+
+const [uid, flag] = process.argv.slice(2);
+if (!uid) {
+  console.error("Usage: node server/grantAdmin.js <uid> [--revoke]");
+  process.exit(1);
+}
+
+if (fs.existsSync(credPath)) {
+  admin.initializeApp({ credential: admin.credential.cert(JSON.parse(fs.readFileSync(credPath, "utf8"))) });
+} else {
+  admin.initializeApp({ credential: admin.credential.applicationDefault() });
+}
+
+const user = await admin.auth().getUser(uid);
+const claims = { ...(user.customClaims || {}) };
+if (flag === "--revoke") delete claims.admin;
+else claims.admin = true;
+await admin.auth().setCustomUserClaims(uid, claims);
+console.log(`${flag === "--revoke" ? "Revoked" : "Granted"} admin for ${user.email || uid}`);
@@ -1,55 +1,68 @@
 /**
  * server/index.js
  * Main Express backend for the Quit Coach app.
- * - Handles all API routes (auth, AI chat, motivation, challenges, health recovery).
+ * - Handles all API routes (auth, AI chat + SSE streaming, motivation, challenges, health recovery).
  * - Integrates with Firebase Admin SDK for user data and push notifications.
- * - Uses LangChain (Groq) for AI-assisted responses and recommendations.
+ * - Uses LangChain for AI-assisted responses and recommendations; the model provider
+ *   (Groq, OpenAI-compatible endpoint or offline stub) comes from server/llm.js.
+ * - JSON-returning LLM calls go through invokeJson() (server/structured.js) with explicit fallbacks.
+ * - Recommends challenges with a local bandit (server/recommender.js, difficulty from
+ *   server/difficulty.js); the LLM only rewords the reasons.
+ * - Persists each day's generated challenges (and single-challenge swaps) via server/challenges.js.
  * - Mounts /api/push from server/push.js.
- * - Runs daily push notifications via scheduleDailyPushJobs().
+ * - Mounts /api/conversations + /api/messages from server/conversations.js.
+ * - Mounts /api/memory (long-term coach memory) from server/memory.js.
+ * - Mounts /api/ai/actions (confirm/dismiss coach tool calls) from server/coachTools.js.
+ * - Mounts /api/admin/catalog (admin-only catalog CRUD + revisions) from server/catalogAdmin.js.
+ * - Mounts /api/streak (server-authoritative streaks + history) from server/streaks.js
+ *   and the opt-in streak freezes from server/streakFreezes.js.
+ * - Screens chat input/output for crisis and medical risk via server/safety.js
+ *   (`npm run safety:check` tests the rules against server/fixtures/safety-cases.json).
+ * - Runs daily push notifications via scheduleDailyPushJobs() and the hourly streak
+ *   rollover via scheduleStreakJob().
  */
 
 import "dotenv/config";
 import express from "express";
+import process from "process";
 import cors from "cors";
-import { ChatGroq } from "@langchain/groq";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import admin from "firebase-admin";
 import { buildPushRouter, scheduleDailyPushJobs } from "./push.js";
+import { buildConversationsRouter } from "./conversations.js";
+import { buildMemoryRouter, getMemoryContext, maybeSummarizeConversation } from "./memory.js";
+import { COACH_TOOLS, toProposedActions, buildCoachActionsRouter } from "./coachTools.js";
+import { classifyText, safeReply } from "./safety.js";
+import { buildCatalogAdminRouter } from "./catalogAdmin.js";
+import { buildStreakRouter, scheduleStreakJob } from "./streaks.js";
+import { buildStreakFreezeRouter } from "./streakFreezes.js";
+import { createLLM } from "./llm.js";
+import { recommend, loadRecommenderInputs, rephraseReasons } from "./recommender.js";
+import { invokeJson } from "./structured.js";
+import { timeZoneOf, loadUserTimeZone, todayKey, addDaysToKey, daysBetweenKeys } from "./timezone.js";
+import {
+  resolveChallengeDate,
+  getDailyChallenges,
+  persistDailyChallenges,
+  prepareChallengeSwap,
+  swapDailyChallenge,
+} from "./challenges.js";
 
 const SYSTEM_PROMPT = `
 You are an encouraging quit-smoking coach.
 - Be supportive and brief.
 - Offer practical, evidence-informed tips (triggers, cravings, NRT).
 - Avoid medical diagnosis; suggest seeing a clinician when needed.
+- When the user reports a craving, triggers, today's numbers, or asks for a challenge,
+  call the matching tool. Nothing is saved until the user confirms, so say what you proposed.
 `;
 
 
 
 /* ---------- helpers ---------- */
 
-function toClientChallenge(c) {
-  // prefer canonical field names but tolerate variants
-  const source = c.source || c.source_url || null;
-  const source_org = c.source_org || c.source_name || null;
-  const coachPrompt = c.coachPrompt || c.coach_prompt || null; // no generic default here
-
-
-  return {
-    id: c.id,
-    title: c.title,
-    description: c.description,
-    category: c.category || c.type || null,
-    difficulty: c.difficulty || null,
-    points: c.points || 10,
-    source,        
-    source_org,    
-    coachPrompt,   
-  };
-}
-
-
 function sentenceCase(s = "") {
   const t = String(s).trim();
   if (!t) return "";
@@ -122,7 +135,8 @@ async function getChallengePrefsSummary(fdb, uid) {
       const p = d.data() || {};
       const key = p.type || p.title || d.id;
       if (p.preference === "like") likes.push(key);
-      if (p.preference === "dislike") dislikes.push(key);
+      // a swap is an implicit (weaker) "avoid" signal
+      if (p.preference === "dislike" || p.signal === "swap") dislikes.push(key);
     }
   } catch { }
   const likedTop = topCounts(likes).map(([k, v]) => `${k} (${v})`).join(", ");
@@ -135,6 +149,88 @@ async function getChallengePrefsSummary(fdb, uid) {
     .filter(Boolean)
     .join("\n");
 }
+// Recent completed challenges that came with a reflection or photo, newest first.
+// Uses the same user_id + created_date index as the recommender.
+async function getChallengeEvidenceSummary(fdb, uid, max = 8) {
+  const snap = await fdb
+    .collection("Challenge")
+    .where("user_id", "==", uid)
+    .orderBy("created_date", "desc")
+    .limit(60)
+    .get();
+  const lines = snap.docs
+    .map((d) => d.data() || {})
+    .filter((c) => c.completed && (c.evidence?.note || c.evidence?.photoURL))
+    .slice(0, max)
+    .map((c) => {
+      const day = c.end_date || c.due_date || "";
+      const note = c.evidence.note ? ` — "${String(c.evidence.note).slice(0, 200)}"` : "";
+      const photo = c.evidence.photoURL ? " (photo attached)" : "";
+      return `- ${day} ${c.title || "Challenge"}${note}${photo}`;
+    });
+  return lines.length ? lines.join("\n") : "No challenge reflections yet.";
+}
+// Mean of the finite numbers in arr (null when there are none).
+function mean(arr = []) {
+  const xs = arr.filter(Number.isFinite);
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+// "rising" / "falling" / "steady" comparing the older and newer half of a window.
+function trendWord(older, newer, eps = 0.3) {
+  if (older == null || newer == null) return "not enough data";
+  if (newer - older > eps) return "rising";
+  if (older - newer > eps) return "falling";
+  return "steady";
+}
+// Compact summary of the last `days` daily logs for the coach prompt:
+// totals, slips, craving/mood/stress trends (older vs newer half), top triggers, recent notes.
+async function getDailyLogSummary(fdb, uid, days = 14, timeZone = "UTC") {
+  const sinceIso = addDaysToKey(todayKey(timeZone), 1 - days);
+  const snap = await fdb
+    .collection("users").doc(uid)
+    .collection("dailyLogs")
+    .where("date", ">=", sinceIso)
+    .orderBy("date", "asc")
+    .get();
+  const logs = snap.docs.map((d) => d.data() || {});
+  if (!logs.length) return `No daily logs in the last ${days} days.`;
+
+  const num = (v) => (Number.isFinite(+v) ? +v : null);
+  const midIso = addDaysToKey(sinceIso, Math.floor(days / 2));
+  const older = logs.filter((l) => l.date < midIso);
+  const newer = logs.filter((l) => l.date >= midIso);
+  const stat = (field) => {
+    const all = mean(logs.map((l) => num(l[field])));
+    const o = mean(older.map((l) => num(l[field])));
+    const n = mean(newer.map((l) => num(l[field])));
+    return { all, trend: trendWord(o, n), o, n };
+  };
+  const fmt = (x) => (x == null ? "–" : x.toFixed(1));
+
+  const smokeFree = logs.filter((l) => l.smoke_free === true).length;
+  const slips = logs.filter((l) => (num(l.cigarettes_smoked) || 0) > 0);
+  const cigs = slips.reduce((a, l) => a + num(l.cigarettes_smoked), 0);
+  const cravings = stat("cravings_count");
+  const mood = stat("mood_rating");
+  const stress = stat("stress_level");
+  const triggers = topCounts(logs.flatMap((l) => (Array.isArray(l.triggers_faced) ? l.triggers_faced : [])), 5);
+  const notes = logs
+    .filter((l) => l.notes && String(l.notes).trim())
+    .slice(-3)
+    .map((l) => `- ${l.date}: "${truncate(String(l.notes).trim(), 140)}"`);
+
+  return [
+    `Last ${days} days: ${logs.length} logged, ${smokeFree} smoke-free, ${cigs} cigarettes total` +
+      (slips.length ? ` (slips on ${slips.map((l) => l.date).join(", ")})` : ""),
+    `Cravings/day: avg ${fmt(cravings.all)} (${fmt(cravings.o)} → ${fmt(cravings.n)}, ${cravings.trend})`,
+    `Mood (1–5, higher is better): avg ${fmt(mood.all)} (${fmt(mood.o)} → ${fmt(mood.n)}, ${mood.trend})`,
+    `Stress (1–5, higher is worse): avg ${fmt(stress.all)} (${fmt(stress.o)} → ${fmt(stress.n)}, ${stress.trend})`,
+    triggers.length ? `Top triggers: ${triggers.map(([k, v]) => `${k} (${v})`).join(", ")}` : null,
+    notes.length ? `Recent notes:\n${notes.join("\n")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
 // Read the user's selected quit reasons and return a short, comma-separated line.
 async function getQuitReasonsText(fdb, uid) {
   try {
@@ -232,108 +328,6 @@ function truncate(s, n) {
   s = String(s);
   return s.length <= n ? s : s.slice(0, n - 1) + "…";
 }
-async function fetchRandomCatalogCandidates(fdb, count = 30) {
-  const seed = Math.random();
-  const colRef = fdb.collection("challenges_catalog");
-  const q1 = colRef.where("active", "==", true).where("rand", ">=", seed).orderBy("rand", "asc").limit(count);
-  const out = [];
-  const seen = new Set();
-  const s1 = await q1.get();
-  s1.forEach((doc) => {
-    if (out.length < count && !seen.has(doc.id)) {
-      out.push({ id: doc.id, ...doc.data() });
-      seen.add(doc.id);
-    }
-  });
-  if (out.length < count) {
-    const needed = count - out.length;
-    const q2 = colRef.where("active", "==", true).where("rand", "<", seed).orderBy("rand", "desc").limit(needed);
-    const s2 = await q2.get();
-    s2.forEach((doc) => {
-      if (out.length < count && !seen.has(doc.id)) {
-        out.push({ id: doc.id, ...doc.data() });
-        seen.add(doc.id);
-      }
-    });
-  }
-  return out;
-}
-async function chooseChallengesWithAI(llm, userPrefText, candidates, k = 3) {
-  const slim = candidates.slice(0, 40).map((c) => ({
-    id: c.id,
-    title: truncate(c.title, 80),
-    type: c.category || c.type || null,
-    difficulty: c.difficulty || null,
-    points: c.points || null,
-    description: truncate(c.description || "", 160),
-  }));
-  const sys = `
-You are a recommendation engine for a quit-smoking app. 
-Pick exactly ${k} challenges from a provided candidate list that match the user's preferences.
-Rules:
-- Prefer the user's liked types; avoid disliked types.
-- Also consider the user's quit reasons to align choices with their motivations.
-- Aim for variety (not all the same type/difficulty).
-- Only choose from the provided candidate "id"s.
-- Output ONLY valid JSON with this shape:
-{"choices":[{"id":"<candidateId>","reason":"<short reason>"}]}
-No extra text, no markdown.
-`.trim();
-  const user = `
-USER PREFERENCES
-${userPrefText}
-
-CANDIDATES
-${JSON.stringify(slim, null, 2)}
-`.trim();
-  try {
-    const ai = await llm.invoke([{ role: "system", content: sys }, { role: "user", content: user }]);
-    const text = String(ai.content || "").trim();
-    const parsed = JSON.parse(text);
-    const pickedIds = Array.isArray(parsed?.choices) ? parsed.choices.map((c) => c.id).filter(Boolean) : [];
-    const uniq = [...new Set(pickedIds)].slice(0, k);
-    if (uniq.length) {
-      const byId = new Map(candidates.map((c) => [c.id, c]));
-      return uniq.map((id) => byId.get(id)).filter(Boolean);
-    }
-  } catch { }
-  const likedSet = new Set();
-  const dislikedSet = new Set();
-  const quitKeywords = new Set();
-  const likeLine = userPrefText.split("\n").find((l) => l.toLowerCase().startsWith("preferred challenges:"));
-  const dislikeLine = userPrefText.split("\n").find((l) => l.toLowerCase().startsWith("avoided challenges:"));
-  const quitLine = userPrefText.split("\n").find((l) => l.toLowerCase().startsWith("quit reasons:"));
-  const extract = (line) =>
-    (line || "")
-      .split(":")[1]
-      ?.split(",")
-      .map((t) => t.trim().replace(/\s*\(\d+\)\s*$/, ""))
-      .filter(Boolean) || [];
-  extract(likeLine).forEach((t) => likedSet.add(t));
-  extract(dislikeLine).forEach((t) => dislikedSet.add(t));
-  extract(quitLine).forEach((t) => {
-    const s = String(t).toLowerCase();
-    if (s) quitKeywords.add(s);
-  });
-  const scored = candidates
-    .map((c) => {
-      const t = c.category || c.type || "";
-      let score = 0;
-      if (likedSet.has(t)) score += 2;
-      if (dislikedSet.has(t)) score -= 5;
-      if ((c.difficulty || "").toLowerCase() === "medium") score += 0.5;
-      // Light boost if quit-reason keywords appear in title/description
-      const text = `${c.title} ${c.description || ""}`.toLowerCase();
-      let hits = 0;
-      for (const kw of quitKeywords) {
-        if (kw && text.includes(kw)) { hits += 1; if (hits >= 3) break; }
-      }
-      if (hits) score += Math.min(1.5, 0.6 * hits); // cap the boost
-      return { c, score };
-    })
-    .sort((a, b) => b.score - a.score);
-  return scored.filter((x) => x.score > -5).slice(0, k).map((x) => x.c);
-}
 
 /* ---------- Initialize Firebase Admin (service account or env credentials) ---------- */
 const __filename = fileURLToPath(import.meta.url);
@@ -346,9 +340,12 @@ if (!admin.apps.length) {
     admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
   } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
     admin.initializeApp({ credential: admin.credential.applicationDefault() });
+  } else if (process.env.FIRESTORE_EMULATOR_HOST) {
+    // Local dev/tests against the Firebase emulators: no credentials needed
+    admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || "demo-quitcoach" });
   } else {
     throw new Error(
-      "No Firebase Admin credentials found. Put server/firebase-admin.json or set GOOGLE_APPLICATION_CREDENTIALS."
+      "No Firebase Admin credentials found. Put server/firebase-admin.json, set GOOGLE_APPLICATION_CREDENTIALS or FIRESTORE_EMULATOR_HOST."
     );
   }
 }
@@ -364,7 +361,11 @@ app.use((req, _res, next) => {
 });
 
 /* ---------- LLM ---------- */
-const llm = new ChatGroq({ model: "llama-3.3-70b-versatile", temperature: 0.4 });
+// Provider picked by LLM_PROVIDER (groq | openai | stub); see server/llm.js
+const { llm, provider: llmProvider, model: llmModel } = createLLM();
+console.log(`LLM provider: ${llmProvider} (${llmModel})`);
+// Chat-only variant that may propose coach actions (see server/coachTools.js)
+const coachLlm = llm.bindTools(COACH_TOOLS);
 
 /* ---------- Auth middleware ---------- */
 async function requireFirebaseAuth(req, res, next) {
@@ -374,6 +375,7 @@ async function requireFirebaseAuth(req, res, next) {
     if (!m) return res.status(401).json({ error: "Missing Authorization Bearer token" });
     const decoded = await admin.auth().verifyIdToken(m[1]);
     req.uid = decoded.uid;
+    req.claims = decoded; // custom claims (e.g. admin) for role-gated routes
     next();
   } catch (e) {
     console.error("Auth error:", e);
@@ -383,7 +385,7 @@ async function requireFirebaseAuth(req, res, next) {
 
 /* ---------- Public health check ---------- */
 app.get("/api/health", (_req, res) => {
-  res.json({ ok: true, hasKey: !!process.env.GROQ_API_KEY });
+  res.json({ ok: true, hasKey: !!process.env.GROQ_API_KEY, llm: { provider: llmProvider, model: llmModel } });
 });
 
 /* ---------- Protected API (requires Firebase auth) ---------- */
@@ -393,7 +395,32 @@ api.use(requireFirebaseAuth);
 // PUSH (protected)
 api.use("/push", buildPushRouter(admin, fdb));
 
+// Conversations + messages (protected)
+api.use(buildConversationsRouter(admin, fdb));
+
+// Coach memory (protected)
+api.use(buildMemoryRouter(admin, fdb));
+
+// Coach actions (protected)
+api.use(buildCoachActionsRouter(admin, fdb));
+
+// Challenge catalog admin (protected + admin custom claim)
+api.use(buildCatalogAdminRouter(admin, fdb));
+
+// Streaks (protected)
+api.use(buildStreakRouter(admin, fdb));
+api.use(buildStreakFreezeRouter(admin, fdb));
+
 /* Motivation moderation + post */
+const MODERATION_SCHEMA = {
+  type: "object",
+  required: ["ok"],
+  properties: {
+    ok: { type: "boolean" },
+    reasons: { type: "array", items: { type: "string" } },
+    categories: { type: "object" },
+  },
+};
 api.post("/motivation", async (req, res) => {
   try {
     const { message } = req.body || {};
@@ -412,14 +439,19 @@ api.post("/motivation", async (req, res) => {
     const sys =
       'Return ONLY JSON: {"ok":boolean,"reasons":string[],"categories":{"motivational":boolean,"profanity":boolean,"hate":boolean,"harassment":boolean,"selfHarm":boolean}}. Rules: Approve only if uplifting AND clean.';
     const userMsg = `Text: "${raw}"`;
-    try {
-      const ai = await llm.invoke([{ role: "system", content: sys }, { role: "user", content: userMsg }]);
-      const j = JSON.parse(String(ai.content || "{}"));
-      if (!j.ok) {
-        const reason = (Array.isArray(j.reasons) && j.reasons[0]) || "Not motivational enough.";
-        return res.status(400).json({ error: sentenceCase(reason) });
-      }
-    } catch { }
+    const verdict = await invokeJson(llm, [{ role: "system", content: sys }, { role: "user", content: userMsg }], {
+      schema: MODERATION_SCHEMA,
+      label: "motivation-moderator",
+    });
+    if (!verdict.ok) {
+      // Fail closed: nothing is posted unless the moderator actually approved it
+      console.error(`POST /motivation moderation unavailable (${verdict.reason}): ${verdict.error}`);
+      return res.status(503).json({ error: "We couldn't check your message right now. Please try again shortly." });
+    }
+    if (!verdict.data.ok) {
+      const reason = verdict.data.reasons?.[0] || "Not motivational enough.";
+      return res.status(400).json({ error: sentenceCase(reason) });
+    }
 
     // Persist as APPROVED
     const usersRef = fdb.collection("users").doc(req.uid);
@@ -456,144 +488,364 @@ api.get("/motivation", async (_req, res) => {
   }
 });
 
-/* List conversations */
-api.get("/conversations", async (req, res) => {
-  try {
-    const snap = await fdb
-      .collection("users")
-      .doc(req.uid)
-      .collection("conversations")
-      .orderBy("updatedAt", "desc")
-      .limit(50)
-      .get();
-    res.json(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
-  } catch (e) {
-    console.error("GET /conversations error:", e);
-    res.status(500).json({ error: e.message });
-  }
-});
+/* Shared chat turn: resolve/create the conversation, store the user message,
+   and build the prompt (system context + recent logs + long-term memory + last 30 messages). */
+async function prepareChatTurn(uid, conversationId, userMessage) {
+  const usersRef = fdb.collection("users").doc(uid);
+  const convosRef = usersRef.collection("conversations");
 
-/* Get messages */
-api.get("/messages", async (req, res) => {
-  try {
-    const { conversationId } = req.query;
-    if (!conversationId) return res.status(400).json({ error: "conversationId required" });
-    const convoRef = fdb.collection("users").doc(req.uid).collection("conversations").doc(String(conversationId));
-    const exists = await convoRef.get();
-    if (!exists.exists) return res.status(404).json({ error: "Conversation not found" });
-    const mq = await convoRef.collection("messages").orderBy("createdAt", "asc").get();
-    res.json(mq.docs.map((d) => ({ id: d.id, ...d.data() })));
-  } catch (e) {
-    console.error("GET /messages error:", e);
-    res.status(500).json({ error: e.message });
+  let convoRef;
+  if (conversationId) {
+    convoRef = convosRef.doc(String(conversationId));
+    const snap = await convoRef.get();
+    if (!snap.exists) return { status: 404, error: "Conversation not found" };
+  } else {
+    const title = String(userMessage).slice(0, 60) || "New conversation";
+    convoRef = convosRef.doc();
+    await convoRef.set({
+      title,
+      archived: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
   }
-});
-
-/* AI chat */
-api.post("/ai/chat", async (req, res) => {
-  try {
-    const { conversationId, userMessage } = req.body || {};
-    if (!userMessage || !String(userMessage).trim()) return res.status(400).json({ error: "userMessage required" });
 
-    const usersRef = fdb.collection("users").doc(req.uid);
-    const convosRef = usersRef.collection("conversations");
+  // Screen before anything reaches the model; the flag is kept on the user's message
+  const check = classifyText(userMessage, "input");
+  const safety = check.flagged ? { ...check, stage: "input" } : null;
 
-    let convoRef;
-    if (conversationId) {
-      convoRef = convosRef.doc(String(conversationId));
-      const snap = await convoRef.get();
-      if (!snap.exists) return res.status(404).json({ error: "Conversation not found" });
-    } else {
-      const title = String(userMessage).slice(0, 60) || "New conversation";
-      convoRef = convosRef.doc();
-      await convoRef.set({
-        title,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-    }
+  const msgsRef = convoRef.collection("messages");
+  await msgsRef.add({
+    role: "user",
+    content: String(userMessage),
+    ...(safety ? { safety } : {}),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
 
-    const msgsRef = convoRef.collection("messages");
-    await msgsRef.add({
-      role: "user",
-      content: String(userMessage),
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
+  const recentSnap = await msgsRef.orderBy("createdAt", "asc").limitToLast(30).get();
+  const recent = recentSnap.docs.map((d) => d.data());
 
-    const recentSnap = await msgsRef.orderBy("createdAt", "asc").limitToLast(30).get();
-    const recent = recentSnap.docs.map((d) => d.data());
+  let userCtx = "No user context available.";
+  let profile = {};
+  try {
+    const udoc = await usersRef.get();
+    if (udoc.exists) {
+      profile = udoc.data() || {};
+      userCtx = formatUserContext(profile);
+    }
+  } catch (e) {
+    console.warn("Failed to fetch user profile for prompt context:", e.message);
+  }
 
-    let userCtx = "No user context available.";
+  // Daily logs are shared unless the user switched it off in Profile → Privacy
+  let logsText = "User has chosen not to share daily logs with the coach.";
+  let evidenceText = "User has chosen not to share daily logs with the coach.";
+  if (profile.privacy_preferences?.share_logs_with_coach !== false) {
     try {
-      const udoc = await usersRef.get();
-      if (udoc.exists) userCtx = formatUserContext(udoc.data() || {});
+      logsText = await getDailyLogSummary(fdb, uid, 14, timeZoneOf(profile));
     } catch (e) {
-      console.warn("Failed to fetch user profile for prompt context:", e.message);
+      console.warn("Failed to summarize daily logs for prompt context:", e.message);
+      logsText = "Daily logs unavailable.";
     }
-
-    let prefsText = "";
+    // Completion reflections ("what helped") fall under the same sharing switch
     try {
-      prefsText = await getChallengePrefsSummary(fdb, req.uid);
-    } catch { }
+      evidenceText = await getChallengeEvidenceSummary(fdb, uid);
+    } catch (e) {
+      console.warn("Failed to load challenge reflections for prompt context:", e.message);
+      evidenceText = "Challenge reflections unavailable.";
+    }
+  }
 
-    let leaderboardText = "";
-    try {
-      leaderboardText = await getLeaderboardSummary(fdb, req.uid);
-    } catch { }
+  const memoryText = await getMemoryContext(fdb, uid, convoRef);
+
+  let prefsText = "";
+  try {
+    prefsText = await getChallengePrefsSummary(fdb, uid);
+  } catch { }
 
-    const systemContent = `
+  let leaderboardText = "";
+  try {
+    leaderboardText = await getLeaderboardSummary(fdb, uid);
+  } catch { }
+
+  const systemContent = `
 ${SYSTEM_PROMPT.trim()}
 
 USER CONTEXT
 ${userCtx}
 
+RECENT DAILY LOGS
+${logsText}
+
+COACH MEMORY
+${memoryText}
+
 CHALLENGE PREFERENCES
 ${prefsText || "No challenge preferences yet."}
 
+WHAT HELPED (recent completed challenges with the user's own notes)
+${evidenceText}
+
 LEADERBOARDS
 ${leaderboardText || "No leaderboard data yet."}
 `.trim();
 
-    const messages = [{ role: "system", content: systemContent }, ...recent.map((m) => ({ role: m.role, content: m.content }))];
-    const ai = await llm.invoke(messages);
+  const messages = [{ role: "system", content: systemContent }, ...recent.map((m) => ({ role: m.role, content: m.content }))];
+  return { uid, convoRef, msgsRef, messages, safety, timeZone: timeZoneOf(profile) };
+}
+
+/* Persist the assistant reply, bump the conversation's updatedAt, and kick off a
+   background memory pass (rolling summary + fact extraction) when one is due.
+   Returns the new message id. */
+async function saveAssistantReply(turn, content, extra = {}) {
+  const msgRef = await turn.msgsRef.add({
+    role: "assistant",
+    content,
+    tokenCount: null,
+    ...extra,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await turn.convoRef.update({ updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+  maybeSummarizeConversation(admin, fdb, llm, turn.uid, turn.convoRef).catch((e) =>
+    console.warn("Coach memory update failed:", e.message)
+  );
+  return msgRef.id;
+}
+
+/* Screen the model's reply; unsafe ones (e.g. medication dosing) are replaced by the
+   templated answer and the flag is returned for the assistant message. */
+function screenReply(reply) {
+  const check = classifyText(reply, "output");
+  if (!check.flagged) return { reply, safety: null };
+  console.warn("Coach reply replaced by safety template:", check.categories.join(", "));
+  return { reply: safeReply(check), safety: { ...check, stage: "output", templated: true } };
+}
+
+/* Pending actions from the model's tool calls; if the model only called tools,
+   give the user a line of text to go with the confirmation cards.
+   "Today" in the actions is the user's day (turn.timeZone). */
+function replyWithActions(content, toolCalls, timeZone) {
+  const actions = toProposedActions(toolCalls || [], timeZone);
+  const text = String(content || "").trim();
+  return {
+    actions,
+    reply: text || (actions.length ? "Here’s what I can save for you — confirm below." : ""),
+  };
+}
+
+/* AI chat */
+api.post("/ai/chat", async (req, res) => {
+  try {
+    const { conversationId, userMessage } = req.body || {};
+    if (!userMessage || !String(userMessage).trim()) return res.status(400).json({ error: "userMessage required" });
+
+    const turn = await prepareChatTurn(req.uid, conversationId, userMessage);
+    if (turn.error) return res.status(turn.status).json({ error: turn.error });
+
+    if (turn.safety) {
+      const reply = safeReply(turn.safety);
+      const safety = { ...turn.safety, templated: true };
+      const messageId = await saveAssistantReply(turn, reply, { safety });
+      return res.json({ conversationId: turn.convoRef.id, messageId, reply, actions: [], safety });
+    }
 
-    await msgsRef.add({
-      role: "assistant",
-      content: ai.content,
+    const ai = await coachLlm.invoke(turn.messages);
+    const withActions = replyWithActions(ai.content, ai.tool_calls, turn.timeZone);
+    const { reply, safety } = screenReply(withActions.reply);
+    const actions = safety ? [] : withActions.actions;
+    const messageId = await saveAssistantReply(turn, reply, {
       tokenCount: ai.response_metadata?.tokenUsage?.totalTokens ?? null,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(actions.length ? { actions } : {}),
+      ...(safety ? { safety } : {}),
     });
-    await convoRef.update({ updatedAt: admin.firestore.FieldValue.serverTimestamp() });
 
-    res.json({ conversationId: convoRef.id, reply: ai.content });
+    res.json({ conversationId: turn.convoRef.id, messageId, reply, actions, safety });
   } catch (e) {
     console.error("POST /ai/chat error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-/* AI challenge generation */
+/* AI chat (streaming) — Server-Sent Events:
+   meta {conversationId} → token {text}* → [replace {text}] → done {conversationId, messageId, reply, tokenCount, actions, safety}
+   or error {error}. Tokens are held back to the last full sentence and the whole reply so far
+   is screened before each one goes out; once it fails, nothing more is streamed. `replace`
+   means the finished reply failed the screen and the shown text must be swapped for the
+   templated reply. Closing the connection aborts the model call; the part already shown is
+   still saved (screened, flagged `cancelled`) so history matches what the user saw. */
+api.post("/ai/chat/stream", async (req, res) => {
+  const { conversationId, userMessage } = req.body || {};
+  if (!userMessage || !String(userMessage).trim()) return res.status(400).json({ error: "userMessage required" });
+
+  let turn;
+  try {
+    turn = await prepareChatTurn(req.uid, conversationId, userMessage);
+    if (turn.error) return res.status(turn.status).json({ error: turn.error });
+  } catch (e) {
+    console.error("POST /ai/chat/stream error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  send("meta", { conversationId: turn.convoRef.id });
+
+  if (turn.safety) {
+    try {
+      const reply = safeReply(turn.safety);
+      const safety = { ...turn.safety, templated: true };
+      const messageId = await saveAssistantReply(turn, reply, { safety });
+      send("token", { text: reply });
+      send("done", { conversationId: turn.convoRef.id, messageId, reply, tokenCount: null, actions: [], safety });
+    } catch (e) {
+      console.error("POST /ai/chat/stream error:", e);
+      send("error", { error: e.message });
+    }
+    return res.end();
+  }
+
+  let reply = "";
+  let shown = 0; // reply.slice(0, shown) has been sent
+  let final = null;
+  try {
+    const stream = await coachLlm.stream(turn.messages, { signal: controller.signal });
+    for await (const chunk of stream) {
+      final = final ? final.concat(chunk) : chunk;
+      const text = typeof chunk.content === "string" ? chunk.content : "";
+      if (!text) continue;
+      reply += text;
+      if (classifyText(reply, "output").flagged) break; // templated below; stop the model
+      // a "." followed by whitespace, so "1.5 mg" isn't cut after "1."
+      const sentenceEnd = Math.max(reply.lastIndexOf(". "), reply.lastIndexOf(".\n")) + 2;
+      if (sentenceEnd > 1 && sentenceEnd > shown) {
+        send("token", { text: reply.slice(shown, sentenceEnd) });
+        shown = sentenceEnd;
+      }
+    }
+
+    const tokenCount =
+      final?.usage_metadata?.total_tokens ??
+      final?.response_metadata?.x_groq?.usage?.total_tokens ??
+      final?.response_metadata?.usage?.total_tokens ??
+      null;
+    const withActions = replyWithActions(reply, final?.tool_calls, turn.timeZone);
+    const screened = screenReply(withActions.reply);
+    const { safety } = screened;
+    if (safety) send(shown ? "replace" : "token", { text: screened.reply });
+    else if (!reply) send("token", { text: withActions.reply });
+    else if (reply.length > shown) send("token", { text: reply.slice(shown) });
+    reply = screened.reply;
+    const actions = safety ? [] : withActions.actions;
+    const messageId = await saveAssistantReply(turn, reply, {
+      tokenCount,
+      ...(actions.length ? { actions } : {}),
+      ...(safety ? { safety } : {}),
+    });
+
+    send("done", { conversationId: turn.convoRef.id, messageId, reply, tokenCount, actions, safety });
+    res.end();
+  } catch (e) {
+    if (controller.signal.aborted) {
+      // Client cancelled mid-stream: keep what was shown (screened), nothing left to send.
+      const partial = reply.slice(0, shown).trim();
+      if (partial) {
+        const screened = screenReply(partial);
+        await saveAssistantReply(turn, screened.reply, {
+          cancelled: true,
+          ...(screened.safety ? { safety: screened.safety } : {}),
+        }).catch((err) => console.warn("Failed to save cancelled reply:", err.message));
+      }
+      return;
+    }
+    console.error("POST /ai/chat/stream error:", e);
+    send("error", { error: e.message });
+    res.end();
+  }
+});
+
+/* AI challenge generation: local bandit recommender picks, the LLM only rewords the reasons */
+// Recommendations (with score breakdowns) for one user/day; see server/recommender.js.
+async function recommendForUser(uid, date, { k, exclude, seed }) {
+  const [inputs, quitReasons] = await Promise.all([
+    loadRecommenderInputs(fdb, uid, date),
+    getQuitReasonsText(fdb, uid),
+  ]);
+  const picks = recommend({ ...inputs, quitReasons, exclude, k, seed, today: date });
+  return { difficulty: inputs.difficulty, picks: await rephraseReasons(llm, picks) };
+}
+const toRecommendations = (picks) =>
+  Object.fromEntries(picks.map((p) => [p.id, { score: p.score, breakdown: p.breakdown, reason: p.reason }]));
+
 api.post("/ai/generate-challenges", async (req, res) => {
   try {
     const k = clamp(Number(req.body?.count || 3), 1, 5);
+    const date = resolveChallengeDate(req.body?.date, await loadUserTimeZone(fdb, req.uid));
+
+    // Idempotent per day: an existing set is returned as-is (no LLM call)
+    const existing = await getDailyChallenges(fdb, req.uid, date);
+    if (existing) return res.json({ date, created: false, items: existing });
+
     const prefText = await getChallengePrefsSummary(fdb, req.uid);
-    const quitReasons = await getQuitReasonsText(fdb, req.uid);
-    const prefPlusReasons = quitReasons
-      ? `${prefText}\n\nQuit reasons: ${quitReasons}`
-      : prefText;
-    const candidates = await fetchRandomCatalogCandidates(fdb, 40);
-    if (!candidates.length) return res.status(404).json({ error: "No active challenges in catalog." });
-    const chosen = await chooseChallengesWithAI(llm, prefPlusReasons, candidates, k);
-    if (!chosen || !chosen.length) return res.status(500).json({ error: "Failed to select challenges." });
-    const result = chosen.slice(0, k).map(toClientChallenge);
-    res.json({ preferences: prefText, items: result });
+    const { picks, difficulty } = await recommendForUser(req.uid, date, { k, seed: `${req.uid}:${date}` });
+    if (!picks.length) return res.status(404).json({ error: "No active challenges in catalog." });
+    const { created, items } = await persistDailyChallenges(
+      admin, fdb, req.uid, date, picks.map((p) => p.id), toRecommendations(picks)
+    );
+    res.json({ preferences: prefText, difficulty, date, created, items });
   } catch (e) {
     console.error("POST /ai/generate-challenges error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
+/* Swap one uncompleted challenge of today's set for a fresh recommendation */
+api.post("/challenges/:id/swap", async (req, res) => {
+  try {
+    const date = resolveChallengeDate(req.body?.date, await loadUserTimeZone(fdb, req.uid));
+    const prep = await prepareChallengeSwap(fdb, req.uid, String(req.params.id), date);
+    if (prep.error) return res.status(prep.status).json({ error: prep.error });
+
+    const { picks } = await recommendForUser(req.uid, date, {
+      k: 1,
+      exclude: prep.excludeCatalogIds,
+      seed: `${req.uid}:${date}:swap:${prep.swapsLeft}`,
+    });
+    const [pick] = picks;
+    if (!pick) return res.status(404).json({ error: "No other challenges available right now." });
+
+    const out = await swapDailyChallenge(
+      admin, fdb, req.uid, date, prep.challenge.id, pick.id, toRecommendations(picks)[pick.id]
+    );
+    if (out.error) return res.status(out.status).json({ error: out.error });
+    res.json({ replacedId: prep.challenge.id, item: out.item, swapsLeft: out.swapsLeft });
+  } catch (e) {
+    console.error("POST /challenges/:id/swap error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /* Health recovery: phrase + progress + source (single source of truth) */
+const PHRASES_SCHEMA = {
+  type: "object",
+  required: ["phrases"],
+  properties: { phrases: { type: "array", minItems: 1, items: { type: "string" } } },
+};
 api.get("/ai/health-recovery", async (req, res) => {
   try {
     // Milestones (days since quit). Sources = WHO / CDC / NHS / ACS / NIH.
@@ -699,9 +951,7 @@ api.get("/ai/health-recovery", async (req, res) => {
     if (!Number.isFinite(days) || days < 0) {
       const sinceStr = u.streak_start_date || u.quit_date || null;
       if (sinceStr) {
-        const since = new Date(sinceStr); since.setHours(0, 0, 0, 0);
-        const today = new Date(); today.setHours(0, 0, 0, 0);
-        days = Math.max(0, Math.floor((today - since) / 86400000));
+        days = Math.max(0, daysBetweenKeys(String(sinceStr).slice(0, 10), todayKey(timeZoneOf(u))));
       } else {
         days = 0;
       }
@@ -716,39 +966,38 @@ api.get("/ai/health-recovery", async (req, res) => {
 
     const bestSource = (stage.sources && stage.sources[0]) || null;
 
-    // Generate short, complete sentences (fallback if model/key unavailable)
+    // Generate short, complete sentences (fallback if the model call fails)
     let phrases = [
       `You’re progressing toward ${stage.label.toLowerCase()}—keep going.`,
       `Each day moves you closer to ${stage.label.toLowerCase()}.`,
       `Stay the course—your body is repairing itself.`,
     ];
 
-    if (process.env.GROQ_API_KEY) {
-      try {
-        const sys = `
+    const sys = `
 Return ONLY JSON: {"phrases":["...","...","..."]}.
 Rules:
 - 3–5 complete sentences, 8–18 words each.
 - Second person, present tense, encouraging, clinically aligned with the FACT.
 - No fragments, no emojis, no markdown.
-        `.trim();
-        const user = `
+    `.trim();
+    const user = `
 STAGE: ${stage.label}
 FACT: ${stage.fact}
 SOURCE: ${bestSource?.org || ""}: ${bestSource?.title || ""}
-        `.trim();
-        const out = await llm.invoke([{ role: "system", content: sys }, { role: "user", content: user }]);
-        const j = JSON.parse(String(out.content || "{}"));
-        if (Array.isArray(j.phrases) && j.phrases.length) {
-          phrases = j.phrases
-            .map(s => String(s || "").trim())
-            .filter(Boolean)
-            .map(s => (s[0] ? s[0].toUpperCase() + s.slice(1) : s))
-            .map(s => /[.!?]$/.test(s) ? s : s + ".");
-        }
-      } catch (e) {
-        console.warn("health-recovery AI phrases fallback:", e?.message || e);
-      }
+    `.trim();
+    const out = await invokeJson(llm, [{ role: "system", content: sys }, { role: "user", content: user }], {
+      schema: PHRASES_SCHEMA,
+      label: "health-recovery",
+    });
+    if (out.ok) {
+      const cleaned = out.data.phrases
+        .map(s => s.trim())
+        .filter(Boolean)
+        .map(s => (s[0] ? s[0].toUpperCase() + s.slice(1) : s))
+        .map(s => /[.!?]$/.test(s) ? s : s + ".");
+      if (cleaned.length) phrases = cleaned;
+    } else {
+      console.warn(`health-recovery AI phrases fallback (${out.reason}): ${out.error}`);
     }
 
     const idx = phrases.length ? (new Date().getHours() % phrases.length) : 0;
@@ -786,14 +1035,13 @@ api.post("/ai/json", async (req, res) => {
     const { system, prompt } = req.body || {};
     if (!prompt) return res.status(400).json({ error: "prompt required" });
     const messages = [...(system ? [{ role: "system", content: system }] : []), { role: "user", content: prompt }];
-    const ai = await llm.invoke(messages);
-    let json;
-    try {
-      json = JSON.parse(ai.content);
-    } catch {
-      return res.status(422).json({ error: "Model did not return valid JSON", content: ai.content });
+    const out = await invokeJson(llm, messages, { label: "ai-json" });
+    if (!out.ok) {
+      console.warn(`POST /ai/json ${out.reason}: ${out.error}`);
+      if (out.reason === "model_error") return res.status(502).json({ error: "Model request failed", reason: out.reason });
+      return res.status(422).json({ error: "Model did not return valid JSON", reason: out.reason, content: out.raw });
     }
-    res.json(json);
+    res.json(out.data);
   } catch (e) {
     console.error("POST /ai/json error:", e);
     res.status(500).json({ error: e.message });
@@ -806,5 +1054,8 @@ app.use("/api", api);
 const port = process.env.PORT || 3000;
 app.listen(port, "0.0.0.0", () => console.log(`API listening on ${port}`));
 
-/* Cron jobs (20:30 / 20:35 Europe/Athens) */
+/* Cron jobs (20:30 / 20:35 in each user's time zone) */
 scheduleDailyPushJobs(admin, fdb);
+
+/* Streak rollover (hourly; recomputes users whose local day changed) */
+scheduleStreakJob(admin, fdb);
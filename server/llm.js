@@ -0,0 +1,176 @@
+/**
+ * server/llm.js
+ * LLM provider layer. createLLM() returns a LangChain chat model picked by config:
+ * - LLM_PROVIDER=groq   : ChatGroq (GROQ_API_KEY, optional LLM_MODEL).
+ * - LLM_PROVIDER=openai : any OpenAI-compatible endpoint, e.g. a local server
+ *                         (LLM_BASE_URL, optional LLM_API_KEY / LLM_MODEL).
+ * - LLM_PROVIDER=stub   : deterministic, offline StubChatModel driven by
+ *                         server/fixtures/llm-stub.json (override with LLM_STUB_FIXTURES).
+ * When LLM_PROVIDER is unset: groq if GROQ_API_KEY is present, otherwise stub.
+ * All providers support invoke(), stream() and bindTools(), so routes don't care which one runs.
+ * Used by server/index.js.
+ */
+
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+import { ChatGroq } from "@langchain/groq";
+import { ChatOpenAI } from "@langchain/openai";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_TEMPERATURE = 0.4;
+
+// LangChain messages or plain {role, content} objects → { role, content }
+function roleOf(m) {
+  if (m?.role) return m.role;
+  const t = typeof m?._getType === "function" ? m._getType() : "";
+  return t === "human" ? "user" : t === "ai" ? "assistant" : t;
+}
+function textOf(m) {
+  return typeof m?.content === "string" ? m.content : JSON.stringify(m?.content ?? "");
+}
+
+// Named handlers for fixtures whose answer depends on the prompt.
+const STUB_HANDLERS = {
+  // Recommender reasons: return each item's template "facts" unchanged.
+  rephraseReasons(_system, user) {
+    let items = [];
+    try {
+      items = JSON.parse(user);
+    } catch (e) {
+      console.warn("Stub rephraseReasons: could not parse items:", e.message);
+    }
+    return JSON.stringify({ reasons: items.map((i) => ({ id: i.id, reason: i.facts })) });
+  },
+  // Echo the user's last message back (handy for checking what reached the model).
+  echo(_system, user) {
+    return `You said: ${user}`;
+  },
+};
+
+/**
+ * Offline chat model. Each fixture entry may have `system` / `user` regexes (all given
+ * ones must match the system prompt / last user message), and either a literal
+ * `response`, a `handler` name from STUB_HANDLERS, plus optional `toolCalls`.
+ * The first matching entry wins, so keep a catch-all last and anchor `system` patterns to
+ * the start of the prompt they belong to (`npm run llm:stub:check` checks the routing).
+ */
+export class StubChatModel extends BaseChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.fixtures = fields.fixtures || [];
+  }
+
+  _llmType() {
+    return "stub";
+  }
+
+  // Tools are described by fixtures, so binding is a no-op.
+  bindTools() {
+    return this;
+  }
+
+  /** The fixture that answers this system prompt / last user message (or undefined). */
+  match(system, user) {
+    return this.fixtures.find(
+      (f) =>
+        (!f.system || new RegExp(f.system, "i").test(system)) &&
+        (!f.user || new RegExp(f.user, "i").test(user))
+    );
+  }
+
+  _answer(messages) {
+    const system = messages.filter((m) => roleOf(m) === "system").map(textOf).join("\n");
+    const user = textOf([...messages].reverse().find((m) => roleOf(m) === "user") || {});
+    const hit = this.match(system, user);
+    if (!hit) return { content: "", toolCalls: [] };
+    const content = hit.handler ? STUB_HANDLERS[hit.handler]?.(system, user) ?? "" : String(hit.response ?? "");
+    const toolCalls = (hit.toolCalls || []).map((tc, i) => ({
+      id: `stub_call_${i}`,
+      name: tc.name,
+      args: tc.args || {},
+      type: "tool_call",
+    }));
+    return { content, toolCalls };
+  }
+
+  async _generate(messages) {
+    const { content, toolCalls } = this._answer(messages);
+    const tokens = content.split(/\s+/).filter(Boolean).length;
+    const message = new AIMessage({
+      content,
+      tool_calls: toolCalls,
+      usage_metadata: { input_tokens: 0, output_tokens: tokens, total_tokens: tokens },
+      response_metadata: { tokenUsage: { totalTokens: tokens } },
+    });
+    return { generations: [{ text: content, message }] };
+  }
+
+  async *_streamResponseChunks(messages, options) {
+    const { content, toolCalls } = this._answer(messages);
+    const parts = content.match(/\S+\s*/g) || [];
+    for (const text of parts) {
+      if (options?.signal?.aborted) return;
+      yield new ChatGenerationChunk({ text, message: new AIMessageChunk({ content: text }) });
+    }
+    yield new ChatGenerationChunk({
+      text: "",
+      message: new AIMessageChunk({
+        content: "",
+        tool_call_chunks: toolCalls.map((tc, index) => ({
+          id: tc.id,
+          name: tc.name,
+          args: JSON.stringify(tc.args),
+          index,
+          type: "tool_call_chunk",
+        })),
+        usage_metadata: { input_tokens: 0, output_tokens: parts.length, total_tokens: parts.length },
+      }),
+    });
+  }
+}
+
+export function loadStubFixtures() {
+  const file = process.env.LLM_STUB_FIXTURES || path.join(__dirname, "fixtures", "llm-stub.json");
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/** Resolve the configured provider name. */
+export function resolveProvider(env = process.env) {
+  const p = String(env.LLM_PROVIDER || "").toLowerCase();
+  if (p) return p;
+  return env.GROQ_API_KEY ? "groq" : "stub";
+}
+
+/** Build the chat model for the configured provider. Returns { llm, provider, model }. */
+export function createLLM(env = process.env) {
+  const provider = resolveProvider(env);
+  const temperature = Number.isFinite(+env.LLM_TEMPERATURE) ? +env.LLM_TEMPERATURE : DEFAULT_TEMPERATURE;
+
+  switch (provider) {
+    case "groq": {
+      const model = env.LLM_MODEL || "llama-3.3-70b-versatile";
+      return { llm: new ChatGroq({ model, temperature }), provider, model };
+    }
+    case "openai": {
+      if (!env.LLM_BASE_URL) throw new Error("LLM_PROVIDER=openai needs LLM_BASE_URL (e.g. http://localhost:11434/v1).");
+      const model = env.LLM_MODEL || "llama3.1";
+      const llm = new ChatOpenAI({
+        model,
+        temperature,
+        apiKey: env.LLM_API_KEY || "not-needed",
+        streamUsage: true,
+        configuration: { baseURL: env.LLM_BASE_URL },
+      });
+      return { llm, provider, model };
+    }
+    case "stub":
+      return { llm: new StubChatModel({ fixtures: loadStubFixtures() }), provider, model: "stub" };
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}" (use groq, openai or stub).`);
+  }
+}
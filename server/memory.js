@@ -0,0 +1,277 @@
+/**
+ * server/memory.js
+ * Long-term coach memory for the AI chat.
+ * - Rolling summaries: every SUMMARY_EVERY new messages, a conversation's summary is
+ *   refreshed and durable user facts (triggers, NRT, quit history…) are extracted.
+ *   A short lease on the conversation (summaryLeaseAt) keeps two quick turns from
+ *   summarizing at once; the result is committed in one transaction that checks
+ *   summarizedCount hasn't moved.
+ * - Facts live in one per-user doc: users/{uid}/coach/memory { facts[], forgotten[] }.
+ * - getMemoryContext(): compact text block injected into the chat system prompt.
+ * - buildMemoryRouter(): GET /memory, DELETE /memory/facts/:id, DELETE /memory (forget all).
+ * JSON replies go through invokeJson() (server/structured.js).
+ * Used by server/index.js.
+ */
+
+import express from "express";
+import crypto from "crypto";
+import { invokeJson } from "./structured.js";
+
+const SUMMARY_EVERY = 10;     // new messages before a conversation is re-summarized
+const SUMMARY_LEASE_MS = 2 * 60 * 1000; // a summary pass older than this is presumed dead
+const MAX_FACTS = 50;         // oldest facts drop off first
+const OTHER_CONVOS = 3;       // summaries of other recent threads to include
+const BATCH_LIMIT = 450;      // stay under Firestore's 500 writes per batch
+const FACT_CATEGORIES = ["trigger", "nrt", "quit_history", "coping", "health", "other"];
+
+const SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["summary"],
+  properties: {
+    summary: { type: "string" },
+    facts: { type: "array", items: { type: "object", properties: { category: { type: "string" }, text: { type: "string" } } } },
+  },
+};
+
+const memoryDoc = (fdb, uid) => fdb.collection("users").doc(uid).collection("coach").doc("memory");
+
+// Normalized key so "Coffee triggers cravings." and "coffee triggers cravings" dedupe.
+function factKey(text = "") {
+  return String(text).toLowerCase().replace(/[^a-z0-9\s]/g, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Text block for the system prompt: remembered facts, the summary of the older part of
+ * this conversation, and summaries of a few other recent conversations.
+ */
+export async function getMemoryContext(fdb, uid, convoRef) {
+  const lines = [];
+  try {
+    const snap = await memoryDoc(fdb, uid).get();
+    const facts = snap.exists ? snap.data()?.facts || [] : [];
+    if (facts.length) {
+      lines.push("Known facts about the user:");
+      lines.push(...facts.map((f) => `- [${f.category}] ${f.text}`));
+    }
+
+    if (convoRef) {
+      const cur = await convoRef.get();
+      const summary = cur.exists ? cur.data()?.summary : null;
+      if (summary) {
+        if (lines.length) lines.push("");
+        lines.push(`Earlier in this conversation: ${summary}`);
+      }
+    }
+
+    const others = await fdb
+      .collection("users").doc(uid)
+      .collection("conversations")
+      .orderBy("updatedAt", "desc")
+      .limit(OTHER_CONVOS + 1)
+      .get();
+    const otherSummaries = others.docs
+      .filter((d) => d.id !== convoRef?.id && d.data()?.summary)
+      .slice(0, OTHER_CONVOS)
+      .map((d) => `- ${d.data().title || "Untitled"}: ${d.data().summary}`);
+    if (otherSummaries.length) {
+      if (lines.length) lines.push("");
+      lines.push("Other recent conversations:");
+      lines.push(...otherSummaries);
+    }
+  } catch (e) {
+    console.warn("Failed to load coach memory:", e.message);
+  }
+  return lines.length ? lines.join("\n") : "No long-term memory yet.";
+}
+
+/**
+ * Re-summarize a conversation once SUMMARY_EVERY messages have accumulated since the
+ * last pass, and merge any newly extracted facts into the user's memory doc.
+ * Safe to fire-and-forget after each assistant reply.
+ */
+export async function maybeSummarizeConversation(admin, fdb, llm, uid, convoRef) {
+  const FieldValue = admin.firestore.FieldValue;
+  const msgsRef = convoRef.collection("messages");
+  const total = (await msgsRef.count().get()).data().count;
+
+  // Claim the pass: only one turn summarizes a conversation at a time
+  const claim = await fdb.runTransaction(async (tx) => {
+    const snap = await tx.get(convoRef);
+    if (!snap.exists) return { skipped: "missing" };
+    const data = snap.data() || {};
+    const done = Number(data.summarizedCount) || 0;
+    if (total - done < SUMMARY_EVERY) return { skipped: "not-due" };
+    const lease = data.summaryLeaseAt?.toMillis?.() ?? 0;
+    if (Date.now() - lease < SUMMARY_LEASE_MS) return { skipped: "in-progress" };
+    tx.update(convoRef, { summaryLeaseAt: admin.firestore.Timestamp.now() });
+    return { convo: data, done };
+  });
+  if (claim.skipped) return claim;
+  const { convo, done } = claim;
+  const release = () => convoRef.update({ summaryLeaseAt: FieldValue.delete() }).catch(() => {});
+
+  const fresh = await msgsRef.orderBy("createdAt", "asc").offset(done).get();
+  const transcript = fresh.docs
+    .map((d) => d.data())
+    .map((m) => `${m.role === "user" ? "User" : "Coach"}: ${String(m.content || "").slice(0, 600)}`)
+    .join("\n");
+
+  const sys = `
+You maintain long-term memory for a quit-smoking coach.
+Given the previous summary and new messages, return ONLY JSON:
+{"summary":"<updated summary, max 80 words>","facts":[{"category":"${FACT_CATEGORIES.join("|")}","text":"<one short durable fact about the user>"}]}
+Rules:
+- Facts must be stable and useful later (triggers, NRT or medication in use, past quit attempts, coping that works, relevant health notes).
+- Write facts in third person ("Smokes after morning coffee"). Max 5 facts; [] if none.
+- No greetings, no advice, no markdown.
+`.trim();
+  const user = `
+PREVIOUS SUMMARY
+${convo.summary || "(none)"}
+
+NEW MESSAGES
+${transcript}
+`.trim();
+
+  const out = await invokeJson(llm, [{ role: "system", content: sys }, { role: "user", content: user }], {
+    schema: SUMMARY_SCHEMA,
+    label: "memory-summary",
+  });
+  if (!out.ok) {
+    console.warn(`Memory summary unusable (${out.reason}: ${out.error}); will retry next turn`);
+    await release();
+    return { skipped: out.reason };
+  }
+  const parsed = out.data;
+
+  const summary = String(parsed?.summary || "").trim().slice(0, 800);
+  const extracted = (Array.isArray(parsed?.facts) ? parsed.facts : [])
+    .map((f) => ({
+      category: FACT_CATEGORIES.includes(f?.category) ? f.category : "other",
+      text: String(f?.text || "").trim().slice(0, 200),
+    }))
+    .filter((f) => f.text);
+
+  // Summary and facts are read-modify-written together; a pass that lost its lease
+  // (someone else already advanced summarizedCount) writes nothing.
+  const ref = memoryDoc(fdb, uid);
+  const committed = await fdb.runTransaction(async (tx) => {
+    const [cSnap, mSnap] = await Promise.all([tx.get(convoRef), tx.get(ref)]);
+    if (!cSnap.exists || (Number(cSnap.data()?.summarizedCount) || 0) !== done) return false;
+
+    tx.update(convoRef, {
+      ...(summary ? { summary } : {}),
+      summarizedCount: total,
+      summaryUpdatedAt: FieldValue.serverTimestamp(),
+      summaryLeaseAt: FieldValue.delete(),
+    });
+    if (!extracted.length) return true;
+
+    const data = mSnap.exists ? mSnap.data() || {} : {};
+    const facts = Array.isArray(data.facts) ? data.facts : [];
+    const forgotten = new Set(data.forgotten || []);
+    const seen = new Set(facts.map((f) => factKey(f.text)));
+
+    for (const f of extracted) {
+      const key = factKey(f.text);
+      if (!key || seen.has(key) || forgotten.has(key)) continue;
+      seen.add(key);
+      facts.push({
+        id: crypto.randomUUID(),
+        ...f,
+        conversationId: convoRef.id,
+        createdAt: new Date().toISOString(),
+      });
+    }
+
+    tx.set(ref, { facts: facts.slice(-MAX_FACTS), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    return true;
+  });
+
+  if (!committed) return { skipped: "superseded" };
+  return { summarized: true, facts: extracted.length };
+}
+
+/**
+ * Build the memory router (api is already auth-protected in index.js).
+ * Expects req.uid (set by requireFirebaseAuth).
+ */
+export function buildMemoryRouter(admin, fdb) {
+  const router = express.Router();
+
+  /* View remembered facts */
+  router.get("/memory", async (req, res) => {
+    try {
+      const snap = await memoryDoc(fdb, req.uid).get();
+      const data = snap.exists ? snap.data() || {} : {};
+      res.json({ facts: data.facts || [], updatedAt: data.updatedAt || null });
+    } catch (e) {
+      console.error("GET /memory error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Forget one fact (and never re-learn the same text) */
+  router.delete("/memory/facts/:id", async (req, res) => {
+    try {
+      const ref = memoryDoc(fdb, req.uid);
+      const removed = await fdb.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const facts = snap.exists ? snap.data()?.facts || [] : [];
+        const hit = facts.find((f) => f.id === req.params.id);
+        if (!hit) return null;
+        tx.set(
+          ref,
+          {
+            facts: facts.filter((f) => f.id !== hit.id),
+            forgotten: admin.firestore.FieldValue.arrayUnion(factKey(hit.text)),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+        return hit;
+      });
+      if (!removed) return res.status(404).json({ error: "Fact not found" });
+      res.json({ ok: true, id: removed.id });
+    } catch (e) {
+      console.error("DELETE /memory/facts/:id error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Forget everything: facts plus conversation summaries. summarizedCount is kept so
+     the same old messages are not mined again on the next turn, and `forgotten` is kept
+     (plus the facts cleared now) so none of them is re-learned later. */
+  router.delete("/memory", async (req, res) => {
+    try {
+      const ref = memoryDoc(fdb, req.uid);
+      await fdb.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const data = snap.exists ? snap.data() || {} : {};
+        const forgotten = new Set([...(data.forgotten || []), ...(data.facts || []).map((f) => factKey(f.text))]);
+        forgotten.delete("");
+        tx.set(ref, {
+          facts: [],
+          forgotten: [...forgotten],
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      const convos = await fdb
+        .collection("users").doc(req.uid)
+        .collection("conversations")
+        .where("summarizedCount", ">", 0)
+        .get();
+      for (let i = 0; i < convos.docs.length; i += BATCH_LIMIT) {
+        const batch = fdb.batch();
+        convos.docs.slice(i, i + BATCH_LIMIT).forEach((d) => batch.update(d.ref, { summary: admin.firestore.FieldValue.delete() }));
+        await batch.commit();
+      }
+      res.json({ ok: true });
+    } catch (e) {
+      console.error("DELETE /memory error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -4,12 +4,14 @@
  * - /api/push/register: registers device tokens.
  * - /api/push/send: sends notifications to the current user.
  * - /api/push/badge-unlocked: pushes badge achievement alerts.
- * - scheduleDailyPushJobs(): sends daily log and challenge reminders (20:30 & 20:35 Athens time).
+ * - scheduleDailyPushJobs(): sends daily log and challenge reminders (20:30 & 20:35 in each
+ *   user's time zone) to the users whose users/{uid}.reminders_next_at has come up.
  * Used by server/index.js.
  */
 
 import express from "express";
 import cron from "node-cron";
+import { timeZoneOf, dayKey, addDaysToKey, dateAt } from "./timezone.js";
 
 // read user's notification prefs once
 async function getUserPrefs(fdb, uid) {
@@ -141,21 +143,45 @@ export function buildPushRouter(admin, fdb) {
   return router;
 }
 
-// Two daily cron jobs that send push reminders (Athens timezone)
+// Daily reminders at 20:30 (daily log) and 20:35 (challenges) in each user's own time
+// zone (users/{uid}.timezone, see server/timezone.js). Every user doc carries
+// reminders_next_at, the next slot in their zone; a job every 5 minutes reads only the
+// users whose slot has come up, sends what's due and stores the following slot. The app
+// sets it to "now" when the zone changes (setUserTimeZone), so the next tick reschedules.
+// Notification ids are per local day, so a slot is never sent twice.
+const REMINDER_TICK_MIN = 5;
+const REMINDER_GRACE_MIN = 30; // a late tick still sends; anything older is skipped
+const REMINDER_PARALLEL = 10;
+const REMINDERS = [
+  { at: 20 * 60 + 30, type: "daily_log" },
+  { at: 20 * 60 + 35, type: "daily_challenges" },
+];
+
+const slotTime = (min) => `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+
+/** The first reminder slot after `now` in `tz`. */
+export function nextReminderAt(tz, now = new Date()) {
+  const today = dayKey(now, tz);
+  return [today, addDaysToKey(today, 1)]
+    .flatMap((key) => REMINDERS.map((r) => dateAt(key, slotTime(r.at), tz)))
+    .filter((d) => d > now)
+    .sort((a, b) => a - b)[0];
+}
+
+// Users from before reminders_next_at: due now, so the first tick schedules them
+async function backfillReminderSchedule(fdb) {
+  const snap = await fdb.collection("users").select("reminders_next_at").get();
+  const missing = snap.docs.filter((d) => !d.get("reminders_next_at"));
+  for (let i = 0; i < missing.length; i += 450) {
+    const batch = fdb.batch();
+    missing.slice(i, i + 450).forEach((d) => batch.set(d.ref, { reminders_next_at: new Date() }, { merge: true }));
+    await batch.commit();
+  }
+}
+
 export function scheduleDailyPushJobs(admin, fdb) {
-  const tz = "Europe/Athens";
-
-  const todayISOAthens = (date = new Date()) =>
-    new Intl.DateTimeFormat("en-CA", {
-      timeZone: tz,
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-    }).format(date).replace(/\//g, "-");
-
-  const sendToUser = async (uid, { title, body, type, data, prefKey }) => {
-    // Skip entirely if user turned this category off
-    const notifId = `${type}_${todayISOAthens()}`;
+  const sendToUser = async (uid, profile, iso, { title, body, type, data, prefKey }) => {
+    const notifId = `${type}_${iso}`;
     const notifDoc = fdb.collection("users").doc(uid).collection("notifications").doc(notifId);
     const exists = await notifDoc.get();
     if (exists.exists) return; // already sent today
@@ -167,7 +193,8 @@ export function scheduleDailyPushJobs(admin, fdb) {
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
     }, { merge: false });
 
-    const prefs = prefKey ? await getUserPrefs(fdb, uid) : {};
+    // Skip the push (not the in-app notification) if the user turned this category off
+    const prefs = profile?.notification_preferences || {};
     const allowPush = prefKey ? prefs[prefKey] !== false : true;
 
     const tokensSnap = await fdb.collection("users").doc(uid).collection("devices").get();
@@ -183,62 +210,77 @@ export function scheduleDailyPushJobs(admin, fdb) {
         },
         android: { priority: "high", notification: { channelId: "default" } },
       });
-    };
-
-    // 20:30 — Daily log
-    cron.schedule(
-      "30 20 * * *",
-      async () => {
-        try {
-          const usersSnap = await fdb.collection("users").get();
-          const iso = todayISOAthens();
-          await Promise.all(usersSnap.docs.map(async (u) => {
-            const uid = u.id;
-            // Only if user hasn't logged today
-            const log = await fdb.collection("users").doc(uid).collection("dailyLogs").doc(iso).get();
-            if (log.exists) return;
-            await sendToUser(uid, {
-              title: "Add your daily log!",
-              body: "Quick check-in takes 30 seconds.",
-              type: "daily_log",
-              data: { date: iso },
-              prefKey: "daily_reminders",
-            });
-          }));
-        } catch (e) { console.error("cron daily_log:", e); }
-      },
-      { timezone: tz }
-    );
+    }
+  };
 
-    // 20:35 — Daily challenges
-    cron.schedule(
-      "35 20 * * *",
-      async () => {
-        try {
-          const usersSnap = await fdb.collection("users").get();
-          const iso = todayISOAthens();
-          await Promise.all(usersSnap.docs.map(async (u) => {
-            const uid = u.id;
-            // If user already has uncompleted challenges due today, skip
-            const qs = await fdb
-              .collection("Challenge")
-              .where("user_id", "==", uid)
-              .where("due_date", "==", iso)
-              .where("completed", "==", false)
-              .limit(1)
-              .get();
-            if (!qs.empty) return;
-            await sendToUser(uid, {
-              title: "Generate your 3 daily challenges!",
-              body: "Get 3 quick wins to stay on track.",
-              type: "daily_challenges",
-              data: { date: iso },
-              prefKey: "challenge_notifications",
-            });
-          }));
-        } catch (e) { console.error("cron daily_challenges:", e); }
-      },
-      { timezone: tz }
-    );
-  }
+  // 20:30 — Daily log, only if the user hasn't logged today
+  const remindDailyLog = async (uid, profile, iso) => {
+    const log = await fdb.collection("users").doc(uid).collection("dailyLogs").doc(iso).get();
+    if (log.exists) return;
+    await sendToUser(uid, profile, iso, {
+      title: "Add your daily log!",
+      body: "Quick check-in takes 30 seconds.",
+      type: "daily_log",
+      data: { date: iso },
+      prefKey: "daily_reminders",
+    });
+  };
+
+  // 20:35 — Daily challenges, unless uncompleted challenges are already due today
+  const remindChallenges = async (uid, profile, iso) => {
+    const qs = await fdb
+      .collection("Challenge")
+      .where("user_id", "==", uid)
+      .where("due_date", "==", iso)
+      .where("completed", "==", false)
+      .limit(1)
+      .get();
+    if (!qs.empty) return;
+    await sendToUser(uid, profile, iso, {
+      title: "Generate your 3 daily challenges!",
+      body: "Get 3 quick wins to stay on track.",
+      type: "daily_challenges",
+      data: { date: iso },
+      prefKey: "challenge_notifications",
+    });
+  };
+
+  const handlers = { daily_log: remindDailyLog, daily_challenges: remindChallenges };
+
+  // Slots that came up between the stored reminders_next_at and now (within the grace)
+  const remindUser = async (u, now) => {
+    const profile = u.data() || {};
+    const tz = timeZoneOf(profile);
+    const today = dayKey(now, tz);
+    const from = profile.reminders_next_at?.toDate?.() || now;
+    for (const r of REMINDERS) {
+      const slot = dateAt(today, slotTime(r.at), tz);
+      if (slot < from || slot > now || now - slot >= REMINDER_GRACE_MIN * 60000) continue;
+      try {
+        await handlers[r.type](u.id, profile, today);
+      } catch (e) {
+        console.error(`cron ${r.type} (${u.id}):`, e);
+      }
+    }
+    await u.ref.set({ reminders_next_at: nextReminderAt(tz, now) }, { merge: true });
+  };
+
+  backfillReminderSchedule(fdb).catch((e) => console.error("reminder backfill:", e));
+
+  let running = false;
+  cron.schedule(`*/${REMINDER_TICK_MIN} * * * *`, async () => {
+    if (running) return; // the previous tick is still sending
+    running = true;
+    try {
+      const now = new Date();
+      const usersSnap = await fdb.collection("users").where("reminders_next_at", "<=", now).get();
+      for (let i = 0; i < usersSnap.docs.length; i += REMINDER_PARALLEL) {
+        await Promise.all(usersSnap.docs.slice(i, i + REMINDER_PARALLEL).map((u) => remindUser(u, now)));
+      }
+    } catch (e) {
+      console.error("cron reminders:", e);
+    } finally {
+      running = false;
+    }
+  });
 }
@@ -0,0 +1,272 @@
+/**
+ * server/recommender.js
+ * Local, explainable challenge recommender (no LLM in the ranking).
+ * - Per-user Thompson sampling over catalog categories: each category has a Beta posterior
+ *   built from Challenge outcomes (completed vs. missed) and challengePrefs
+ *   (likes, dislikes, swaps). One sample per category per pick.
+ * - Candidate score = category sample + difficulty fit (server/difficulty.js) + quit-reason
+ *   overlap + liked-before bonus − recent-repeat and variety penalties. Every pick carries
+ *   its score breakdown.
+ * - Sampling uses a seeded PRNG (e.g. uid + date), so results are reproducible and the
+ *   whole thing can be replayed offline on recorded histories
+ *   (server/replayRecommender.js + server/fixtures/recommender-histories.json).
+ * - rephraseReasons(): the LLM only rewrites the template reasons into friendlier text.
+ * Used by server/index.js.
+ */
+
+import { computeDifficultyProfile, difficultyFit } from "./difficulty.js";
+import { invokeJson } from "./structured.js";
+import { DEFAULT_TIMEZONE, todayKey, addDaysToKey } from "./timezone.js";
+
+const HISTORY_LIMIT = 150;         // most recent Challenge docs considered
+const RECENT_REPEAT_DAYS = 14;     // same catalog item again within this window is penalized
+
+// Pseudo-counts added to a category's Beta(alpha, beta)
+const W = { completed: 1, missed: 1, like: 1, dislike: 1, swap: 0.5 };
+// Score weights
+const S = { category: 2, difficulty: 0.75, quitHit: 0.4, quitMax: 1, liked: 0.5, recent: -1, variety: -0.4 };
+
+/* ---------- seeded randomness ---------- */
+
+/** mulberry32 over a string hash: same seed → same sequence. */
+export function createRng(seed = "") {
+  let h = 1779033703 ^ String(seed).length;
+  for (let i = 0; i < String(seed).length; i++) {
+    h = Math.imul(h ^ String(seed).charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(rng) {
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Marsaglia–Tsang; shape < 1 handled with the usual boost.
+function sampleGamma(shape, rng) {
+  if (shape < 1) return sampleGamma(shape + 1, rng) * Math.pow(Math.max(rng(), 1e-12), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+export function sampleBeta(alpha, beta, rng) {
+  const x = sampleGamma(alpha, rng);
+  const y = sampleGamma(beta, rng);
+  return x / (x + y);
+}
+
+/* ---------- posteriors ---------- */
+
+const categoryOf = (c) => c?.category || c?.type || "other";
+
+/**
+ * Beta posterior per category from Challenge docs (only days before `today` count as
+ * outcomes) and challengePrefs docs ({ type, preference, signal }).
+ */
+export function categoryPosteriors(challenges = [], prefs = [], today) {
+  const post = {};
+  const get = (cat) => (post[cat] ||= { alpha: 1, beta: 1, completed: 0, assigned: 0, likes: 0, dislikes: 0, swaps: 0 });
+
+  for (const c of challenges) {
+    const day = c.multi_day ? c.end_date : c.due_date;
+    if (!day || (day >= today && !c.completed)) continue; // still open
+    const p = get(categoryOf(c));
+    p.assigned += 1;
+    if (c.completed) {
+      p.completed += 1;
+      p.alpha += W.completed;
+    } else {
+      p.beta += W.missed;
+    }
+  }
+  for (const pref of prefs) {
+    if (!pref?.type) continue;
+    const p = get(pref.type);
+    if (pref.preference === "like") {
+      p.likes += 1;
+      p.alpha += W.like;
+    } else if (pref.preference === "dislike") {
+      p.dislikes += 1;
+      p.beta += W.dislike;
+    }
+    if (pref.signal === "swap") {
+      p.swaps += 1;
+      p.beta += W.swap;
+    }
+  }
+  return post;
+}
+
+/* ---------- ranking ---------- */
+
+function quitKeywords(quitReasons = "") {
+  return [...new Set(String(quitReasons).toLowerCase().split(/[^a-z]+/).filter((w) => w.length > 3))];
+}
+
+/** Short template reason from a breakdown (the LLM may rephrase it later). */
+export function explain(b) {
+  const parts = [];
+  if (b.completion.assigned) {
+    parts.push(`you've finished ${b.completion.completed}/${b.completion.assigned} ${b.category} challenges`);
+  } else {
+    parts.push(`a fresh ${b.category} challenge to try`);
+  }
+  if (b.difficulty.fit >= 0.5) parts.push(`fits your ${b.difficulty.target} level`);
+  if (b.quitReasonBoost > 0) parts.push("ties into your quit reasons");
+  if (b.likedBefore) parts.push("you liked it before");
+  const s = parts.join(", ");
+  return s.charAt(0).toUpperCase() + s.slice(1) + ".";
+}
+
+/**
+ * Pick k candidates. Returns [{ id, candidate, score, breakdown, reason }] in pick order.
+ * Input: candidates (catalog docs with id), challenges (user's Challenge docs), prefs
+ * (challengePrefs docs), difficulty (profile or null), quitReasons (text),
+ * exclude (Set of catalog ids), seed, today (YYYY-MM-DD).
+ */
+export function recommend({
+  candidates = [],
+  challenges = [],
+  prefs = [],
+  difficulty = null,
+  quitReasons = "",
+  exclude = new Set(),
+  k = 3,
+  seed = "",
+  today = todayKey(DEFAULT_TIMEZONE),
+}) {
+  const rng = createRng(seed);
+  const post = categoryPosteriors(challenges, prefs, today);
+  const level = difficulty?.level ?? 1.75;
+  const target = difficulty?.target ?? "medium";
+  const keywords = quitKeywords(quitReasons);
+
+  const cutoffIso = addDaysToKey(today, -RECENT_REPEAT_DAYS);
+  const recent = new Set(challenges.filter((c) => c.catalog_id && (c.due_date || "") >= cutoffIso).map((c) => c.catalog_id));
+  const liked = new Set(prefs.filter((p) => p.preference === "like" && p.catalog_id).map((p) => p.catalog_id));
+  const disliked = new Set(prefs.filter((p) => p.preference === "dislike" && p.catalog_id).map((p) => p.catalog_id));
+
+  // Candidates sorted by id so ties (and sampling order) don't depend on query order
+  let pool = candidates
+    .filter((c) => c?.id && !exclude.has(c.id) && !disliked.has(c.id))
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  const cats = [...new Set([...Object.keys(post), ...pool.map(categoryOf)])].sort();
+  const pickedPerCat = {};
+  const picks = [];
+
+  while (picks.length < k && pool.length) {
+    const samples = Object.fromEntries(
+      cats.map((cat) => {
+        const p = post[cat] || { alpha: 1, beta: 1 };
+        return [cat, sampleBeta(p.alpha, p.beta, rng)];
+      })
+    );
+
+    let best = null;
+    for (const c of pool) {
+      const cat = categoryOf(c);
+      const p = post[cat] || { alpha: 1, beta: 1, completed: 0, assigned: 0, likes: 0, dislikes: 0, swaps: 0 };
+      const text = `${c.title || ""} ${c.description || ""}`.toLowerCase();
+      const hits = keywords.filter((w) => text.includes(w)).length;
+      const breakdown = {
+        category: cat,
+        categorySample: +samples[cat].toFixed(3),
+        categoryMean: +(p.alpha / (p.alpha + p.beta)).toFixed(3),
+        completion: { completed: p.completed, assigned: p.assigned },
+        prefs: { likes: p.likes, dislikes: p.dislikes, swaps: p.swaps },
+        difficulty: { value: c.difficulty || null, target, fit: +difficultyFit(c.difficulty, level).toFixed(2) },
+        quitReasonBoost: +Math.min(S.quitMax, hits * S.quitHit).toFixed(2),
+        likedBefore: liked.has(c.id),
+        recentRepeat: recent.has(c.id),
+        varietyPenalty: (pickedPerCat[cat] || 0) * S.variety,
+      };
+      const score =
+        S.category * breakdown.categorySample +
+        S.difficulty * breakdown.difficulty.fit +
+        breakdown.quitReasonBoost +
+        (breakdown.likedBefore ? S.liked : 0) +
+        (breakdown.recentRepeat ? S.recent : 0) +
+        breakdown.varietyPenalty;
+      if (!best || score > best.score) best = { id: c.id, candidate: c, score: +score.toFixed(3), breakdown };
+    }
+
+    best.reason = explain(best.breakdown);
+    picks.push(best);
+    pickedPerCat[best.breakdown.category] = (pickedPerCat[best.breakdown.category] || 0) + 1;
+    pool = pool.filter((c) => c.id !== best.id);
+  }
+  return picks;
+}
+
+/* ---------- data + wording ---------- */
+
+/** Everything recommend() needs for one user (one round of parallel reads); `today` is the user's day key. */
+export async function loadRecommenderInputs(fdb, uid, today) {
+  const userRef = fdb.collection("users").doc(uid);
+  const [chSnap, prefSnap, logSnap, catSnap] = await Promise.all([
+    fdb.collection("Challenge").where("user_id", "==", uid).orderBy("created_date", "desc").limit(HISTORY_LIMIT).get(),
+    userRef.collection("challengePrefs").limit(500).get(),
+    userRef.collection("dailyLogs").where("date", ">=", addDaysToKey(today, -27)).get(),
+    fdb.collection("challenges_catalog").where("active", "==", true).limit(500).get(),
+  ]);
+  const challenges = chSnap.docs.map((d) => d.data() || {});
+  const logs = logSnap.docs.map((d) => d.data() || {});
+  return {
+    challenges,
+    prefs: prefSnap.docs.map((d) => d.data() || {}),
+    candidates: catSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    difficulty: computeDifficultyProfile(challenges, logs, today),
+  };
+}
+
+const REASONS_SCHEMA = {
+  type: "object",
+  required: ["reasons"],
+  properties: {
+    reasons: {
+      type: "array",
+      items: { type: "object", required: ["id", "reason"], properties: { id: { type: "string" }, reason: { type: "string" } } },
+    },
+  },
+};
+
+/** Let the LLM reword the template reasons; ranking is never changed. Falls back to templates. */
+export async function rephraseReasons(llm, picks) {
+  if (!picks.length) return picks;
+  const sys = `
+You rewrite short explanations for a quit-smoking app.
+For each item, turn "facts" into ONE friendly sentence (max 20 words) addressed to the user.
+Use only the given facts; do not add new claims.
+Output ONLY JSON: {"reasons":[{"id":"<id>","reason":"<sentence>"}]}
+`.trim();
+  const user = JSON.stringify(picks.map((p) => ({ id: p.id, title: p.candidate.title, facts: p.reason })));
+  const out = await invokeJson(llm, [{ role: "system", content: sys }, { role: "user", content: user }], {
+    schema: REASONS_SCHEMA,
+    label: "recommender-reasons",
+  });
+  if (!out.ok) {
+    console.warn(`[recommender-reasons] ${out.reason}: ${out.error}; keeping template reasons`);
+    return picks;
+  }
+  const byId = new Map(out.data.reasons.map((r) => [r.id, String(r.reason).trim().slice(0, 200)]));
+  return picks.map((p) => ({ ...p, reason: byId.get(p.id) || p.reason }));
+}
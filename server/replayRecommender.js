@@ -0,0 +1,75 @@
+/**
+ * server/replayRecommender.js
+ * Offline check of the challenge recommender against recorded user histories.
+ * - Candidates: challenges_catalog.json (ids as the seeder derives them).
+ * - Histories + expectations: server/fixtures/recommender-histories.json
+ *   (or a file passed as the first argument).
+ * - Prints each pick with its score breakdown; exits 1 when an expectation fails.
+ * No Firebase, no network: `npm run recommender:replay`.
+ */
+
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+import { recommend } from "./recommender.js";
+import { computeDifficultyProfile } from "./difficulty.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, "..");
+
+// Same id scheme as seed_challenges.cjs
+const idFromTitle = (t) => String(t).toLowerCase().replace(/\s+/g, "_").replace(/[^a-z0-9_]/g, "");
+
+const catalog = JSON.parse(fs.readFileSync(path.join(root, "challenges_catalog.json"), "utf8"))
+  .filter((c) => c.active !== false)
+  .map((c) => ({ id: c.id || idFromTitle(c.title), ...c }));
+const historiesFile = process.argv[2] || path.join(__dirname, "fixtures", "recommender-histories.json");
+const histories = JSON.parse(fs.readFileSync(historiesFile, "utf8"));
+
+function check(h, picks, difficulty) {
+  const e = h.expect || {};
+  const fails = [];
+  const cats = picks.map((p) => p.breakdown.category);
+  if (e.count != null && picks.length !== e.count) fails.push(`expected ${e.count} picks, got ${picks.length}`);
+  if (e.minCategories && new Set(cats).size < e.minCategories) fails.push(`expected ≥${e.minCategories} categories, got ${new Set(cats).size}`);
+  if (e.firstCategory && cats[0] !== e.firstCategory) fails.push(`expected first pick in ${e.firstCategory}, got ${cats[0]}`);
+  if (e.includesCategory && !cats.includes(e.includesCategory)) fails.push(`expected a ${e.includesCategory} pick`);
+  if (e.difficultyTarget && difficulty.target !== e.difficultyTarget) fails.push(`expected target ${e.difficultyTarget}, got ${difficulty.target}`);
+  if (e.noDifficulty && picks.some((p) => p.candidate.difficulty === e.noDifficulty)) fails.push(`picked a ${e.noDifficulty} challenge`);
+  for (const id of e.excludes || []) if (picks.some((p) => p.id === id)) fails.push(`picked excluded ${id}`);
+  return fails;
+}
+
+let failed = 0;
+for (const h of histories) {
+  const difficulty = computeDifficultyProfile(h.challenges, h.logs, h.today);
+  const picks = recommend({
+    candidates: catalog,
+    challenges: h.challenges,
+    prefs: h.prefs,
+    difficulty,
+    quitReasons: h.quitReasons,
+    exclude: new Set(h.exclude || []),
+    k: h.expect?.count ?? 3,
+    seed: `${h.name}:${h.today}`,
+    today: h.today,
+  });
+  const fails = check(h, picks, difficulty);
+  failed += fails.length ? 1 : 0;
+
+  console.log(`\n${fails.length ? "FAIL" : "ok  "} ${h.name} (difficulty ${difficulty.target}, level ${difficulty.level})`);
+  for (const p of picks) {
+    const b = p.breakdown;
+    console.log(
+      `  ${p.score.toFixed(2).padStart(6)}  ${p.id}  [${b.category}/${b.difficulty.value}]` +
+      `  sample=${b.categorySample} mean=${b.categoryMean} fit=${b.difficulty.fit}` +
+      `${b.quitReasonBoost ? ` quit=+${b.quitReasonBoost}` : ""}${b.varietyPenalty ? ` variety=${b.varietyPenalty}` : ""}`
+    );
+    console.log(`          ${p.reason}`);
+  }
+  fails.forEach((f) => console.log(`  ✗ ${f}`));
+}
+
+console.log(`\n${histories.length - failed}/${histories.length} histories passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,141 @@
+/**
+ * server/safety.js
+ * Crisis and medical-risk screening for the AI coach.
+ * - classifyText(text, stage): pure, rule-based; no network, no model. Rules are data
+ *   (SAFETY_RULES) and server/fixtures/safety-cases.json holds labeled examples for them
+ *   (`npm run safety:check`, server/checkSafety.js).
+ * - "input" stage screens the user's message before the LLM call; "output" screens the
+ *   model's reply (e.g. medication dosing) before it is streamed or saved.
+ * - safeReply(): templated response with helpline resources from server/safety-resources.json
+ *   (override the file with SAFETY_RESOURCES_FILE, pick a region with SAFETY_REGION).
+ * Used by server/index.js.
+ */
+
+import fs from "fs";
+import process from "process";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MEDS = "varenicline|champix|chantix|bupropion|zyban|wellbutrin|cytisine|cytisinicline|nortriptyline";
+
+// severity: "crisis" outranks "medical"
+export const SAFETY_RULES = [
+  {
+    category: "self_harm",
+    severity: "crisis",
+    stages: ["input"],
+    patterns: [
+      /\b(kill(ing)?|hurt(ing)?|harm(ing)?|cut(ting)?) myself\b/i,
+      /\bsuicid(e|al)\b/i,
+      /\bend (it all|my life)\b/i,
+      /\b(want|wanna|going) to die\b/i,
+      /\bself[- ]?harm\b/i,
+      /\b(no reason to live|better off dead|don'?t want to (live|be alive))\b/i,
+    ],
+  },
+  {
+    category: "severe_withdrawal",
+    severity: "medical",
+    stages: ["input"],
+    patterns: [
+      /\bchest pains?\b/i,
+      /\b(can'?t|cannot|trouble|difficulty) breath(e|ing)\b/i,
+      /\bseizures?\b/i,
+      /\b(fainted|fainting|passed out|blacked out)\b/i,
+      /\bhallucinat\w*/i,
+      /\b(heart (is )?racing|palpitations|irregular heartbeat)\b/i,
+      /\bsevere (headache|depression|anxiety|dizziness)\b/i,
+    ],
+  },
+  {
+    category: "medication",
+    severity: "medical",
+    stages: ["input"],
+    patterns: [
+      new RegExp(`\\b(${MEDS})\\b`, "i"),
+      /\b(overdose|double (the |my )?dose|how much (nicotine|gum|patch(es)?) can i)\b/i,
+      /\b(patch|gum|lozenge|nrt|nicotine)\b[^.?!]{0,60}\b(interact\w*|pregnan\w*|antidepressant|mao ?i|blood thinner)\b/i,
+    ],
+  },
+  {
+    category: "medication_dosing",
+    severity: "medical",
+    stages: ["output"],
+    patterns: [
+      new RegExp(`\\b(${MEDS})\\b[^.]{0,80}\\b\\d+(\\.\\d+)?\\s?mg\\b`, "i"),
+      /\b(stop|quit) taking your (medication|prescription|antidepressant)s?\b/i,
+    ],
+  },
+];
+
+const SEVERITY_RANK = { medical: 1, crisis: 2 };
+
+/**
+ * Classify one message. Returns { flagged, severity, categories, matches } where
+ * severity is the highest of the matched rules (null when nothing matched).
+ */
+export function classifyText(text, stage = "input", rules = SAFETY_RULES) {
+  const s = String(text || "");
+  const categories = [];
+  const matches = [];
+  let severity = null;
+  for (const rule of rules) {
+    if (!rule.stages.includes(stage)) continue;
+    const hit = rule.patterns.map((re) => s.match(re)).find(Boolean);
+    if (!hit) continue;
+    categories.push(rule.category);
+    matches.push(hit[0]);
+    if (!severity || SEVERITY_RANK[rule.severity] > SEVERITY_RANK[severity]) severity = rule.severity;
+  }
+  return { flagged: categories.length > 0, severity, categories, matches };
+}
+
+let _resources = null;
+/** Helpline resources for the configured region, merged over "default". */
+export function getSafetyResources() {
+  if (_resources) return _resources;
+  const file = process.env.SAFETY_RESOURCES_FILE || path.join(__dirname, "safety-resources.json");
+  const region = (process.env.SAFETY_REGION || "default").toUpperCase();
+  let all = {};
+  try {
+    all = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`Could not read safety resources (${file}):`, e.message);
+  }
+  const base = all.default || {};
+  const local = all[region] || {};
+  _resources = {
+    crisis: local.crisis || base.crisis || [],
+    medical: local.medical || base.medical || [],
+  };
+  return _resources;
+}
+
+function formatResources(list = []) {
+  return list
+    .map((r) => `- ${r.name}${r.contact ? `: ${r.contact}` : ""}${r.url ? ` (${r.url})` : ""}`)
+    .join("\n");
+}
+
+/** Templated reply sent instead of the model's answer. */
+export function safeReply(result, resources = getSafetyResources()) {
+  if (result.severity === "crisis") {
+    return [
+      "I’m really glad you told me. What you’re feeling matters, and you don’t have to handle it alone.",
+      "If you might act on these thoughts or are in danger, please contact emergency services now. You can also reach someone right away:",
+      formatResources(resources.crisis),
+      "I’m here to keep talking too — quitting can wait; your safety comes first.",
+    ].join("\n\n");
+  }
+  const withdrawal = result.categories.includes("severe_withdrawal");
+  return [
+    withdrawal
+      ? "Some of what you describe can be serious and isn’t something I can assess. If symptoms are severe or sudden (like chest pain or trouble breathing), call emergency services now."
+      : "Questions about stop-smoking medicines (like varenicline or bupropion), doses or interactions need a clinician or pharmacist who knows your health history — I can’t give that advice safely.",
+    "Helpful contacts:",
+    formatResources(resources.medical),
+    "Meanwhile I’m happy to help with cravings, triggers and planning your day.",
+  ].join("\n\n");
+}
@@ -0,0 +1,213 @@
+/**
+ * server/streakFreezes.js
+ * Opt-in streak freezes: spend a token to keep a streak alive after a lapse.
+ * - Earning: one token per FREEZE_POINTS_STEP challenge points and one per
+ *   FREEZE_CHALLENGE_DAYS consecutive days with a completed challenge, counted from the
+ *   moment the user opts in (high-water marks on users/{uid}), at most FREEZE_MAX_TOKENS
+ *   (anything earned while full is dropped). Rules are shared with the app in
+ *   src/utils/streakFreeze.js; undoing a completion lowers the points mark and takes back
+ *   the tokens those points paid (src/services/users.js).
+ * - Spending: only on a slip day from the last FREEZE_GRACE_DAYS days. The daily log keeps
+ *   smoke_free / cigarettes_smoked as logged and gets streak_frozen: true, so analytics
+ *   still see the lapse; server/streaks.js just doesn't end the streak on it.
+ * - users/{uid}: streak_freeze_enabled, streak_freeze_tokens, streak_freeze_points_mark,
+ *   streak_freeze_challenge_mark { start, weeks }.
+ * Routes: GET /streak/freezes, POST /streak/freezes/settings, POST /streak/freeze.
+ * Used by server/index.js.
+ */
+
+import express from "express";
+import { streakAnchor, isSlip, recomputeUserStreak } from "./streaks.js";
+import { timeZoneOf, dayKey, todayKey, addDaysToKey, daysBetweenKeys } from "./timezone.js";
+import {
+  FREEZE_MAX_TOKENS, FREEZE_POINTS_STEP, FREEZE_CHALLENGE_DAYS, FREEZE_GRACE_DAYS,
+} from "../src/utils/streakFreeze.js";
+
+export { FREEZE_MAX_TOKENS, FREEZE_POINTS_STEP, FREEZE_CHALLENGE_DAYS, FREEZE_GRACE_DAYS };
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Consecutive days with a completed challenge, ending today or yesterday. */
+export function challengeRun(dates, today) {
+  const days = new Set(dates);
+  const end = days.has(today) ? today : addDaysToKey(today, -1);
+  if (!days.has(end)) return { start: null, days: 0 };
+  let start = end;
+  while (days.has(addDaysToKey(start, -1))) start = addDaysToKey(start, -1);
+  return { start, days: daysBetweenKeys(start, end) + 1 };
+}
+
+/**
+ * Whole weeks of `run` not paid out yet by `mark` { start, weeks }, which covers
+ * start … start + weeks·FREEZE_CHALLENGE_DAYS - 1. A day pays once: undoing and redoing a
+ * completion (the run shrinks, then grows back) can't earn the same week again.
+ * Returns { weeks, days: unpaid days in the run, mark: the mark after paying them }.
+ */
+export function challengeRunCredit(run, mark = {}) {
+  if (!run.start) return { weeks: 0, days: 0, mark };
+  const end = addDaysToKey(run.start, run.days - 1);
+  const paidThrough = mark.start ? addDaysToKey(mark.start, FREEZE_CHALLENGE_DAYS * (Number(mark.weeks) || 0) - 1) : null;
+  const from = paidThrough && paidThrough >= run.start ? addDaysToKey(paidThrough, 1) : run.start;
+  const days = Math.max(0, daysBetweenKeys(from, end) + 1);
+  const weeks = Math.floor(days / FREEZE_CHALLENGE_DAYS);
+  return { weeks, days, mark: weeks ? { start: from, weeks } : mark };
+}
+
+// Day a completed challenge counts for, as completionDay() in src/services/challengeHistory.js:
+// completedAt in the user's zone, else its end/due date
+function completionDay(c, tz) {
+  const at = c.completedAt?.toDate?.();
+  if (at) return dayKey(at, tz);
+  return String((c.multi_day ? c.end_date : c.due_date) || c.created_date || "").slice(0, 10);
+}
+
+async function completedChallengeDays(fdb, uid, tz) {
+  const snap = await fdb.collection("Challenge").where("user_id", "==", uid).where("completed", "==", true)
+    .select("completedAt", "multi_day", "end_date", "due_date", "created_date").get();
+  return snap.docs.map((d) => completionDay(d.data() || {}, tz)).filter((d) => ISO_DATE.test(d));
+}
+
+// Marks as they are right now: opting in starts counting from here
+function currentMarks(profile, run) {
+  return {
+    streak_freeze_points_mark: Math.floor((Number(profile.total_points) || 0) / FREEZE_POINTS_STEP),
+    streak_freeze_challenge_mark: { start: run.start, weeks: Math.floor(run.days / FREEZE_CHALLENGE_DAYS) },
+  };
+}
+
+/**
+ * Award tokens earned since the stored marks (idempotent; both marks only move forward).
+ * Returns the user doc data after the update plus the current challenge run.
+ */
+export async function syncFreezeTokens(fdb, uid) {
+  const userRef = fdb.collection("users").doc(uid);
+  const profile = (await userRef.get()).data() || {};
+  const tz = timeZoneOf(profile);
+  const run = challengeRun(await completedChallengeDays(fdb, uid, tz), todayKey(tz));
+  if (!profile.streak_freeze_enabled) return { profile, run };
+
+  const updated = await fdb.runTransaction(async (tx) => {
+    const u = (await tx.get(userRef)).data() || {};
+    const now = currentMarks(u, run);
+    const pointsMark = Number.isFinite(u.streak_freeze_points_mark) ? u.streak_freeze_points_mark : now.streak_freeze_points_mark;
+    const credit = challengeRunCredit(run, u.streak_freeze_challenge_mark || now.streak_freeze_challenge_mark);
+
+    const earned = Math.max(0, now.streak_freeze_points_mark - pointsMark) + credit.weeks;
+    const tokens = Math.min(FREEZE_MAX_TOKENS, (Number(u.streak_freeze_tokens) || 0) + earned);
+    const patch = {
+      streak_freeze_tokens: tokens,
+      streak_freeze_points_mark: Math.max(pointsMark, now.streak_freeze_points_mark),
+      streak_freeze_challenge_mark: credit.mark,
+    };
+    tx.set(userRef, patch, { merge: true });
+    return { ...u, ...patch };
+  });
+  return { profile: updated, run };
+}
+
+/** Spend one token on `date`. Returns { date, tokens } or { error, status }. */
+export async function spendFreeze(admin, fdb, uid, date) {
+  const FieldValue = admin.firestore.FieldValue;
+  if (!ISO_DATE.test(String(date || ""))) return { error: "date (YYYY-MM-DD) required", status: 400 };
+  const userRef = fdb.collection("users").doc(uid);
+  const logRef = userRef.collection("dailyLogs").doc(date);
+
+  const result = await fdb.runTransaction(async (tx) => {
+    const [uSnap, logSnap] = await Promise.all([tx.get(userRef), tx.get(logRef)]);
+    const profile = uSnap.data() || {};
+    const log = logSnap.data() || {};
+    const today = todayKey(timeZoneOf(profile));
+    const anchor = streakAnchor(profile);
+    const tokens = Number(profile.streak_freeze_tokens) || 0;
+
+    if (!profile.streak_freeze_enabled) return { error: "Streak freezes are turned off", status: 403 };
+    if (date > today || date < addDaysToKey(today, -FREEZE_GRACE_DAYS)) {
+      return { error: `A freeze can only cover the last ${FREEZE_GRACE_DAYS + 1} days`, status: 400 };
+    }
+    if (!anchor || date < anchor) return { error: "That day is before your quit date", status: 400 };
+    if (!logSnap.exists || !isSlip(log)) return { error: "No lapse logged on that day", status: 400 };
+    if (log.streak_frozen === true) return { error: "That day is already covered", status: 409 };
+    if (tokens < 1) return { error: "No freeze tokens left", status: 409 };
+
+    tx.set(logRef, { streak_frozen: true, streak_frozen_at: FieldValue.serverTimestamp() }, { merge: true });
+    tx.set(userRef, { streak_freeze_tokens: tokens - 1 }, { merge: true });
+    return { date, tokens: tokens - 1 };
+  });
+  if (result.error) return result;
+
+  await recomputeUserStreak(admin, fdb, uid);
+  return result;
+}
+
+/**
+ * Build the streak-freeze router (api is already auth-protected in index.js).
+ * Expects req.uid (set by requireFirebaseAuth).
+ */
+export function buildStreakFreezeRouter(admin, fdb) {
+  const router = express.Router();
+
+  /* Status: tokens (after awarding anything newly earned), progress, lapses that can be covered */
+  router.get("/streak/freezes", async (req, res) => {
+    try {
+      const { profile, run } = await syncFreezeTokens(fdb, req.uid);
+      const today = todayKey(timeZoneOf(profile));
+      const from = addDaysToKey(today, -FREEZE_GRACE_DAYS);
+      const anchor = streakAnchor(profile);
+      const logsSnap = await fdb.collection("users").doc(req.uid).collection("dailyLogs")
+        .where("date", ">=", from).where("date", "<=", today).get();
+      const recent = logsSnap.docs.map((d) => d.data() || {}).filter((l) => isSlip(l) && anchor && l.date >= anchor);
+      const points = Number(profile.total_points) || 0;
+      const nextPointsLevel = Math.max(Number(profile.streak_freeze_points_mark) || 0, Math.floor(points / FREEZE_POINTS_STEP)) + 1;
+
+      res.json({
+        enabled: !!profile.streak_freeze_enabled,
+        tokens: Number(profile.streak_freeze_tokens) || 0,
+        max_tokens: FREEZE_MAX_TOKENS,
+        grace_days: FREEZE_GRACE_DAYS,
+        points_step: FREEZE_POINTS_STEP,
+        points_to_next: nextPointsLevel * FREEZE_POINTS_STEP - points,
+        challenge_days: FREEZE_CHALLENGE_DAYS,
+        challenge_run_days: challengeRunCredit(run, profile.streak_freeze_challenge_mark || {}).days, // not paid out yet
+        eligible: recent.filter((l) => l.streak_frozen !== true).map((l) => l.date).sort(),
+        frozen: recent.filter((l) => l.streak_frozen === true).map((l) => l.date).sort(),
+      });
+    } catch (e) {
+      console.error("GET /streak/freezes error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Opt in/out. Opting in starts earning from the current points and challenge run. */
+  router.post("/streak/freezes/settings", async (req, res) => {
+    try {
+      const enabled = req.body?.enabled === true;
+      const userRef = fdb.collection("users").doc(req.uid);
+      const profile = (await userRef.get()).data() || {};
+      const patch = { streak_freeze_enabled: enabled };
+      if (enabled && !profile.streak_freeze_enabled) {
+        const tz = timeZoneOf(profile);
+        const run = challengeRun(await completedChallengeDays(fdb, req.uid, tz), todayKey(tz));
+        Object.assign(patch, currentMarks(profile, run));
+      }
+      await userRef.set(patch, { merge: true });
+      res.json({ enabled, tokens: Number(profile.streak_freeze_tokens) || 0 });
+    } catch (e) {
+      console.error("POST /streak/freezes/settings error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Spend a token on a recent lapse { date }; the streak is recomputed right away */
+  router.post("/streak/freeze", async (req, res) => {
+    try {
+      const result = await spendFreeze(admin, fdb, req.uid, req.body?.date);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      res.json(result);
+    } catch (e) {
+      console.error("POST /streak/freeze error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,285 @@
+/**
+ * server/streaks.js
+ * Server-authoritative smoke-free streaks — the only place streaks are computed.
+ * - computeStreaks(): pure; walks the slip days (smoke_free === false or cigarettes > 0)
+ *   from the streak anchor (quit date, or target date in "target" mode) up to today in
+ *   the user's time zone, after any streaks archived from earlier quit dates.
+ * - recomputeUserStreak(): writes the result on users/{uid} (current_streak_days,
+ *   streak_start_date, last_slip_date, longest_streak_days, streak_records_broken,
+ *   first_quit_date, streak_computed_for, streak_next_rollover_at = next local midnight),
+ *   one doc per finished streak in
+ *   users/{uid}/streaks/{start} { start, end, length, ended_by, reason }, and the
+ *   streak-dependent leaderboard/{uid} fields.
+ * - buildStreakRouter(): POST /streak/recompute (after every daily log write),
+ *   GET /streak/history (timeline + personal best).
+ * - scheduleStreakJob(): hourly; recomputes the users whose streak_next_rollover_at has
+ *   passed (queried, in parallel chunks), so streaks grow on days without a log.
+ * Day counting: a streak's length is the number of full smoke-free days, so a streak
+ * starting today is 0 days and one ended by a slip covers start … day before the slip.
+ * Frozen slips (dailyLogs streak_frozen, server/streakFreezes.js) don't end a streak but
+ * aren't counted as smoke-free days either; the log itself still says smoke_free: false.
+ * History since the first quit date: moving the quit date forward keeps the streaks
+ * before it (the running one is archived with reason "reset"); streaks from the anchor
+ * on always mirror the logs, so edited or deleted slips rewrite them.
+ * Used by server/index.js and server/coachTools.js.
+ */
+
+import express from "express";
+import cron from "node-cron";
+import { timeZoneOf, todayKey, addDaysToKey, daysBetweenKeys, dateAt } from "./timezone.js";
+
+const HISTORY_LIMIT = 100; // finished streaks returned by GET /streak/history
+const ROLLOVER_PARALLEL = 10; // users recomputed at once by the hourly job
+
+export const isSlip = (log) => log?.smoke_free === false || Number(log?.cigarettes_smoked || 0) > 0;
+
+/** Day the streak counts from: target date in "target" mode, otherwise the quit date. */
+export function streakAnchor(profile = {}) {
+  const quit = String(profile.quit_date || "").slice(0, 10);
+  const target = String(profile.target_quit_date || "").slice(0, 10);
+  return (profile.date_mode === "target" ? target || quit : quit || target) || null;
+}
+
+/**
+ * How many times a streak beat the best one before it right after a relapse: the streak
+ * before it must have ended with reason "slip" (not archived by a quit-date "reset"), and
+ * the first streak never counts. `history` oldest first; `current` = running streak length.
+ */
+export function countRecordsBroken(history, current) {
+  const streaks = [...history, { length: current }];
+  let best = 0;
+  let records = 0;
+  streaks.forEach((s, i) => {
+    if (best > 0 && s.length > best && streaks[i - 1].reason === "slip") records += 1;
+    best = Math.max(best, s.length);
+  });
+  return records;
+}
+
+/**
+ * @param archived finished streaks from before the anchor (earlier quit dates), kept as is
+ * @returns {{ current_streak_days, streak_start_date, last_slip_date, longest_streak_days,
+ *             streak_records_broken, history: { start, end, length, ended_by, reason, frozen_days }[] }}
+ *          history oldest first, archived streaks included
+ */
+export function computeStreaks(logs = [], anchorIso, todayIso, archived = []) {
+  const history = archived.filter((h) => !anchorIso || h.start < anchorIso).sort((a, b) => (a.start < b.start ? -1 : 1));
+  const summary = (current, start, lastSlip) => ({
+    current_streak_days: current,
+    streak_start_date: start,
+    last_slip_date: lastSlip,
+    longest_streak_days: Math.max(current, 0, ...history.map((h) => h.length)),
+    streak_records_broken: countRecordsBroken(history, current),
+    history,
+  });
+  const archivedSlip = [...history].reverse().find((h) => h.reason !== "reset")?.ended_by || null;
+  if (!anchorIso || anchorIso > todayIso) return summary(0, null, archivedSlip);
+
+  const lapses = logs.filter((l) => l.date >= anchorIso && l.date <= todayIso && isSlip(l));
+  const frozen = new Set(lapses.filter((l) => l.streak_frozen === true).map((l) => l.date));
+  const slips = [...new Set(lapses.map((l) => l.date))].filter((d) => !frozen.has(d)).sort();
+  const frozenIn = (from, to) => [...frozen].filter((d) => d >= from && d < to).length;
+
+  let start = anchorIso;
+  for (const slip of slips) {
+    const frozen_days = frozenIn(start, slip);
+    const length = daysBetweenKeys(start, slip) - frozen_days;
+    if (length > 0) history.push({ start, end: addDaysToKey(slip, -1), length, ended_by: slip, reason: "slip", frozen_days });
+    start = addDaysToKey(slip, 1);
+  }
+  const current = Math.max(0, daysBetweenKeys(start, todayIso) - frozenIn(start, todayIso));
+  return summary(current, start, slips[slips.length - 1] || archivedSlip);
+}
+
+/**
+ * Streaks stored before `anchor` stay in the history: clipped to end the day before it.
+ * A running streak cut short by a later quit date is archived as ended_by the new anchor.
+ * Without an anchor (quit date cleared) the stored history is kept untouched.
+ */
+function archivedStreaks(existingDocs, profile, anchor, today) {
+  const out = [];
+  for (const d of existingDocs) {
+    const h = d.data() || {};
+    if (!h.start || (anchor && h.start >= anchor)) continue;
+    const clipped = anchor && h.end >= anchor;
+    const end = clipped ? addDaysToKey(anchor, -1) : h.end;
+    const frozen_days = Number(h.frozen_days) || 0;
+    const length = daysBetweenKeys(h.start, end) + 1 - frozen_days;
+    if (length > 0) {
+      out.push({ start: h.start, end, length, ended_by: clipped ? anchor : h.ended_by, reason: clipped ? "reset" : h.reason || "slip", frozen_days });
+    }
+  }
+  if (!anchor) return out;
+  const prevStart = String(profile.streak_start_date || "").slice(0, 10);
+  const cut = anchor < today ? anchor : today;
+  if (prevStart && prevStart < cut && !out.some((h) => h.start === prevStart)) {
+    // frozen days in it = span at the last recompute minus the streak stored then
+    const computedFor = String(profile.streak_computed_for || cut);
+    const frozen_days = Math.max(0, daysBetweenKeys(prevStart, computedFor) - (Number(profile.current_streak_days) || 0));
+    const length = daysBetweenKeys(prevStart, cut) - frozen_days;
+    if (length > 0) out.push({ start: prevStart, end: addDaysToKey(cut, -1), length, ended_by: anchor, reason: "reset", frozen_days });
+  }
+  return out;
+}
+
+// Same formulas as publishLeaderboardRow() in src/services/users.js
+function leaderboardStreakFields(profile, streak) {
+  const cpd = Number(profile.cigarettes_per_day_before) || 0;
+  const cpp = Number(profile.cost_per_pack) || 0;
+  const cppk = Number(profile.cigarettes_per_pack) || 20;
+  return {
+    streak,
+    saved: Math.round((cppk ? cpd / cppk : 0) * cpp * streak),
+    lifeYears: (cpd * 11 * streak) / (60 * 24 * 365),
+  };
+}
+
+/** Recompute and store one user's streak; returns the computeStreaks() result. */
+export async function recomputeUserStreak(admin, fdb, uid, profile = null) {
+  const FieldValue = admin.firestore.FieldValue;
+  const userRef = fdb.collection("users").doc(uid);
+  if (!profile) {
+    const snap = await userRef.get();
+    if (!snap.exists) return null;
+    profile = snap.data() || {};
+  }
+
+  const tz = timeZoneOf(profile);
+  const today = todayKey(tz);
+  const anchor = streakAnchor(profile);
+  const historyCol = userRef.collection("streaks");
+  const [logs, existing] = await Promise.all([
+    anchor && anchor <= today
+      ? userRef.collection("dailyLogs").where("date", ">=", anchor).where("date", "<=", today)
+        .select("date", "smoke_free", "cigarettes_smoked", "streak_frozen").get().then((s) => s.docs.map((d) => d.data() || {}))
+      : [],
+    historyCol.get(),
+  ]);
+  const archived = archivedStreaks(existing.docs, profile, anchor, today);
+  const result = computeStreaks(logs, anchor, today, archived);
+  const firstQuit = [profile.first_quit_date, anchor, result.history[0]?.start].filter(Boolean).sort()[0] || null;
+
+  const batch = fdb.batch();
+  batch.set(userRef, {
+    current_streak_days: result.current_streak_days,
+    streak_start_date: result.streak_start_date,
+    last_slip_date: result.last_slip_date,
+    longest_streak_days: result.longest_streak_days,
+    streak_records_broken: result.streak_records_broken,
+    first_quit_date: firstQuit,
+    streak_computed_for: today,
+    streak_next_rollover_at: dateAt(addDaysToKey(today, 1), "00:00", tz),
+    streak_updated_at: FieldValue.serverTimestamp(),
+  }, { merge: true });
+
+  const keep = new Set(result.history.map((h) => h.start));
+  existing.docs.forEach((d) => !keep.has(d.id) && batch.delete(d.ref));
+  const byId = new Map(existing.docs.map((d) => [d.id, d.data() || {}]));
+  for (const h of result.history) {
+    const prev = byId.get(h.start);
+    if (prev && ["end", "length", "ended_by", "reason", "frozen_days"].every((k) => prev[k] === h[k])) continue;
+    batch.set(historyCol.doc(h.start), { ...h, updatedAt: FieldValue.serverTimestamp() });
+  }
+
+  const lbRef = fdb.collection("leaderboard").doc(uid);
+  if ((await lbRef.get()).exists) {
+    batch.set(lbRef, { ...leaderboardStreakFields(profile, result.current_streak_days), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  }
+
+  await batch.commit();
+  return result;
+}
+
+/**
+ * Build the streak router (api is already auth-protected in index.js).
+ * Expects req.uid (set by requireFirebaseAuth).
+ */
+export function buildStreakRouter(admin, fdb) {
+  const router = express.Router();
+
+  /* Recompute now (the app calls this after every daily log write) */
+  router.post("/streak/recompute", async (req, res) => {
+    try {
+      const result = await recomputeUserStreak(admin, fdb, req.uid);
+      if (!result) return res.status(404).json({ error: "User not found" });
+      const { history, ...current } = result;
+      res.json({ ...current, finished_streaks: history.length });
+    } catch (e) {
+      console.error("POST /streak/recompute error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  /* Current streak + finished streaks (newest first) for the timeline */
+  router.get("/streak/history", async (req, res) => {
+    try {
+      const userRef = fdb.collection("users").doc(req.uid);
+      const [uSnap, hSnap] = await Promise.all([
+        userRef.get(),
+        userRef.collection("streaks").orderBy("start", "desc").limit(HISTORY_LIMIT).get(),
+      ]);
+      const u = uSnap.data() || {};
+      res.json({
+        current: {
+          days: Number(u.current_streak_days) || 0,
+          start: u.streak_start_date || null,
+          last_slip_date: u.last_slip_date || null,
+        },
+        longest_streak_days: Number(u.longest_streak_days) || 0,
+        records_broken: Number(u.streak_records_broken) || 0,
+        first_quit_date: u.first_quit_date || null,
+        history: hSnap.docs.map((d) => {
+          const { start, end, length, ended_by, reason, frozen_days } = d.data() || {};
+          return { start, end, length, ended_by, reason: reason || "slip", frozen_days: Number(frozen_days) || 0 };
+        }),
+      });
+    } catch (e) {
+      console.error("GET /streak/history error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  return router;
+}
+
+// Users from before streak_next_rollover_at: due now, so the first run picks them up
+async function backfillRollover(fdb) {
+  const snap = await fdb.collection("users").select("streak_next_rollover_at").get();
+  const missing = snap.docs.filter((d) => !d.get("streak_next_rollover_at"));
+  for (let i = 0; i < missing.length; i += 450) {
+    const batch = fdb.batch();
+    missing.slice(i, i + 450).forEach((d) => batch.set(d.ref, { streak_next_rollover_at: new Date() }, { merge: true }));
+    await batch.commit();
+  }
+}
+
+/**
+ * Hourly: users whose local midnight has passed since their last recompute get a fresh
+ * streak. The app sets streak_next_rollover_at to "now" when the zone changes
+ * (setUserTimeZone). A run that's still going makes the next one skip.
+ */
+export function scheduleStreakJob(admin, fdb) {
+  backfillRollover(fdb).catch((e) => console.error("streak rollover backfill:", e));
+
+  let running = false;
+  cron.schedule("5 * * * *", async () => {
+    if (running) return;
+    running = true;
+    try {
+      const due = await fdb.collection("users").where("streak_next_rollover_at", "<=", new Date()).get();
+      for (let i = 0; i < due.docs.length; i += ROLLOVER_PARALLEL) {
+        await Promise.all(due.docs.slice(i, i + ROLLOVER_PARALLEL).map(async (u) => {
+          try {
+            await recomputeUserStreak(admin, fdb, u.id, u.data() || {});
+          } catch (e) {
+            console.error(`cron streaks (${u.id}):`, e);
+          }
+        }));
+      }
+    } catch (e) {
+      console.error("cron streaks:", e);
+    } finally {
+      running = false;
+    }
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * server/structured.js
+ * Shared helper for LLM calls that must return JSON.
+ * - invokeJson(llm, messages, { schema, label }): strips ``` fences / leading prose, parses,
+ *   validates against a small JSON-schema subset, and on failure asks the model once to
+ *   repair its answer.
+ * - Never throws: returns { ok: true, data, repaired } or
+ *   { ok: false, reason: "model_error" | "parse_error" | "schema_error", error, raw }
+ *   so every caller picks an explicit (and logged) fallback.
+ * Used by server/index.js and server/memory.js.
+ */
+
+// Schema subset: { type, properties, required, items, enum, minItems }
+export function validateSchema(value, schema, at = "$") {
+  if (!schema) return [];
+  const errors = [];
+  const type = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+  if (schema.type && schema.type !== type && !(schema.type === "integer" && Number.isInteger(value))) {
+    return [`${at} should be ${schema.type}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(", ")}`);
+  }
+  if (type === "object" && schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], sub, `${at}.${key}`));
+    }
+  }
+  if (type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+/** Pull the JSON payload out of a model reply (code fences, stray prose around it). */
+export function extractJson(text) {
+  let s = String(text ?? "").trim();
+  const fence = s.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) s = fence[1].trim();
+  if (!/^[[{]/.test(s)) {
+    const start = s.search(/[[{]/);
+    const end = Math.max(s.lastIndexOf("}"), s.lastIndexOf("]"));
+    if (start >= 0 && end > start) s = s.slice(start, end + 1);
+  }
+  return s;
+}
+
+function parseAndValidate(raw, schema) {
+  let data;
+  try {
+    data = JSON.parse(extractJson(raw));
+  } catch (e) {
+    return { ok: false, reason: "parse_error", error: e.message, raw };
+  }
+  const errors = validateSchema(data, schema);
+  if (errors.length) return { ok: false, reason: "schema_error", error: errors.slice(0, 5).join("; "), raw };
+  return { ok: true, data };
+}
+
+function contentOf(msg) {
+  return typeof msg?.content === "string" ? msg.content : JSON.stringify(msg?.content ?? "");
+}
+
+/**
+ * Invoke the model and return validated JSON. One repair round-trip is attempted when the
+ * first reply doesn't parse or doesn't match the schema.
+ */
+export async function invokeJson(llm, messages, { schema, label = "llm-json", repair = true } = {}) {
+  let raw;
+  try {
+    raw = contentOf(await llm.invoke(messages));
+  } catch (e) {
+    return { ok: false, reason: "model_error", error: e?.message || String(e), raw: null };
+  }
+
+  const first = parseAndValidate(raw, schema);
+  if (first.ok || !repair) return first.ok ? { ...first, repaired: false } : first;
+
+  console.warn(`[${label}] ${first.reason}: ${first.error}; asking the model to repair`);
+  try {
+    const fixed = contentOf(
+      await llm.invoke([
+        ...messages,
+        { role: "assistant", content: raw },
+        {
+          role: "user",
+          content: `Your reply was not usable (${first.error}). Reply again with ONLY the corrected JSON, no markdown, no extra text.`,
+        },
+      ])
+    );
+    const second = parseAndValidate(fixed, schema);
+    return second.ok ? { ...second, repaired: true } : second;
+  } catch (e) {
+    return { ok: false, reason: "model_error", error: e?.message || String(e), raw };
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * server/timezone.js
+ * The user's calendar day on the server. Day-key math is shared with the app
+ * (src/utils/dayKey.js); this adds where the zone comes from.
+ * - DEFAULT_TIMEZONE: for profiles without a stored `timezone` (DEFAULT_TIMEZONE env,
+ *   else Europe/Athens, the zone the reminders always used).
+ * - timeZoneOf(profile): users/{uid}.timezone when valid, else DEFAULT_TIMEZONE.
+ * - loadUserTimeZone(fdb, uid): same, reading the user doc.
+ * Used by index.js, challenges.js, coachTools.js, difficulty.js, recommender.js, push.js,
+ * streaks.js and streakFreezes.js.
+ */
+
+import process from "process";
+import { isValidTimeZone } from "../src/utils/dayKey.js";
+
+export {
+  dayKey, todayKey, addDaysToKey, daysBetweenKeys, weekdayOfKey, isDayKey, minutesOfDay, dateAt,
+} from "../src/utils/dayKey.js";
+
+export const DEFAULT_TIMEZONE = isValidTimeZone(process.env.DEFAULT_TIMEZONE)
+  ? process.env.DEFAULT_TIMEZONE
+  : "Europe/Athens";
+
+export function timeZoneOf(profile) {
+  return isValidTimeZone(profile?.timezone) ? profile.timezone : DEFAULT_TIMEZONE;
+}
+
+export async function loadUserTimeZone(fdb, uid) {
+  try {
+    const snap = await fdb.collection("users").doc(uid).get();
+    return timeZoneOf(snap.exists ? snap.data() : null);
+  } catch {
+    return DEFAULT_TIMEZONE;
+  }
+}
@@ -32,6 +32,7 @@ import Audio from "@/pages/Audio";
 import Profile from "@/pages/Profile";
 import BadgesPage from "@/pages/BadgesPage";
 import ChallengesHistory from "@/pages/ChallengesHistory";
+import Insights from "@/pages/Insights";
 import SignIn from "@/pages/SignIn";
 import SignUp from "@/pages/SignUp";
 import NotificationsPage from "@/pages/Notifications";
@@ -101,6 +102,7 @@ export default function App() {
           <Route path="/profile" element={<Profile />} />
           <Route path="/badges" element={<BadgesPage />} />
           <Route path="/challenges/history" element={<ChallengesHistory />} />
+          <Route path="/insights" element={<Insights />} />
           <Route path="/notifications" element={<NotificationsPage />} />
         </Route>
       </Route>
@@ -0,0 +1,85 @@
+/**
+ * ChallengeProgress.jsx
+ * ---------------------
+ * Purpose: Progress block for multi-day / recurring challenges, used by
+ * Challenges.jsx (today's cards) and ChallengesHistory.jsx.
+ *
+ * Shows:
+ * - "3 / 5 days" with a progress bar and status (active / completed / ended).
+ * - One dot per scheduled check-in day in the window (filled when checked in).
+ *
+ * Data comes straight from the Challenge doc (see entities/Challenge.js).
+ */
+
+import React from "react";
+import { format, parseISO, addDays } from "date-fns";
+import { Progress } from "@/components/ui/progress";
+import { challengeProgress, isCheckinDay } from "@/entities/Challenge";
+
+const STATUS_LABEL = { active: "In progress", completed: "Completed", expired: "Ended" };
+const WEEKDAY_SHORT = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Scheduled check-in days between start_date and end_date (yyyy-MM-dd).
+function scheduledDays(ch) {
+  const out = [];
+  if (!ch?.start_date || !ch?.end_date) return out;
+  for (let d = parseISO(ch.start_date); out.length < 62; d = addDays(d, 1)) {
+    const iso = format(d, "yyyy-MM-dd");
+    if (iso > ch.end_date) break;
+    if (isCheckinDay(ch, iso)) out.push(iso);
+  }
+  return out;
+}
+
+function scheduleLabel(ch) {
+  const days = ch?.schedule?.days || ch?.target;
+  if (ch?.schedule?.type === "recurring") {
+    const wd = ch.schedule.weekdays || [];
+    const which = wd.join(",") === "1,2,3,4,5" ? "weekdays" : wd.map((w) => WEEKDAY_SHORT[w]).join("/");
+    return `${days}× on ${which}`;
+  }
+  return `${days} days in a row`;
+}
+
+export default function ChallengeProgress({ challenge, today }) {
+  const p = challengeProgress(challenge, today);
+  const days = scheduledDays(challenge);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-white/70">
+        <span>
+          {p.done} / {p.target} days · {scheduleLabel(challenge)}
+        </span>
+        <span className={p.status === "completed" ? "text-emerald-200" : p.status === "expired" ? "text-white/50" : ""}>
+          {STATUS_LABEL[p.status]}
+        </span>
+      </div>
+      <Progress
+        value={p.pct}
+        className="h-2 bg-white/10"
+        barClassName={p.status === "expired" ? "bg-white/30" : "bg-emerald-400"}
+      />
+      <div className="flex flex-wrap gap-1.5">
+        {days.map((d) => {
+          const done = !!challenge.checkins?.[d];
+          const missed = !done && d < today;
+          return (
+            <span
+              key={d}
+              title={`${format(parseISO(d), "EEE dd/MM")}${done ? " · checked in" : missed ? " · missed" : ""}`}
+              className={`h-2.5 w-2.5 rounded-full border ${done
+                ? "bg-emerald-400 border-emerald-300"
+                : missed
+                  ? "bg-transparent border-white/20"
+                  : d === today
+                    ? "bg-white/30 border-white/60"
+                    : "bg-white/10 border-white/20"
+                }`}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+/**
+ * CompleteChallengeDialog.jsx
+ * ---------------------------
+ * Purpose: Completion step for a challenge (Challenges.jsx) — optional short
+ * reflection ("what helped?") and an optional photo as proof.
+ *
+ * Behaviour:
+ * - Both fields are optional; "Complete" works with neither.
+ * - Photo is checked client-side (images only, EVIDENCE_PHOTO_MAX_BYTES) before
+ *   anything is uploaded; the parent does the upload + completion in onSubmit.
+ * - onSubmit({ note, file }) may throw; the error keeps the dialog open.
+ */
+
+import React, { useEffect, useState } from "react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Textarea } from "@/components/ui/textarea";
+import { Button } from "@/components/ui/button";
+import { ImagePlus, X } from "lucide-react";
+import { EVIDENCE_NOTE_MAX, EVIDENCE_PHOTO_MAX_BYTES } from "@/services/users";
+
+const MAX_MB = Math.round(EVIDENCE_PHOTO_MAX_BYTES / (1024 * 1024));
+
+export default function CompleteChallengeDialog({ challenge, open, onOpenChange, onSubmit }) {
+  const [note, setNote] = useState("");
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // fresh form for every challenge
+  useEffect(() => {
+    if (!open) return;
+    setNote("");
+    setFile(null);
+    setError("");
+  }, [open, challenge?.id]);
+
+  useEffect(() => {
+    if (!file) return setPreview(null);
+    const url = URL.createObjectURL(file);
+    setPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  const pickFile = (e) => {
+    const f = e.target.files?.[0] || null;
+    e.target.value = "";
+    if (!f) return;
+    if (!f.type.startsWith("image/")) return setError("Please choose an image file.");
+    if (f.size > EVIDENCE_PHOTO_MAX_BYTES) return setError(`Photo is too large (max ${MAX_MB} MB).`);
+    setError("");
+    setFile(f);
+  };
+
+  const submit = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      await onSubmit({ note: note.trim(), file });
+      onOpenChange(false);
+    } catch (e) {
+      console.error("Error completing challenge:", e);
+      setError("Couldn’t save. Check your connection and try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !saving && onOpenChange(v)}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Nice work! {challenge?.title ? `“${challenge.title}”` : ""}</DialogTitle>
+        </DialogHeader>
+
+        <label className="block text-xs text-white/70 mb-1" htmlFor="evidence-note">
+          What helped? (optional)
+        </label>
+        <Textarea
+          id="evidence-note"
+          rows={3}
+          maxLength={EVIDENCE_NOTE_MAX}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="e.g. Went for a walk when the craving hit after lunch"
+          className="bg-white/5 border-white/15 text-white text-sm placeholder:text-white/40"
+        />
+        <div className="text-right text-[11px] text-white/40 mt-1">
+          {note.length}/{EVIDENCE_NOTE_MAX}
+        </div>
+
+        {preview ? (
+          <div className="relative mt-2 w-fit">
+            <img src={preview} alt="Proof" className="h-28 rounded-lg border border-white/15 object-cover" />
+            <button
+              type="button"
+              onClick={() => setFile(null)}
+              aria-label="Remove photo"
+              className="absolute -top-2 -right-2 h-6 w-6 rounded-full bg-neutral-800 border border-white/20 flex items-center justify-center"
+            >
+              <X className="w-3.5 h-3.5 text-white/80" />
+            </button>
+          </div>
+        ) : (
+          <label className="mt-2 inline-flex items-center gap-2 cursor-pointer rounded-full px-3 py-1.5 bg-white/5 border border-white/15 text-white/80 text-xs hover:bg-white/10">
+            <ImagePlus className="w-4 h-4" />
+            Add a photo (max {MAX_MB} MB)
+            <input type="file" accept="image/*" className="hidden" onChange={pickFile} />
+          </label>
+        )}
+
+        {error && <p className="mt-2 text-xs text-red-300">{error}</p>}
+
+        <div className="mt-4 flex justify-end gap-2">
+          <Button
+            onClick={() => onOpenChange(false)}
+            disabled={saving}
+            className="rounded-full px-4 py-1.5 text-sm text-white/70 hover:bg-white/10"
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={submit}
+            disabled={saving}
+            className="rounded-full px-4 py-1.5 text-sm bg-white/10 border border-white/20 hover:bg-white/15"
+          >
+            {saving ? "Saving..." : "Complete"}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
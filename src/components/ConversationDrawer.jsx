@@ -0,0 +1,256 @@
+/**
+ * ConversationDrawer.jsx
+ * ----------------------
+ * Purpose: Slide-in list of AI Coach conversations for AIChat.jsx.
+ *
+ * Features:
+ * - Active / Archived tabs, "New chat", and text search across all messages.
+ * - Per-thread actions: rename (inline), archive/unarchive, delete (confirm).
+ *
+ * Data Flow:
+ * - Talks to the conversation endpoints via integrations/chatApi.
+ * - Parent owns the selected conversation; we call onSelect(id) / onNew()
+ *   and onDeleted(id) so it can reset when the open thread disappears.
+ */
+
+import React, { useEffect, useState } from "react";
+import { X, Plus, Search, Pencil, Archive, ArchiveRestore, Trash2, Check } from "lucide-react";
+import {
+  listConversations,
+  renameConversation,
+  archiveConversation,
+  deleteConversation,
+  searchConversations,
+} from "@/integrations/chatApi";
+
+// Firestore timestamps arrive as {_seconds} (admin JSON) or {seconds}.
+function fmtWhen(ts) {
+  const sec = ts?._seconds ?? ts?.seconds;
+  if (!Number.isFinite(sec)) return "";
+  return new Date(sec * 1000).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+export default function ConversationDrawer({ open, onClose, currentId, onSelect, onNew, onDeleted }) {
+  const [tab, setTab] = useState("active"); // "active" | "archived"
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null); // null = not searching
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState("");
+  const [error, setError] = useState("");
+
+  const reload = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      setItems(await listConversations({ archived: tab === "archived" }));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) reload();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, tab]);
+
+  // Debounced search
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      setResults(null);
+      return;
+    }
+    const t = setTimeout(() => {
+      searchConversations(q)
+        .then((r) => setResults(r.items || []))
+        .catch((e) => setError(e.message));
+    }, 300);
+    return () => clearTimeout(t);
+  }, [query]);
+
+  const startRename = (c) => {
+    setEditingId(c.id);
+    setDraftTitle(c.title || "");
+  };
+
+  const commitRename = async () => {
+    const t = draftTitle.trim();
+    if (!editingId || !t) return setEditingId(null);
+    try {
+      await renameConversation(editingId, t);
+      setItems((xs) => xs.map((x) => (x.id === editingId ? { ...x, title: t } : x)));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setEditingId(null);
+    }
+  };
+
+  const toggleArchive = async (c) => {
+    try {
+      await archiveConversation(c.id, !c.archived);
+      setItems((xs) => xs.filter((x) => x.id !== c.id));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const remove = async (c) => {
+    if (!window.confirm(`Delete “${c.title || "Untitled"}”? This can’t be undone.`)) return;
+    try {
+      await deleteConversation(c.id);
+      setItems((xs) => xs.filter((x) => x.id !== c.id));
+      onDeleted?.(c.id);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-[80]">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <aside className="absolute left-0 top-0 bottom-0 w-[85%] max-w-sm bg-neutral-900 border-r border-white/10 flex flex-col text-white">
+        <div className="flex items-center justify-between px-4 h-14 border-b border-white/10">
+          <h2 className="text-base font-semibold">Conversations</h2>
+          <button className="p-2 rounded-full hover:bg-white/10" onClick={onClose} aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-3 space-y-2 border-b border-white/10">
+          <button
+            className="w-full inline-flex items-center justify-center gap-2 rounded-xl py-2 text-sm font-medium"
+            style={{ backgroundColor: "var(--hero-grad-first, #6e34f5)" }}
+            onClick={() => {
+              onNew?.();
+              onClose?.();
+            }}
+          >
+            <Plus className="w-4 h-4" /> New chat
+          </button>
+          <div className="flex items-center gap-2 rounded-xl border border-white/10 bg-white/5 px-3">
+            <Search className="w-4 h-4 text-white/50" />
+            <input
+              className="flex-1 bg-transparent py-2 text-sm outline-none placeholder:text-white/40"
+              placeholder="Search messages…"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+          </div>
+          {results === null && (
+            <div className="flex gap-1 text-xs">
+              {["active", "archived"].map((t) => (
+                <button
+                  key={t}
+                  onClick={() => setTab(t)}
+                  className={`flex-1 rounded-lg py-1.5 capitalize ${tab === t ? "bg-white/15" : "bg-white/5 text-white/60"}`}
+                >
+                  {t}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && <div className="px-4 py-2 text-xs text-red-300">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto">
+          {results !== null ? (
+            results.length ? (
+              results.map((r) => (
+                <button
+                  key={r.conversationId}
+                  className="w-full text-left px-4 py-3 border-b border-white/5 hover:bg-white/5"
+                  onClick={() => {
+                    onSelect?.(r.conversationId);
+                    onClose?.();
+                  }}
+                >
+                  <div className="text-sm font-medium truncate">
+                    {r.title}
+                    {r.archived && <span className="ml-2 text-[10px] text-white/50">archived</span>}
+                  </div>
+                  {r.matches.map((m) => (
+                    <div key={m.messageId} className="mt-1 text-xs text-white/60 line-clamp-2">
+                      {m.snippet}
+                    </div>
+                  ))}
+                </button>
+              ))
+            ) : (
+              <div className="px-4 py-6 text-sm text-white/50">No matches.</div>
+            )
+          ) : loading ? (
+            <div className="px-4 py-6 text-sm text-white/50">Loading…</div>
+          ) : items.length ? (
+            items.map((c) => (
+              <div
+                key={c.id}
+                className={`group flex items-center gap-2 px-4 py-3 border-b border-white/5 ${c.id === currentId ? "bg-white/10" : "hover:bg-white/5"}`}
+              >
+                {editingId === c.id ? (
+                  <>
+                    <input
+                      autoFocus
+                      className="flex-1 bg-white/5 rounded-lg px-2 py-1 text-sm outline-none border border-white/20"
+                      value={draftTitle}
+                      maxLength={80}
+                      onChange={(e) => setDraftTitle(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") commitRename();
+                        if (e.key === "Escape") setEditingId(null);
+                      }}
+                    />
+                    <button className="p-1.5 rounded-full hover:bg-white/10" onClick={commitRename} aria-label="Save title">
+                      <Check className="w-4 h-4" />
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      className="flex-1 min-w-0 text-left"
+                      onClick={() => {
+                        onSelect?.(c.id);
+                        onClose?.();
+                      }}
+                    >
+                      <div className="text-sm truncate">{c.title || "Untitled"}</div>
+                      <div className="text-[11px] text-white/40">{fmtWhen(c.updatedAt)}</div>
+                    </button>
+                    <button className="p-1.5 rounded-full hover:bg-white/10" onClick={() => startRename(c)} aria-label="Rename">
+                      <Pencil className="w-4 h-4 text-white/70" />
+                    </button>
+                    <button
+                      className="p-1.5 rounded-full hover:bg-white/10"
+                      onClick={() => toggleArchive(c)}
+                      aria-label={c.archived ? "Unarchive" : "Archive"}
+                    >
+                      {c.archived ? (
+                        <ArchiveRestore className="w-4 h-4 text-white/70" />
+                      ) : (
+                        <Archive className="w-4 h-4 text-white/70" />
+                      )}
+                    </button>
+                    <button className="p-1.5 rounded-full hover:bg-white/10" onClick={() => remove(c)} aria-label="Delete">
+                      <Trash2 className="w-4 h-4 text-red-300" />
+                    </button>
+                  </>
+                )}
+              </div>
+            ))
+          ) : (
+            <div className="px-4 py-6 text-sm text-white/50">
+              {tab === "archived" ? "No archived conversations." : "No conversations yet."}
+            </div>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
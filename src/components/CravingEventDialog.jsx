@@ -0,0 +1,151 @@
+/**
+ * CravingEventDialog.jsx
+ * ----------------------
+ * Purpose: "Log craving now" form used by DailyLog.jsx — one craving event with
+ * time, intensity (1–10), trigger, location tag, coping strategy and whether it passed.
+ *
+ * Behaviour:
+ * - Trigger / location / coping are single-choice chips from the lists passed in;
+ *   tapping the active chip clears it. Everything but intensity is optional.
+ * - onSubmit(event) may throw; the error keeps the dialog open.
+ */
+
+import React, { useEffect, useState } from "react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+
+const PASSED_OPTIONS = [
+  { value: true, label: "It passed" },
+  { value: false, label: "I smoked" },
+  { value: null, label: "Not sure yet" },
+];
+
+function ChipRow({ label, items, value, onPick }) {
+  return (
+    <div className="mt-3">
+      <div className="text-xs text-white/70 mb-1.5">{label}</div>
+      <div className="flex flex-wrap gap-1.5">
+        {items.map((t) => {
+          const active = value === t;
+          return (
+            <button
+              key={t}
+              type="button"
+              onClick={() => onPick(active ? null : t)}
+              className={`rounded-full px-2.5 py-1 text-xs border transition ${active ? "text-white" : "text-white/80 border-white/15 hover:border-white/30"}`}
+              style={active ? { background: "var(--hero-grad)", borderColor: "var(--hero-grad-first)" } : { background: "rgba(255,255,255,0.06)" }}
+            >
+              {t}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default function CravingEventDialog({ open, onOpenChange, onSubmit, defaultTime, triggers, locations, copingStrategies }) {
+  const [form, setForm] = useState({});
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setForm({ time: defaultTime, intensity: 5, trigger: null, location: null, coping: null, passed: true });
+    setError("");
+  }, [open, defaultTime]);
+
+  const set = (k, v) => setForm((prev) => ({ ...prev, [k]: v }));
+
+  const submit = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      await onSubmit(form);
+      onOpenChange(false);
+    } catch (e) {
+      console.error("Error logging craving:", e);
+      setError("Couldn’t save the craving. Try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !saving && onOpenChange(v)}>
+      <DialogContent className="max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Log a craving</DialogTitle>
+        </DialogHeader>
+
+        <div className="flex items-center gap-3">
+          <label className="text-xs text-white/70" htmlFor="craving-time">Time</label>
+          <Input
+            id="craving-time"
+            type="time"
+            value={form.time || ""}
+            onChange={(e) => set("time", e.target.value)}
+            className="bg-white/5 border-white/15 text-white text-sm"
+          />
+        </div>
+
+        <div className="mt-3">
+          <div className="flex justify-between text-xs text-white/70 mb-1">
+            <span>Intensity</span>
+            <span className="text-white">{form.intensity}/10</span>
+          </div>
+          <input
+            type="range"
+            min={1}
+            max={10}
+            step={1}
+            value={form.intensity || 5}
+            onChange={(e) => set("intensity", Number(e.target.value))}
+            className="w-full accent-emerald-400"
+            aria-label="Craving intensity"
+          />
+        </div>
+
+        <ChipRow label="Trigger" items={triggers} value={form.trigger} onPick={(v) => set("trigger", v)} />
+        <ChipRow label="Where" items={locations} value={form.location} onPick={(v) => set("location", v)} />
+        <ChipRow label="What you tried" items={copingStrategies} value={form.coping} onPick={(v) => set("coping", v)} />
+
+        <div className="mt-3">
+          <div className="text-xs text-white/70 mb-1.5">Outcome</div>
+          <div className="flex gap-1.5">
+            {PASSED_OPTIONS.map((o) => (
+              <button
+                key={String(o.value)}
+                type="button"
+                onClick={() => set("passed", o.value)}
+                className={`flex-1 rounded-full px-2 py-1.5 text-xs border ${form.passed === o.value ? "bg-white/20 border-white/40 text-white" : "bg-white/5 border-white/15 text-white/75"}`}
+              >
+                {o.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && <p className="mt-2 text-xs text-red-300">{error}</p>}
+
+        <div className="mt-4 flex justify-end gap-2">
+          <Button
+            onClick={() => onOpenChange(false)}
+            disabled={saving}
+            className="rounded-full px-4 py-1.5 text-sm text-white/70 hover:bg-white/10"
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={submit}
+            disabled={saving}
+            className="rounded-full px-4 py-1.5 text-sm bg-white/10 border border-white/20 hover:bg-white/15"
+          >
+            {saving ? "Saving..." : "Save craving"}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
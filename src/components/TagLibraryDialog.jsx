@@ -0,0 +1,192 @@
+/**
+ * TagLibraryDialog.jsx
+ * --------------------
+ * Purpose: "Manage" dialog opened from the Daily Log triggers card — the user’s own
+ * trigger and coping-strategy lists (src/services/tagLibrary.js).
+ *
+ * Behaviour:
+ * - Tabs for Triggers / Coping; add a label, rename inline, hide/show, or merge one
+ *   label into another (old logs and craving events are rewritten to the new label).
+ * - Hidden labels stay in history but leave the pickers.
+ * - onChange(library, moved?) reports every saved change back to the page; after a
+ *   rename/merge `moved` is { kind, from, to } so the page can relabel what it shows.
+ */
+
+import React, { useEffect, useState } from "react";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Eye, EyeOff, Pencil, Check, X, Merge } from "lucide-react";
+import { addTag, setTagHidden, renameTag, mergeTags, TAG_LABEL_MAX } from "@/services/tagLibrary";
+
+const TABS = [
+  { kind: "triggers", label: "Triggers" },
+  { kind: "coping", label: "Coping strategies" },
+];
+
+const ERRORS = {
+  TAG_EMPTY: "Type a name first.",
+  TAG_EXISTS: "That name already exists — use Merge instead.",
+  TAG_MERGE_SAME: "Pick a different label to merge into.",
+};
+
+function TagRow({ tag, others, busy, onRename, onToggleHidden, onMerge }) {
+  const [mode, setMode] = useState(null); // null | "rename" | "merge"
+  const [value, setValue] = useState("");
+
+  const start = (m) => {
+    setMode(m);
+    setValue(m === "rename" ? tag.label : "");
+  };
+  const confirm = async () => {
+    const ok = mode === "rename" ? await onRename(tag.label, value) : await onMerge(tag.label, value);
+    if (ok) setMode(null);
+  };
+
+  return (
+    <div className={`rounded-xl border border-white/10 bg-white/5 px-3 py-2 ${tag.hidden ? "opacity-60" : ""}`}>
+      {mode ? (
+        <div className="flex items-center gap-2">
+          {mode === "rename" ? (
+            <Input
+              value={value}
+              maxLength={TAG_LABEL_MAX}
+              onChange={(e) => setValue(e.target.value)}
+              className="h-8 bg-white/5 border-white/15 text-white text-sm"
+              autoFocus
+            />
+          ) : (
+            <select
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="h-8 flex-1 rounded-md border px-2 bg-white/5 border-white/15 text-white text-sm"
+            >
+              <option value="">Merge “{tag.label}” into…</option>
+              {others.map((o) => (
+                <option key={o} value={o}>{o}</option>
+              ))}
+            </select>
+          )}
+          <button onClick={confirm} disabled={busy || !value} title="Save" className="text-emerald-300 disabled:opacity-40">
+            <Check className="w-4 h-4" />
+          </button>
+          <button onClick={() => setMode(null)} disabled={busy} title="Cancel" className="text-white/60">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ) : (
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-sm text-white/90">
+            {tag.label}
+            {tag.hidden && <span className="ml-2 text-[11px] text-white/50">hidden</span>}
+          </span>
+          <div className="flex items-center gap-2 text-white/60">
+            <button onClick={() => start("rename")} disabled={busy} title="Rename" className="hover:text-white">
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+            <button onClick={() => start("merge")} disabled={busy || !others.length} title="Merge into…" className="hover:text-white">
+              <Merge className="w-3.5 h-3.5" />
+            </button>
+            <button onClick={() => onToggleHidden(tag)} disabled={busy} title={tag.hidden ? "Show" : "Hide"} className="hover:text-white">
+              {tag.hidden ? <Eye className="w-3.5 h-3.5" /> : <EyeOff className="w-3.5 h-3.5" />}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function TagLibraryDialog({ open, onOpenChange, uid, library, onChange }) {
+  const [kind, setKind] = useState("triggers");
+  const [newLabel, setNewLabel] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    setNewLabel("");
+    setMessage("");
+  }, [open, kind]);
+
+  // Runs one service call; returns true on success so rows can close their editor.
+  const run = async (fn, done, moved) => {
+    setBusy(true);
+    setMessage("");
+    try {
+      const res = await fn();
+      const lib = res?.library || res;
+      onChange(lib, typeof moved === "function" ? moved(res) : moved);
+      if (done) setMessage(done(res));
+      return true;
+    } catch (e) {
+      console.error("Tag library update failed:", e);
+      setMessage(ERRORS[e?.message] || "Couldn’t save. Try again.");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const migratedNote = (res) =>
+    res.migrated ? `Updated ${res.migrated} past entr${res.migrated === 1 ? "y" : "ies"}.` : "";
+
+  const list = library?.[kind] || [];
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => !busy && onOpenChange(v)}>
+      <DialogContent className="max-w-md max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Your triggers & coping strategies</DialogTitle>
+        </DialogHeader>
+
+        <div className="flex gap-1.5">
+          {TABS.map((t) => (
+            <button
+              key={t.kind}
+              onClick={() => setKind(t.kind)}
+              className={`flex-1 rounded-full px-2 py-1.5 text-xs border ${kind === t.kind ? "bg-white/20 border-white/40 text-white" : "bg-white/5 border-white/15 text-white/75"}`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-3 flex gap-2">
+          <Input
+            value={newLabel}
+            maxLength={TAG_LABEL_MAX}
+            onChange={(e) => setNewLabel(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && newLabel.trim() && run(() => addTag(uid, kind, newLabel)).then((ok) => ok && setNewLabel(""))}
+            placeholder={kind === "triggers" ? "New trigger…" : "New coping strategy…"}
+            className="bg-white/5 border-white/15 text-white text-sm placeholder:text-white/40"
+          />
+          <Button
+            onClick={() => run(() => addTag(uid, kind, newLabel)).then((ok) => ok && setNewLabel(""))}
+            disabled={busy || !newLabel.trim()}
+            className="rounded-full px-4 text-sm bg-white/10 border border-white/20 hover:bg-white/15"
+          >
+            Add
+          </Button>
+        </div>
+
+        {message && <p className="mt-2 text-xs text-white/70">{message}</p>}
+
+        <div className="mt-3 space-y-1.5">
+          {list.map((tag) => (
+            <TagRow
+              key={tag.label}
+              tag={tag}
+              busy={busy}
+              others={list.filter((t) => t.label !== tag.label).map((t) => t.label)}
+              onRename={(from, to) =>
+                run(() => renameTag(uid, kind, from, to), migratedNote, (res) => ({ kind, from, to: res.label }))}
+              onMerge={(from, into) => run(() => mergeTags(uid, kind, from, into), migratedNote, { kind, from, to: into })}
+              onToggleHidden={(t) => run(() => setTagHidden(uid, kind, t.label, !t.hidden))}
+            />
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -7,7 +7,8 @@ import { createPageUrl } from "@/utils";
 import { Home, MessageCircle, Target, BarChart3, Music, Users } from "lucide-react";
 import { onAuthStateChanged } from "firebase/auth";
 import { auth } from "@/firebase";
-import { observeUserProfile } from "@/services/users";
+import { observeUserProfile, setUserTimeZone } from "@/services/users";
+import { setActiveTimeZone, deviceTimeZone, isValidTimeZone } from "@/utils/dayKey";
 import { applyTheme } from "@/theme";
 import { doc, getDoc } from "firebase/firestore";
 import { db } from "@/firebase";
@@ -159,9 +160,15 @@ export default function Layout({ children }) {
         // live updates
         unsubProfile = observeUserProfile(u.uid, (profile) => {
           applyTheme(profile?.theme || "forest");
+          // Day keys follow the stored zone; first run stores the device's zone
+          setActiveTimeZone(profile?.timezone);
+          if (profile && !isValidTimeZone(profile.timezone)) {
+            setUserTimeZone(u.uid, deviceTimeZone()).catch(() => { });
+          }
         });
       } else {
         applyTheme("forest");
+        setActiveTimeZone(null);
       }
     });
 
@@ -2,6 +2,9 @@
 // Provides basic Firestore helpers for working with Challenge documents.
 // Each challenge belongs to a user (user_id) and may include title, description,
 // category, difficulty, points, due_date, and completed state.
+// Multi-day challenges (multi_day: true) also carry schedule, start_date, end_date,
+// target, checkins { "yyyy-MM-dd": true } and progress; see challengeProgress().
+// Completed challenges can be undone within UNDO_WINDOW_MS; see canUndoCompletion().
 
 import { db } from "@/firebase";
 import { collection, addDoc, doc, updateDoc, getDocs, query, where, orderBy, limit } from "firebase/firestore";
@@ -43,3 +46,60 @@ export const Challenge = {
     return snap.docs.map(d => ({ id: d.id, ...d.data() }));
   }
 };
+
+const weekdayOf = (iso) => new Date(`${iso}T00:00:00Z`).getUTCDay();
+
+// Whether `date` (yyyy-MM-dd) is a check-in day for a multi-day challenge.
+export function isCheckinDay(ch, date) {
+  if (!ch?.multi_day || !ch.start_date || !ch.end_date) return false;
+  if (date < ch.start_date || date > ch.end_date) return false;
+  const weekdays = ch.schedule?.weekdays;
+  return !Array.isArray(weekdays) || weekdays.includes(weekdayOf(date));
+}
+
+// Progress snapshot for a multi-day challenge as of `today`:
+// { done, target, pct, status: "active" | "completed" | "expired", checkedToday, canCheckIn }.
+export function challengeProgress(ch, today) {
+  const target = Number(ch?.target) || 1;
+  const done = Object.keys(ch?.checkins || {}).length;
+  const status = ch?.completed ? "completed" : today > (ch?.end_date || "") ? "expired" : "active";
+  const checkedToday = !!ch?.checkins?.[today];
+  return {
+    done,
+    target,
+    pct: Math.min(100, Math.round((done / target) * 100)),
+    status,
+    checkedToday,
+    canCheckIn: status === "active" && !checkedToday && isCheckinDay(ch, today),
+  };
+}
+
+// Completions can be undone for this long (see undoChallengeCompletion in services/users).
+export const UNDO_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// completedAt as epoch ms (Firestore Timestamp, Date or ISO string), or null.
+export function completedAtMs(ch) {
+  const t = ch?.completedAt;
+  if (!t) return null;
+  if (typeof t.toMillis === "function") return t.toMillis();
+  const ms = new Date(t).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Whether a completed challenge is still inside the undo window.
+export function canUndoCompletion(ch, now = Date.now()) {
+  const at = completedAtMs(ch);
+  return !!ch?.completed && at != null && now - at < UNDO_WINDOW_MS;
+}
+
+// Local copy of a challenge after undoChallengeCompletion (mirrors the Firestore patch).
+export function withCompletionUndone(ch) {
+  const { completedAt: _at, completed_day: _day, evidence: _ev, awarded_points: _pts, completed_checkin: lastDay, ...rest } = ch;
+  const out = { ...rest, completed: false, awarded: false };
+  if (ch.multi_day && lastDay) {
+    const { [lastDay]: _dropped, ...checkins } = ch.checkins || {};
+    out.checkins = checkins;
+    out.progress = Math.max(0, (Number(ch.progress) || 1) - 1);
+  }
+  return out;
+}
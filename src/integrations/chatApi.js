@@ -36,12 +36,13 @@ export async function authFetch(path, options = {}) {
 // Default API paths (adjust if backend routes differ)
 const PATHS = {
     chat: "/api/ai/chat",                 
+    chatStream: "/api/ai/chat/stream",
     conversations: "/api/conversations",  
     messages: "/api/messages",            
 };
 
 // Send a chat message to the AI coach.
-// Returns { conversationId, reply } from the backend.
+// Returns { conversationId, messageId, reply, actions } from the backend.
 export async function sendChat({ conversationId, userMessage }) {
     const msg = (userMessage ?? "").trim();
     if (!msg) throw new Error("Type a message first.");
@@ -52,20 +53,176 @@ export async function sendChat({ conversationId, userMessage }) {
     return data; 
 }
 
-// Retrieve a user’s saved chat conversations.
-export async function listConversations() {
-    return authFetch(PATHS.conversations);
+// Split one SSE block ("event: x\ndata: {...}") into { event, data }.
+function parseSseEvent(raw) {
+    let event = "message";
+    const data = [];
+    for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+    }
+    if (!data.length) return { event, data: null };
+    try {
+        return { event, data: JSON.parse(data.join("\n")) };
+    } catch {
+        return { event, data: null };
+    }
+}
+
+// Stream a chat reply from the AI coach over Server-Sent Events.
+// - onMeta({ conversationId }) fires once the conversation is known.
+// - onToken(text) fires for every chunk as it arrives.
+// - onReplace(text) fires if the streamed text failed the server's safety screen;
+//   show `text` instead of what was streamed so far.
+// Resolves with { conversationId, messageId, reply, tokenCount, actions, safety }.
+// Abort `signal` to cancel mid-stream (the fetch rejects with an AbortError).
+export async function streamChat({ conversationId, userMessage, onMeta, onToken, onReplace, signal }) {
+    const msg = (userMessage ?? "").trim();
+    if (!msg) throw new Error("Type a message first.");
+
+    const token = await getFirebaseIdToken(true);
+    if (!token) throw new Error("Not signed in");
+
+    const res = await fetch(apiUrl(PATHS.chatStream), {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            Accept: "text/event-stream",
+            Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ conversationId, userMessage: msg }),
+        signal,
+    });
+    if (!res.ok) {
+        const body = await res.text().catch(() => "");
+        throw new Error(`HTTP ${res.status} ${res.statusText}\n${body}`);
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = "";
+    let result = null;
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true });
+
+        let idx;
+        while ((idx = buf.indexOf("\n\n")) >= 0) {
+            const { event, data } = parseSseEvent(buf.slice(0, idx));
+            buf = buf.slice(idx + 2);
+            if (!data) continue;
+            if (event === "meta") onMeta?.(data);
+            else if (event === "token") onToken?.(data.text || "");
+            else if (event === "replace") onReplace?.(data.text || "");
+            else if (event === "done") result = data;
+            else if (event === "error") throw new Error(data.error || "Stream failed");
+        }
+    }
+
+    if (!result) throw new Error("Stream ended before the reply finished.");
+    return result;
+}
+
+// Retrieve a user’s saved chat conversations (pass { archived: true } for the archive).
+export async function listConversations({ archived = false } = {}) {
+    return authFetch(`${PATHS.conversations}${archived ? "?archived=1" : ""}`);
+}
+// Rename a conversation.
+export async function renameConversation(conversationId, title) {
+    return authFetch(`${PATHS.conversations}/${encodeURIComponent(conversationId)}`, {
+        method: "PATCH",
+        body: JSON.stringify({ title }),
+    });
+}
+// Archive (or unarchive) a conversation.
+export async function archiveConversation(conversationId, archived = true) {
+    return authFetch(`${PATHS.conversations}/${encodeURIComponent(conversationId)}`, {
+        method: "PATCH",
+        body: JSON.stringify({ archived }),
+    });
+}
+// Delete a conversation and all of its messages.
+export async function deleteConversation(conversationId) {
+    return authFetch(`${PATHS.conversations}/${encodeURIComponent(conversationId)}`, {
+        method: "DELETE",
+    });
+}
+// Search all of the user’s messages. Returns { query, items: [{ conversationId, title, matches }] }.
+export async function searchConversations(q) {
+    return authFetch(`${PATHS.conversations}/search?q=${encodeURIComponent(q)}`);
 }
 // Retrieve all messages in a specific conversation.
 export async function getMessages(conversationId) {
     const qs = `?conversationId=${encodeURIComponent(conversationId)}`;
     return authFetch(`${PATHS.messages}${qs}`);
 }
-// Generate new daily challenges through AI.
-export async function generateChallenges(count = 3) {
+// Confirm (approve = true) or dismiss a coach-proposed action on an assistant message.
+// Returns the updated action { id, tool, status, result?, audit[] }.
+export async function resolveCoachAction({ conversationId, messageId, actionId, approve }) {
+    return authFetch("/api/ai/actions/resolve", {
+        method: "POST",
+        body: JSON.stringify({ conversationId, messageId, actionId, approve: !!approve }),
+    });
+}
+// Long-term coach memory: remembered facts about the user.
+export async function getCoachMemory() {
+    return authFetch("/api/memory");
+}
+// Forget one remembered fact (it won’t be re-learned from old messages).
+export async function forgetMemoryFact(factId) {
+    return authFetch(`/api/memory/facts/${encodeURIComponent(factId)}`, { method: "DELETE" });
+}
+// Forget all facts and conversation summaries.
+export async function clearCoachMemory() {
+    return authFetch("/api/memory", { method: "DELETE" });
+}
+// Generate (or fetch) the day's challenges. The server creates the Challenge docs once per
+// user and date and returns the persisted items: { date, created, items }.
+export async function generateChallenges(count = 3, date) {
   return authFetch("/api/ai/generate-challenges", {
     method: "POST",
-    body: JSON.stringify({ count }),
+    body: JSON.stringify({ count, date }),
+  });
+}
+
+// Swap one uncompleted challenge of today for a new recommendation → { replacedId, item, swapsLeft }.
+export async function swapChallenge(challengeId, date) {
+    return authFetch(`/api/challenges/${encodeURIComponent(challengeId)}/swap`, {
+        method: "POST",
+        body: JSON.stringify({ date }),
+    });
+}
+
+// Server-authoritative streak (server/streaks.js). Call after every daily log write;
+// returns { current_streak_days, streak_start_date, last_slip_date, longest_streak_days, finished_streaks }.
+export async function recomputeStreak() {
+  return authFetch("/api/streak/recompute", { method: "POST" });
+}
+
+// Current streak + finished streaks (newest first): { current, longest_streak_days, history }.
+export async function getStreakHistory() {
+  return authFetch("/api/streak/history");
+}
+
+// Streak freezes (server/streakFreezes.js): { enabled, tokens, max_tokens, eligible, frozen, … }.
+export async function getStreakFreezes() {
+  return authFetch("/api/streak/freezes");
+}
+
+export async function setStreakFreezesEnabled(enabled) {
+  return authFetch("/api/streak/freezes/settings", {
+    method: "POST",
+    body: JSON.stringify({ enabled: !!enabled }),
+  });
+}
+
+// Spend a token on a recent lapse; the log keeps the lapse, only the streak survives it.
+export async function spendStreakFreeze(date) {
+  return authFetch("/api/streak/freeze", {
+    method: "POST",
+    body: JSON.stringify({ date }),
   });
 }
 
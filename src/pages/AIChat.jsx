@@ -9,8 +9,14 @@
  *   avatar + theme color (Firestore: users/{uid}).
  * - Loads the most recent conversation/messages via your REST API
  *   (listConversations/getMessages from integrations/chatApi).
- * - Sends user input with sendChat(); appends assistant reply to UI.
+ * - The conversation drawer (components/ConversationDrawer) switches threads,
+ *   starts new ones, and renames/archives/deletes/searches old ones.
+ * - Sends user input with streamChat(); the assistant bubble fills in live
+ *   as tokens arrive and can be cancelled mid-stream with the Stop button.
  * - After each send, increments metrics and evaluates badges.
+ * - Coach-proposed actions (log a craving, add triggers, create a challenge…)
+ *   render as cards under the reply; nothing is saved until the user confirms
+ *   (resolveCoachAction). The outcome stays on the message as an audit trail.
  *
  * Key UI:
  * - Animated gradient header, scrollable message list, auto-growing textarea.
@@ -24,11 +30,12 @@
 
 import React, { useEffect, useRef, useState } from "react";
 import { Button } from "@/components/ui/button";
-import { Bot, User as UserIcon, Send, Music } from "lucide-react";
+import { Bot, User as UserIcon, Send, Music, Square, MessagesSquare, Check, X } from "lucide-react";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import InkHeroCanvas from "@/components/InkHeroCanvas";
-import { sendChat, listConversations, getMessages } from "@/integrations/chatApi";
+import ConversationDrawer from "@/components/ConversationDrawer";
+import { streamChat, listConversations, getMessages, resolveCoachAction } from "@/integrations/chatApi";
 import { auth, db } from "@/firebase";
 import { doc, onSnapshot } from "firebase/firestore";
 import { incAiMessages } from "@/services/metrics";
@@ -53,15 +60,17 @@ function hexToRgba(hex, a = 0.18) {
   return `rgba(${r},${g},${b},${a})`;
 }
 
+const GREETING = { id: "m1", role: "assistant", text: "Hey! I’m your AI Coach. Tell me what’s on your mind and I’ll guide you step by step." };
+
 export default function AIChat() {
   const NAV_H = 56; // px (matches your 14 * 4)
 
   const [input, setInput] = useState("");
-  const [messages, setMessages] = useState([
-    { id: "m1", role: "assistant", text: "Hey! I’m your AI Coach. Tell me what’s on your mind and I’ll guide you step by step." },
-  ]);
+  const [messages, setMessages] = useState([GREETING]);
   const [conversationId, setConversationId] = useState(null);
+  const [drawerOpen, setDrawerOpen] = useState(false);
   const [isSending, setIsSending] = useState(false);
+  const abortRef = useRef(null); // AbortController of the in-flight stream
 
   const endRef = useRef(null);
   const mainRef = useRef(null);
@@ -159,18 +168,35 @@ export default function AIChat() {
     measureInputWrap();
   }, [input]);
 
+  const openConversation = async (id) => {
+    abortRef.current?.abort();
+    const msgs = await getMessages(id);
+    setMessages([
+      { id: "sys", role: "assistant", text: "Welcome back!" },
+      ...msgs.map((m) => ({
+        id: m.id,
+        serverId: m.id,
+        role: m.role,
+        text: m.content,
+        stopped: !!m.cancelled,
+        flagged: !!m.safety?.templated,
+        actions: m.actions || [],
+      })),
+    ]);
+    setConversationId(id);
+    setTimeout(() => endRef.current?.scrollIntoView({ behavior: "auto" }), 0);
+  };
+
+  const startNewConversation = () => {
+    abortRef.current?.abort();
+    setConversationId(null);
+    setMessages([GREETING]);
+  };
+
   useEffect(() => {
     (async () => {
       const convos = await listConversations();
-      if (convos[0]) {
-        const msgs = await getMessages(convos[0].id);
-        setMessages([
-          { id: "sys", role: "assistant", text: "Welcome back!" },
-          ...msgs.map((m) => ({ id: m.id, role: m.role, text: m.content })),
-        ]);
-        setConversationId(convos[0].id);
-        setTimeout(() => endRef.current?.scrollIntoView({ behavior: "auto" }), 0);
-      }
+      if (convos[0]) await openConversation(convos[0].id);
     })().catch(console.error);
   }, []);
 
@@ -186,21 +212,49 @@ export default function AIChat() {
     setInput("");
     setIsSending(true);
 
-    try {
-      const { conversationId: cid, reply } = await sendChat({ conversationId, userMessage: trimmed });
-      if (!conversationId) setConversationId(cid);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let partial = "";
+
+    // Replace the typing bubble with the text streamed so far
+    const showPartial = (extra = {}) =>
+      setMessages((m) =>
+        m.map((x) => (x.id === typingId ? { ...x, text: partial, typing: false, ...extra } : x))
+      );
 
-      setMessages((m) => {
-        const withoutTyping = m.filter((x) => x.id !== typingId);
-        return [...withoutTyping, { id: crypto.randomUUID(), role: "assistant", text: reply }];
+    try {
+      const done = await streamChat({
+        conversationId,
+        userMessage: trimmed,
+        signal: controller.signal,
+        onMeta: ({ conversationId: cid }) => {
+          if (!conversationId && cid) setConversationId(cid);
+        },
+        onToken: (t) => {
+          partial += t;
+          showPartial();
+        },
+        onReplace: (t) => {
+          partial = t;
+          showPartial({ flagged: true });
+        },
       });
+      partial = done.reply ?? partial;
+      showPartial({ serverId: done.messageId, actions: done.actions || [], flagged: !!done.safety });
       setTimeout(() => endRef.current?.scrollIntoView({ behavior: "smooth" }), 0);
     } catch (e) {
-      setMessages((m) => {
-        const withoutTyping = m.filter((x) => x.id !== typingId);
-        return [...withoutTyping, { id: crypto.randomUUID(), role: "assistant", text: `Error: ${e.message}` }];
-      });
+      if (e?.name === "AbortError") {
+        // Keep whatever arrived; drop the bubble if nothing did
+        if (partial) showPartial({ stopped: true });
+        else setMessages((m) => m.filter((x) => x.id !== typingId));
+      } else {
+        setMessages((m) => {
+          const withoutTyping = m.filter((x) => x.id !== typingId);
+          return [...withoutTyping, { id: crypto.randomUUID(), role: "assistant", text: `Error: ${e.message}` }];
+        });
+      }
     } finally {
+      abortRef.current = null;
       setIsSending(false);
     }
 
@@ -217,6 +271,35 @@ export default function AIChat() {
 
   };
 
+  const stop = () => abortRef.current?.abort();
+
+  // Confirm or dismiss one proposed action, then swap in the server's record
+  const resolveAction = async (msg, action, approve) => {
+    const patchAction = (next) =>
+      setMessages((m) =>
+        m.map((x) =>
+          x.id === msg.id ? { ...x, actions: x.actions.map((a) => (a.id === action.id ? next : a)) } : x
+        )
+      );
+    patchAction({ ...action, busy: true });
+    try {
+      const next = await resolveCoachAction({
+        conversationId,
+        messageId: msg.serverId,
+        actionId: action.id,
+        approve,
+      });
+      patchAction(next);
+      const uid = auth.currentUser?.uid;
+      if (approve && uid) evaluateAndUnlockBadges(uid).catch(() => { });
+    } catch (e) {
+      patchAction({ ...action, error: e.message });
+    }
+  };
+
+  // Abort any in-flight stream when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   return (
     <div
       className="fixed inset-0 bg-[#0c0f14] text-white"
@@ -229,7 +312,16 @@ export default function AIChat() {
       <header className="fixed top-0 inset-x-0 h-14 hero-wrap">
         <InkHeroCanvas />
         <div className="relative h-full px-4 flex items-center justify-between">
-          <h1 className="text-lg font-semibold">AI Coach</h1>
+          <div className="flex items-center gap-2">
+            <button
+              className={`${pillBtn} h-9 w-9 inline-flex items-center justify-center`}
+              onClick={() => setDrawerOpen(true)}
+              aria-label="Conversations"
+            >
+              <MessagesSquare className="w-4 h-4" />
+            </button>
+            <h1 className="text-lg font-semibold">AI Coach</h1>
+          </div>
           <Link to={createPageUrl("Audio")}>
             <button className={`${pillBtn} px-4 py-2 inline-flex items-center gap-2`}>
               <Music className="w-4 h-4" />
@@ -255,8 +347,19 @@ export default function AIChat() {
             role={m.role}
             text={m.text}
             typing={m.typing}
+            stopped={m.stopped}
+            flagged={m.flagged}
             avatarUrl={m.role === "user" ? userAvatarUrl : undefined}
-          />
+          >
+            {m.actions?.map((a) => (
+              <ActionCard
+                key={a.id}
+                action={a}
+                onConfirm={() => resolveAction(m, a, true)}
+                onDismiss={() => resolveAction(m, a, false)}
+              />
+            ))}
+          </MessageBubble>
         ))}
         <div style={{ height: "var(--bottom-gap)" }} />
         <div ref={endRef} />
@@ -286,6 +389,16 @@ export default function AIChat() {
               if ((e.metaKey || e.ctrlKey) && e.key === "Enter") send();
             }}
           />
+          {isSending ? (
+          <Button
+            onClick={stop}
+            className="rounded-full h-11 w-11 flex items-center justify-center border backdrop-blur-md transition shadow-[0_0_12px_rgba(255,255,255,0.15)] hover:bg-white/20"
+            style={{ backgroundColor: "rgba(255,255,255,0.10)", borderColor: "rgba(255,255,255,0.20)" }}
+            aria-label="Stop"
+          >
+            <Square className="w-4 h-4 text-white fill-white" />
+          </Button>
+          ) : (
           <Button
             onClick={send}
             disabled={isSending}
@@ -300,10 +413,22 @@ export default function AIChat() {
           >
             <Send className="w-5 h-5 text-white" />
           </Button>
+          )}
         </div>
         <div className="mt-1.5 h-10 text-[11px] text-white/60 text-center">AI Coach is for informational support only; not a substitute for professional medical advice.</div>
       </div>
 
+      <ConversationDrawer
+        open={drawerOpen}
+        onClose={() => setDrawerOpen(false)}
+        currentId={conversationId}
+        onSelect={(id) => openConversation(id).catch(console.error)}
+        onNew={startNewConversation}
+        onDeleted={(id) => {
+          if (id === conversationId) startNewConversation();
+        }}
+      />
+
       <style>{`
         .hero-wrap {
           overflow: hidden;
@@ -315,7 +440,7 @@ export default function AIChat() {
 }
 
 // Use the SAME color as your navbar icons: var(--hero-grad-first)
-function MessageBubble({ role, text, avatarUrl, typing }) {
+function MessageBubble({ role, text, avatarUrl, typing, stopped, flagged, children }) {
   const isUser = role === "user";
   const [src, setSrc] = React.useState(avatarUrl || null);
 
@@ -330,12 +455,14 @@ function MessageBubble({ role, text, avatarUrl, typing }) {
     background: "color-mix(in srgb, var(--hero-grad-first, #6e34f5) 16%, transparent)",
     border: "1px solid rgba(255,255,255,0.10)",
   };
+  // safety replies (crisis / medical templates) get an amber outline
+  const flaggedStyle = { ...aiStyle, border: "1px solid rgba(251,191,36,0.6)" };
 
   return (
     <div className={`flex ${isUser ? "justify-end" : "justify-start"}`}>
       <div
         className="max-w-[85%] sm:max-w-[75%] rounded-2xl p-3 text-white"
-        style={isUser ? userStyle : aiStyle}
+        style={isUser ? userStyle : flagged ? flaggedStyle : aiStyle}
       >
         <div className="flex items-start gap-2">
           <div
@@ -367,11 +494,56 @@ function MessageBubble({ role, text, avatarUrl, typing }) {
               </span>
             </p>
           ) : (
-            <p className="whitespace-pre-wrap text-sm leading-relaxed">{text}</p>
+            <p className="whitespace-pre-wrap text-sm leading-relaxed">
+              {text}
+              {stopped && <span className="block mt-1 text-[11px] text-white/50">Stopped</span>}
+            </p>
           )}
         </div>
+        {children}
       </div>
     </div>
   );
 }
 
+const ACTION_DONE_LABEL = {
+  log_craving: "Craving logged",
+  log_daily_entry: "Daily log updated",
+  add_triggers: "Triggers added",
+  create_challenge: "Challenge created",
+};
+
+// A coach-proposed action awaiting confirmation (or its recorded outcome)
+function ActionCard({ action, onConfirm, onDismiss }) {
+  const pending = action.status === "pending";
+  return (
+    <div className="mt-2 ml-9 rounded-xl border border-white/15 bg-black/20 p-2.5 text-sm">
+      <div className="text-white/90">{action.summary}</div>
+      {pending ? (
+        <div className="mt-2 flex gap-2">
+          <button
+            onClick={onConfirm}
+            disabled={action.busy}
+            className="inline-flex items-center gap-1 rounded-full px-3 py-1 text-xs text-white disabled:opacity-50"
+            style={{ backgroundColor: "var(--hero-grad-first, #6e34f5)" }}
+          >
+            <Check className="w-3.5 h-3.5" /> Confirm
+          </button>
+          <button
+            onClick={onDismiss}
+            disabled={action.busy}
+            className={`${pillBtn} inline-flex items-center gap-1 px-3 py-1 text-xs disabled:opacity-50`}
+          >
+            <X className="w-3.5 h-3.5" /> Dismiss
+          </button>
+        </div>
+      ) : (
+        <div className="mt-1 text-[11px] text-white/50">
+          {action.status === "confirmed" ? `✓ ${ACTION_DONE_LABEL[action.tool] || "Saved"}` : "Dismissed"}
+        </div>
+      )}
+      {action.error && <div className="mt-1 text-[11px] text-red-300">{action.error}</div>}
+    </div>
+  );
+}
+
@@ -12,11 +12,17 @@
  *   • users/{uid}/challengePrefs/{challengeId} (like/dislike prefs)
  *   • challenges_catalog/{id} (optional metadata: source/source_org)
  * - REST:
- *   • generateChallenges(count) to fetch AI-generated daily items.
+ *   • generateChallenges(count, date) → server-persisted daily Challenge docs.
  *
  * Core Flows:
- * - Generate: calls backend once/day → creates Challenge docs for today.
- * - Complete: marks challenge complete and awards points via service helper.
+ * - Generate: backend creates today's Challenge docs once/day (server-side, idempotent).
+ * - Swap: replaces one uncompleted challenge of today via swapChallenge() (capped per day).
+ * - Complete: CompleteChallengeDialog asks for an optional note + photo (evidence),
+ *   then marks the challenge complete and awards points via service helper.
+ * - Undo: a completion can be reversed within 24h (points taken back atomically,
+ *   just-earned challenge-count badges revoked).
+ * - Multi-day: daily check-ins via checkInChallenge(); progress card (ChallengeProgress);
+ *   points land with the final check-in (which also goes through the evidence dialog).
  * - Badge updates: evaluateAndUnlockBadges after actions; modal marks “seen”.
  * - Source button: opens catalog/source URL when available.
  * - “Ask AI Coach”: deep-links to AIChat with a prefilled coaching prompt.
@@ -31,7 +37,7 @@
  */
 
 import React, { useState, useEffect, useRef } from "react";
-import { Challenge } from "@/entities/Challenge";
+import { Challenge, challengeProgress, canUndoCompletion, withCompletionUndone } from "@/entities/Challenge";
 import { InvokeLLM } from "@/integrations/Core";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -47,14 +53,21 @@ import {
   Users,
   Coffee
 } from "lucide-react";
-import { format } from "date-fns";
+import { todayKey } from "@/utils/dayKey";
 import { Lock } from "lucide-react";
 import { ChevronRight } from "lucide-react";
 import { Link } from "react-router-dom";
 import { collection, query, where, orderBy, limit, getDocs } from "firebase/firestore";
 import { getAuth, onAuthStateChanged } from "firebase/auth";
 import { auth, db } from "@/firebase";
-import { completeChallengeAndAwardPoints } from "@/services/users";
+import {
+  completeChallengeAndAwardPoints,
+  checkInChallenge,
+  uploadChallengeEvidencePhoto,
+  undoChallengeCompletion,
+} from "@/services/users";
+import ChallengeProgress from "@/components/ChallengeProgress";
+import CompleteChallengeDialog from "@/components/CompleteChallengeDialog";
 import {
   doc,
   updateDoc,
@@ -63,9 +76,9 @@ import {
   setDoc,
   deleteDoc
 } from "firebase/firestore";
-import { ThumbsUp, ThumbsDown } from "lucide-react";
-import { generateChallenges } from "@/integrations/chatApi";
-import { evaluateAndUnlockBadges } from "@/services/badges";
+import { ThumbsUp, ThumbsDown, RefreshCw, Undo2 } from "lucide-react";
+import { generateChallenges, swapChallenge } from "@/integrations/chatApi";
+import { evaluateAndUnlockBadges, revokeChallengeBadges } from "@/services/badges";
 import { BADGE_META, getUnlockedBadges, markBadgeSeen } from "@/services/badges";
 import { useNavigate } from "react-router-dom";
 import { Bot } from "lucide-react";
@@ -74,8 +87,8 @@ import { getDoc } from "firebase/firestore";
 
 
 
-// local "yyyy-MM-dd" (no UTC surprises)
-const todayStr = () => format(new Date(Date.now()), "yyyy-MM-dd");
+// "yyyy-MM-dd" in the user's time zone (utils/dayKey)
+const todayStr = () => todayKey();
 
 // ms until next local midnight
 const msUntilMidnight = () => {
@@ -228,6 +241,7 @@ function LikeDislike({ uid, challenge }) {
           preference: next,
           type: challenge.category ?? null,
           title: challenge.title ?? null,
+          catalog_id: challenge.catalog_id ?? null,
           updatedAt: serverTimestamp(),
         },
         { merge: true }
@@ -344,6 +358,9 @@ export default function Challenges() {
   const [challenges, setChallenges] = useState([]);
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
+  const [swappingId, setSwappingId] = useState(null);
+  const [completing, setCompleting] = useState(null); // challenge shown in the completion dialog
+  const [undoingId, setUndoingId] = useState(null);
   const userUnsubRef = useRef(null);
   const [justUnlockedId, setJustUnlockedId] = useState(null);
   // ---- Badges (Your Badges in Challenges tab) ----
@@ -487,33 +504,8 @@ export default function Challenges() {
 
     setGenerating(true);
     try {
-      const today = todayStr();
-      const already = challenges.some(c => c.due_date === today);
-      if (already) { setGenerating(false); return; }
-
-      // ✅ use your API helper (goes to Express on :8787 via authFetch)
-      const { items } = await generateChallenges(3); // [{id,title,description,category,difficulty,points}]
-
-      const newChallenges = items.map(ch => ({
-        title: ch.title,
-        description: ch.description,
-        category: ch.category,
-        difficulty: ch.difficulty,
-        points: Number(ch.points || 10),
-        user_id: uid,
-        due_date: today,
-        completed: false,
-        created_date: new Date().toISOString(),
-        catalog_id: ch.id,
-        source: ch.source ?? null,
-        source_org: ch.source_org ?? null,
-        coachPrompt: ch.coachPrompt ?? null,
-      }));
-
-      for (const ch of newChallenges) {
-        await Challenge.create(ch);
-      }
-
+      // Server creates today's Challenge docs once (idempotent per day) and returns them
+      await generateChallenges(3, todayStr());
       await loadData();
     } catch (error) {
       console.error("Error generating challenges:", error);
@@ -524,17 +516,69 @@ export default function Challenges() {
 
 
 
-  const completeChallenge = async (challengeId, points) => {
+  // Replace one uncompleted challenge of today (server caps swaps per day)
+  const swapOne = async (challengeId) => {
+    setSwappingId(challengeId);
+    try {
+      const { replacedId, item } = await swapChallenge(challengeId, todayStr());
+      setChallenges((prev) => prev.map((c) => (c.id === replacedId ? item : c)));
+    } catch (error) {
+      console.error("Error swapping challenge:", error);
+      alert("Couldn’t swap this challenge (daily swap limit reached or network error).");
+    } finally {
+      setSwappingId(null);
+    }
+  };
+
+  // Photo first (so the completion write can reference it), then the note + URL as evidence
+  const buildEvidence = async (challengeId, { note, file } = {}) => {
+    const uid = auth.currentUser?.uid;
+    let photo = null;
+    if (file && uid) photo = await uploadChallengeEvidencePhoto(uid, challengeId, file);
+    return { note, photoURL: photo?.url || null, photoPath: photo?.path || null };
+  };
+
+  // One check-in for a multi-day challenge; the final one completes it and awards points
+  const checkIn = async (challengeId, evidenceInput = null) => {
+    const day = todayStr();
     try {
-      const newTotal = await completeChallengeAndAwardPoints(challengeId, points);
+      const evidence = evidenceInput ? await buildEvidence(challengeId, evidenceInput) : null;
+      const r = await checkInChallenge(challengeId, day, evidence);
       setChallenges((prev) =>
-        prev.map((c) => (c.id === challengeId ? { ...c, completed: true } : c))
+        prev.map((c) =>
+          c.id === challengeId
+            ? {
+              ...c,
+              checkins: { ...(c.checkins || {}), [day]: true },
+              progress: r.progress,
+              completed: r.completed,
+              ...(r.completed ? { completedAt: new Date(), completed_checkin: day } : {}),
+              ...(r.completed && evidence ? { evidence } : {}),
+            }
+            : c
+        )
       );
-      setUser((prev) => ({ ...prev, total_points: newTotal }));
+      setUser((prev) => ({ ...prev, total_points: r.total_points }));
+      const uid = auth.currentUser?.uid;
+      if (r.completed && uid) {
+        const newly = await evaluateAndUnlockBadges(uid).catch(() => []);
+        if (newly?.length) setJustUnlockedId(newly[0]);
+      }
     } catch (error) {
-      console.error("Error completing challenge:", error);
-      alert("Couldn’t mark complete (permissions or network). Try again.");
+      console.error("Error checking in:", error);
+      if (evidenceInput) throw error; // the dialog shows it
+      alert("Couldn’t save today’s check-in. Try again.");
     }
+  };
+
+  // Called by CompleteChallengeDialog; throws so the dialog can show the error
+  const completeChallenge = async (challenge, evidenceInput) => {
+    const evidence = await buildEvidence(challenge.id, evidenceInput);
+    const newTotal = await completeChallengeAndAwardPoints(challenge.id, challenge.points, evidence);
+    setChallenges((prev) =>
+      prev.map((c) => (c.id === challenge.id ? { ...c, completed: true, completedAt: new Date(), evidence } : c))
+    );
+    setUser((prev) => ({ ...prev, total_points: newTotal }));
 
     const uid = auth.currentUser?.uid;
     if (uid) {
@@ -543,10 +587,40 @@ export default function Challenges() {
     }
   };
 
+  // Reverse an accidental completion (24h window); points and count badges follow
+  const undoCompletion = async (challenge) => {
+    setUndoingId(challenge.id);
+    try {
+      const r = await undoChallengeCompletion(challenge.id);
+      setChallenges((prev) => prev.map((c) => (c.id === challenge.id ? withCompletionUndone(c) : c)));
+      setUser((prev) => ({ ...prev, total_points: r.total_points }));
+      const uid = auth.currentUser?.uid;
+      if (uid) await revokeChallengeBadges(uid).catch((e) => console.warn("Badge revoke failed:", e));
+    } catch (error) {
+      console.error("Error undoing completion:", error);
+      alert(
+        error?.message === "UNDO_WINDOW_PASSED"
+          ? "This challenge was completed more than 24 hours ago and can’t be undone."
+          : "Couldn’t undo (permissions or network). Try again."
+      );
+    } finally {
+      setUndoingId(null);
+    }
+  };
+
+  // Last remaining check-in → same completion dialog as one-shot challenges
+  const isFinalCheckIn = (c) => {
+    const p = challengeProgress(c, todayStr());
+    return p.done + 1 >= p.target;
+  };
+
 
 
   const today = todayStr();
-  const todayChallenges = challenges.filter(c => c.due_date === today);
+  // today's set + multi-day challenges whose window includes today
+  const todayChallenges = challenges.filter(
+    (c) => c.due_date === today || (c.multi_day && c.start_date <= today && today <= c.end_date)
+  );
   const completedToday = todayChallenges.filter((c) => c.completed);
 
   // Fetch missing source/source_org from catalog for today's challenges
@@ -708,6 +782,18 @@ export default function Challenges() {
                           </Badge>
                         </div>
                         <div className="flex items-center gap-2">
+                          {/* Swap (today's generated, not yet completed) */}
+                          {!challenge.completed && challenge.origin === "daily" && (
+                            <button
+                              onClick={() => swapOne(challenge.id)}
+                              disabled={!!swappingId}
+                              title="Swap for a different challenge"
+                              aria-label="Swap challenge"
+                              className="h-8 w-8 rounded-full border border-white/20 flex items-center justify-center hover:bg-white/10 disabled:opacity-50 transition"
+                            >
+                              <RefreshCw className={`w-4 h-4 text-white/85 ${swappingId === challenge.id ? "animate-spin" : ""}`} />
+                            </button>
+                          )}
                           {/* Points pill */}
                           <div className="px-3 py-1.5 rounded-full bg-white/10 text-white/85 border border-white/20 text-xs">
                             +{challenge.points} pts
@@ -795,16 +881,53 @@ export default function Challenges() {
                       >
                         {challenge.description}
                       </p>
+                      {challenge.recommendation?.reason && !challenge.completed && (
+                        <p
+                          className="text-xs text-white/50 -mt-2 mb-4"
+                          title={`Score ${challenge.recommendation.score} · ${challenge.recommendation.breakdown?.category} sample ${challenge.recommendation.breakdown?.categorySample} · difficulty fit ${challenge.recommendation.breakdown?.difficulty?.fit}`}
+                        >
+                          Why this: {challenge.recommendation.reason}
+                        </p>
+                      )}
+                      {challenge.multi_day && (
+                        <div className="mb-4">
+                          <ChallengeProgress challenge={challenge} today={today} />
+                        </div>
+                      )}
                       {challenge.completed ? (
                         <div className="flex items-center gap-2 text-emerald-200">
                           <CheckCircle2 className="w-5 h-5" />
                           <span className="font-medium">Completed!</span>
+                          {canUndoCompletion(challenge) && (
+                            <button
+                              onClick={() => undoCompletion(challenge)}
+                              disabled={undoingId === challenge.id}
+                              title="Undo completion (within 24 hours)"
+                              className="ml-auto inline-flex items-center gap-1 text-xs text-white/60 hover:text-white disabled:opacity-50"
+                            >
+                              <Undo2 className="w-3.5 h-3.5" />
+                              Undo
+                            </button>
+                          )}
                         </div>
+                      ) : challenge.multi_day ? (
+                        challenge.checkins?.[today] ? (
+                          <div className="flex items-center gap-2 text-white/75">
+                            <CheckCircle2 className="w-5 h-5" />
+                            <span className="font-medium">Checked in today</span>
+                          </div>
+                        ) : (
+                          <Button
+                            onClick={() => (isFinalCheckIn(challenge) ? setCompleting(challenge) : checkIn(challenge.id))}
+                            disabled={!challengeProgress(challenge, today).canCheckIn}
+                            className={`w-full ${pillBtn}`}
+                          >
+                            {challengeProgress(challenge, today).canCheckIn ? "Check in today" : "No check-in today"}
+                          </Button>
+                        )
                       ) : (
                         <Button
-                          onClick={() =>
-                            completeChallenge(challenge.id, challenge.points)
-                          }
+                          onClick={() => setCompleting(challenge)}
                           className={`w-full ${pillBtn}`}
                         >
                           Complete
@@ -893,6 +1016,15 @@ export default function Challenges() {
         onClose={() => setSelectedBadge(null)}
       />
 
+      <CompleteChallengeDialog
+        challenge={completing}
+        open={!!completing}
+        onOpenChange={(v) => !v && setCompleting(null)}
+        onSubmit={(evidence) =>
+          completing.multi_day ? checkIn(completing.id, evidence) : completeChallenge(completing, evidence)
+        }
+      />
+
     </div >
   );
 }
@@ -1,86 +1,311 @@
 /**
  * ChallengesHistory.jsx
  * ----------------------
- * Purpose: Read-only grid of the user’s completed challenges (historical),
- *          ordered by most recent.
+ * Purpose: History of the user’s completed challenges (newest completion first) with filters,
+ *          search and a stats header, plus multi-day challenges still in progress.
  *
- * Data:
- * - Firestore query on Challenge collection:
- *   user_id == uid, completed == true, orderBy(created_date desc), limit 100.
+ * Data (src/services/challengeHistory.js):
+ * - fetchCompletedPage(): completed challenges in pages of HISTORY_PAGE_SIZE
+ *   (Firestore cursor, optional completion-day range) → "Load more".
+ * - fetchInProgressMultiDay(): open multi-day challenges (shown above the list).
+ * - loadChallengeStats(): completion rate per category, points per week (last 8),
+ *   longest / current run of days with ≥1 completed challenge.
  *
  * UI:
- * - Back to Challenges button.
+ * - Back to Challenges button, stats header, filter bar (category, difficulty,
+ *   source, date range, text search over title/description/source/notes).
  * - Card per challenge showing due_date (dd/MM), title, description, and a
- *   completed check icon.
+ *   completed check icon; multi-day cards show a date range and ChallengeProgress.
+ * - Evidence from completion (reflection note + photo thumbnail, opens full size).
+ * - "Undo" on completions younger than 24h (undoChallengeCompletion; the card
+ *   leaves the list unless it is a multi-day challenge).
  *
  * Dev Notes:
  * - Uses Auth to resolve uid (handles late auth via onAuthStateChanged).
- * - dayStr helper normalizes dates for display & stability.
- * - No edits; purely fetch & render. Loading state included.
+ * - Date range is applied in the query (resets paging); the other filters run on
+ *   the loaded pages, so "Load more" keeps filling the filtered grid.
  */
 
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { CheckCircle2, ArrowLeft } from "lucide-react";
-import { format } from "date-fns";
+import { Input } from "@/components/ui/input";
+import { CheckCircle2, ArrowLeft, Undo2, Search, Flame, Trophy, BarChart3 } from "lucide-react";
+import { format, parseISO } from "date-fns";
 import { el } from "date-fns/locale";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "@/firebase";
-import { collection, query, where, orderBy, limit, getDocs } from "firebase/firestore";
+import { auth } from "@/firebase";
 import { getAuth, onAuthStateChanged } from "firebase/auth";
+import ChallengeProgress from "@/components/ChallengeProgress";
+import { todayKey } from "@/utils/dayKey";
+import { canUndoCompletion, withCompletionUndone } from "@/entities/Challenge";
+import { undoChallengeCompletion } from "@/services/users";
+import { revokeChallengeBadges } from "@/services/badges";
+import {
+  fetchCompletedPage,
+  fetchInProgressMultiDay,
+  loadChallengeStats,
+  matchesHistoryFilters,
+} from "@/services/challengeHistory";
 
+const CATEGORIES = ["habits", "mental", "social", "physical"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const EMPTY_FILTERS = { category: "", difficulty: "", sourceOrg: "", search: "", from: "", to: "" };
+const fieldCls = "bg-white/5 border-white/15 text-white text-sm placeholder:text-white/40";
 
+function HistoryCard({ challenge, today, undoing, onUndo }) {
+  return (
+    <Card
+      className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md"
+    >
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <Badge
+            variant="outline"
+            className="text-white/80 border-white/20"
+          >
+            {format(new Date(challenge.start_date || challenge.due_date), "dd/MM", {
+              locale: el,
+            })}
+            {challenge.multi_day && challenge.end_date
+              ? `–${format(new Date(challenge.end_date), "dd/MM", { locale: el })}`
+              : ""}
+          </Badge>
+          <div className="flex items-center gap-2">
+            {canUndoCompletion(challenge) && (
+              <button
+                onClick={() => onUndo(challenge)}
+                disabled={undoing}
+                title="Undo completion (within 24 hours)"
+                className="inline-flex items-center gap-1 text-xs text-white/60 hover:text-white disabled:opacity-50"
+              >
+                <Undo2 className="w-3.5 h-3.5" />
+                Undo
+              </button>
+            )}
+            {challenge.completed && (
+              <CheckCircle2 className="w-5 h-5 text-emerald-200" />
+            )}
+          </div>
+        </div>
+        <CardTitle className="text-lg text-white">
+          {challenge.title}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-white/75">
+          {challenge.description}
+        </p>
+        {challenge.multi_day && (
+          <div className="mt-3">
+            <ChallengeProgress challenge={challenge} today={today} />
+          </div>
+        )}
+        {(challenge.evidence?.note || challenge.evidence?.photoURL) && (
+          <div className="mt-3 flex items-start gap-3 rounded-xl bg-white/5 border border-white/10 p-2.5">
+            {challenge.evidence.photoURL && (
+              <a href={challenge.evidence.photoURL} target="_blank" rel="noopener noreferrer" className="shrink-0">
+                <img
+                  src={challenge.evidence.photoURL}
+                  alt="Completion proof"
+                  loading="lazy"
+                  className="h-16 w-16 rounded-lg object-cover border border-white/15"
+                />
+              </a>
+            )}
+            {challenge.evidence.note && (
+              <p className="text-xs text-white/80 italic whitespace-pre-line">
+                “{challenge.evidence.note}”
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function StatsHeader({ stats }) {
+  if (!stats) return null;
+  const maxWeek = Math.max(1, ...stats.pointsPerWeek.map((w) => w.points));
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+      <Card className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md">
+        <CardContent className="pt-5 pb-4 space-y-2">
+          <div className="flex items-center gap-2 text-white/80 text-sm">
+            <BarChart3 className="w-4 h-4" /> Completion by category
+          </div>
+          {stats.byCategory.length ? (
+            stats.byCategory.map((c) => (
+              <div key={c.category} className="text-xs text-white/70">
+                <div className="flex justify-between">
+                  <span className="capitalize">{c.category}</span>
+                  <span>
+                    {Math.round(c.rate * 100)}% · {c.completed}/{c.assigned}
+                  </span>
+                </div>
+                <div className="h-1.5 rounded-full bg-white/10 mt-1">
+                  <div className="h-1.5 rounded-full bg-emerald-400" style={{ width: `${Math.round(c.rate * 100)}%` }} />
+                </div>
+              </div>
+            ))
+          ) : (
+            <p className="text-xs text-white/50">No finished challenges yet.</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md">
+        <CardContent className="pt-5 pb-4">
+          <div className="flex items-center justify-between text-white/80 text-sm">
+            <span className="flex items-center gap-2">
+              <Trophy className="w-4 h-4" /> Points per week
+            </span>
+            <span className="text-xs text-white/50">{stats.totalPoints} pts total</span>
+          </div>
+          <div className="mt-3 flex items-end gap-1.5 h-20">
+            {stats.pointsPerWeek.map((w) => (
+              <div
+                key={w.week}
+                title={`Week of ${format(parseISO(w.week), "dd/MM", { locale: el })}: ${w.points} pts`}
+                className="flex-1 rounded-t bg-white/30"
+                style={{ height: `${Math.max(4, (w.points / maxWeek) * 100)}%` }}
+              />
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md">
+        <CardContent className="pt-5 pb-4">
+          <div className="flex items-center gap-2 text-white/80 text-sm">
+            <Flame className="w-4 h-4" /> Longest run
+          </div>
+          <div className="text-2xl font-bold text-white mt-2">
+            {stats.longestRun.days} day{stats.longestRun.days === 1 ? "" : "s"}
+          </div>
+          <p className="text-xs text-white/60">
+            {stats.longestRun.days
+              ? `${format(parseISO(stats.longestRun.from), "dd/MM", { locale: el })}–${format(parseISO(stats.longestRun.to), "dd/MM", { locale: el })} · with ≥1 challenge done`
+              : "Days in a row with ≥1 challenge done"}
+          </p>
+          <p className="text-xs text-white/60 mt-1">Current run: {stats.currentRun}</p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
 
 export default function ChallengesHistory() {
   const navigate = useNavigate();
-  const [challenges, setChallenges] = useState([]);
+  const [uid, setUid] = useState(null);
+  const [items, setItems] = useState([]);
+  const [inProgress, setInProgress] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [undoingId, setUndoingId] = useState(null);
+
+  const today = todayKey();
+  const setFilter = (k, v) => setFilters((prev) => ({ ...prev, [k]: v }));
+
+  // resolve uid (late auth safe)
+  useEffect(() => {
+    const cur = getAuth().currentUser;
+    if (cur?.uid) {
+      setUid(cur.uid);
+      return undefined;
+    }
+    return onAuthStateChanged(auth, (u) => {
+      setUid(u?.uid || null);
+      if (!u) setLoading(false);
+    });
+  }, []);
 
-  // helper to normalize any date to yyyy-MM-dd (local)
-  const dayStr = (d) =>
-    typeof d === "string" ? d.slice(0, 10) : format(new Date(d), "yyyy-MM-dd");
+  // stats + in-progress once per user
+  useEffect(() => {
+    if (!uid) return;
+    loadChallengeStats(uid, today).then(setStats).catch((e) => console.error("Error loading stats:", e));
+    fetchInProgressMultiDay(uid).then(setInProgress).catch((e) => console.error("Error loading multi-day:", e));
+  }, [uid, today]);
 
-useEffect(() => {
-  let off = () => {};
-  (async () => {
+  // first page again whenever the date range changes
+  useEffect(() => {
+    if (!uid) return;
+    let cancelled = false;
+    setLoading(true);
+    fetchCompletedPage(uid, { from: filters.from, to: filters.to })
+      .then((page) => {
+        if (cancelled) return;
+        setItems(page.items);
+        setCursor(page.cursor);
+        setHasMore(page.hasMore);
+      })
+      .catch((e) => console.error("Error loading history:", e))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [uid, filters.from, filters.to]);
+
+  const loadMore = async () => {
+    if (!uid || !hasMore) return;
+    setLoadingMore(true);
     try {
-      const cur = getAuth().currentUser;
-      const uid = cur?.uid || await new Promise((resolve) => {
-        off = onAuthStateChanged(auth, (u) => resolve(u?.uid || null));
-      });
-      if (!uid) throw new Error("Not signed in");
-
-      const q = query(
-        collection(db, "Challenge"),
-        where("user_id", "==", uid),
-        where("completed", "==", true),
-        orderBy("created_date", "desc"),
-        limit(100)
-      );
-      const snap = await getDocs(q);
-      setChallenges(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+      const page = await fetchCompletedPage(uid, { from: filters.from, to: filters.to, cursor });
+      setItems((prev) => [...prev, ...page.items]);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
     } catch (e) {
-      console.error("Error loading history:", e);
+      console.error("Error loading more history:", e);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
-  })();
-  return () => off();
-}, []);
-
+  };
 
+  const undo = async (challenge) => {
+    setUndoingId(challenge.id);
+    try {
+      await undoChallengeCompletion(challenge.id);
+      // one-shot ones are no longer "history"; multi-day ones go back to in progress
+      setItems((prev) => prev.filter((c) => c.id !== challenge.id));
+      if (challenge.multi_day) setInProgress((prev) => [withCompletionUndone(challenge), ...prev]);
+      if (uid) {
+        await revokeChallengeBadges(uid).catch((e) => console.warn("Badge revoke failed:", e));
+        loadChallengeStats(uid, today).then(setStats).catch(() => { });
+      }
+    } catch (e) {
+      console.error("Error undoing completion:", e);
+      alert(
+        e?.message === "UNDO_WINDOW_PASSED"
+          ? "This challenge was completed more than 24 hours ago and can’t be undone."
+          : "Couldn’t undo (permissions or network). Try again."
+      );
+    } finally {
+      setUndoingId(null);
+    }
+  };
 
-  // ADD this instead (your query already fetched completed:true):
-  const completedHistory = challenges; // all-time completed
+  const sourceOrgs = useMemo(
+    () => [...new Set(items.map((c) => c.source_org).filter(Boolean))].sort(),
+    [items]
+  );
+  const visible = items.filter((c) => matchesHistoryFilters(c, filters));
+  const visibleInProgress = inProgress.filter((c) => matchesHistoryFilters(c, filters));
+  const filtersActive = Object.values(filters).some(Boolean);
 
-  if (loading) {
-    return (
-      <div className="p-8 flex items-center justify-center min-h-screen">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white/60"></div>
-      </div>
-    );
-  }
+  const renderCard = (challenge) => (
+    <HistoryCard
+      key={challenge.id}
+      challenge={challenge}
+      today={today}
+      undoing={undoingId === challenge.id}
+      onUndo={undo}
+    />
+  );
 
   return (
     <div className="p-6 space-y-6 min-h-screen">
@@ -107,49 +332,89 @@ useEffect(() => {
           />
         </div>
 
-        {completedHistory.length > 0 ? (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {completedHistory.map((challenge) => (
-              <Card
-                key={challenge.id}
-                className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md"
-              >
-                <CardHeader className="pb-2">
-                  <div className="flex items-center justify-between">
-                    <Badge
-                      variant="outline"
-                      className="text-white/80 border-white/20"
-                    >
-                      {format(new Date(challenge.due_date), "dd/MM", {
-                        locale: el,
-                      })}
-                    </Badge>
-                    {challenge.completed && (
-                      <CheckCircle2 className="w-5 h-5 text-emerald-200" />
-                    )}
-                  </div>
-                  <CardTitle className="text-lg text-white">
-                    {challenge.title}
-                  </CardTitle>
-                </CardHeader>
-                <CardContent>
-                  <p className="text-sm text-white/75">
-                    {challenge.description}
-                  </p>
-                </CardContent>
-              </Card>
+        <StatsHeader stats={stats} />
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-2 mb-5">
+          <div className="relative flex-1 min-w-[180px]">
+            <Search className="w-4 h-4 text-white/50 absolute left-3 top-1/2 -translate-y-1/2" />
+            <Input
+              value={filters.search}
+              onChange={(e) => setFilter("search", e.target.value)}
+              placeholder="Search title, description, notes…"
+              className={`w-full pl-9 ${fieldCls}`}
+            />
+          </div>
+          <select value={filters.category} onChange={(e) => setFilter("category", e.target.value)} className={`rounded-md border px-2 py-2 ${fieldCls}`}>
+            <option value="">All categories</option>
+            {CATEGORIES.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <select value={filters.difficulty} onChange={(e) => setFilter("difficulty", e.target.value)} className={`rounded-md border px-2 py-2 ${fieldCls}`}>
+            <option value="">All difficulties</option>
+            {DIFFICULTIES.map((d) => (
+              <option key={d} value={d}>{d}</option>
             ))}
+          </select>
+          <select value={filters.sourceOrg} onChange={(e) => setFilter("sourceOrg", e.target.value)} className={`rounded-md border px-2 py-2 ${fieldCls}`}>
+            <option value="">All sources</option>
+            {sourceOrgs.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+          <Input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilter("from", e.target.value)} className={fieldCls} aria-label="From date" />
+          <Input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilter("to", e.target.value)} className={fieldCls} aria-label="To date" />
+          {filtersActive && (
+            <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-xs text-white/60 hover:text-white px-2">
+              Clear
+            </button>
+          )}
+        </div>
+
+        {visibleInProgress.length > 0 && (
+          <div className="mb-6">
+            <div className="text-sm text-white/70 mb-2">In progress</div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {visibleInProgress.map(renderCard)}
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="p-8 flex items-center justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white/60"></div>
+          </div>
+        ) : visible.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {visible.map(renderCard)}
           </div>
         ) : (
           <Card className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md text-center py-10">
             <CardContent>
               <h3 className="text-xl font-semibold text-white mb-2">
-                No history yet
+                {filtersActive ? "No matches" : "No history yet"}
               </h3>
-              <p className="text-white/70">Complete some challenges first.</p>
+              <p className="text-white/70">
+                {filtersActive
+                  ? hasMore ? "Nothing in the loaded pages — try loading more." : "Try different filters."
+                  : "Complete some challenges first."}
+              </p>
             </CardContent>
           </Card>
         )}
+
+        {!loading && hasMore && (
+          <div className="mt-5 text-center">
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="rounded-full px-5 py-2 bg-white/10 hover:bg-white/15 border border-white/20 text-white text-sm disabled:opacity-50"
+            >
+              {loadingMore ? "Loading…" : "Load more"}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
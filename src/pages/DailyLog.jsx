@@ -6,18 +6,29 @@
  *
  * Data Flow:
  * - Firestore: users/{uid}/dailyLogs (stored per date)
- * - Uses services/dailyLogs to read, upsert, and compute streaks.
- * - Updates users/{uid} profile stats on submission.
+ * - Uses services/dailyLogs to read and upsert logs.
+ * - Every save asks the server to recompute the streak (POST /api/streak/recompute);
+ *   streak fields on users/{uid} are written only by the server.
+ * - Streak freezes (opt-in, server/streakFreezes.js): after saving a lapse on one of the
+ *   last few days, StreakFreezeOffer lets the user spend a token. The log keeps the lapse.
  *
  * Features:
- * - Input fields for cigarettes smoked, cravings, mood rating, etc.
+ * - Input fields for cigarettes smoked, mood rating, etc.
+ * - Triggers and coping strategies come from the user's own lists (services/tagLibrary,
+ *   "Manage" → TagLibraryDialog: add, rename, hide, merge with history migration).
+ * - Cravings: "Log craving now" records individual events (time, intensity, trigger,
+ *   location, coping, outcome) in dailyLogs/{date}/cravings; cravings_count is derived
+ *   from them by the service, so the form no longer writes it.
  * - Autosaves or submits updates to Firestore via upsertDailyLog().
  * - Displays daily badges or messages based on progress.
  * - Invokes evaluateAndUnlockBadges() after saving logs.
+ * - Last Week Report Card reads the 7 days with one listDailyLogsInRange() query;
+ *   "Insights" links to the range analytics page (pages/Insights.jsx).
  *
  * Dev Notes:
  * - Auth-guarded: waits for onAuthStateChanged before loading user data.
- * - Uses date-fns for date formatting and streak calculation.
+ * - Day keys (selected date, "Today", streak "today") come from utils/dayKey in the
+ *   user's stored time zone; date-fns is only used for labels.
  * - Styled with UI components (Card, Input, Textarea, Button, Badge).
  */
 
@@ -37,14 +48,30 @@ import {
   Save,
   CheckCircle2,
   FileText,
+  Plus,
+  Trash2,
+  BarChart3,
+  Settings2,
+  Snowflake,
 } from "lucide-react";
-import { format, subDays, parseISO } from "date-fns";
+import { Link } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import { todayKey, addDaysToKey, timeKey } from "@/utils/dayKey";
 import { auth } from "@/firebase";
 import { onAuthStateChanged } from "firebase/auth";
-import { getDailyLog, upsertDailyLog, listRecentDailyLogs, computeStreakFromQuit } from "@/services/dailyLogs";
-import { updateUserProfile } from "@/services/users";
-import { db } from "@/firebase";
-import { doc, getDoc } from "firebase/firestore";
+import {
+  getDailyLog,
+  upsertDailyLog,
+  listRecentDailyLogs,
+  listDailyLogsInRange,
+  logCravingEvent,
+  listCravingEvents,
+  deleteCravingEvent,
+} from "@/services/dailyLogs";
+import CravingEventDialog from "@/components/CravingEventDialog";
+import TagLibraryDialog from "@/components/TagLibraryDialog";
+import { loadTagLibrary, resolveTagLibrary, visibleTags } from "@/services/tagLibrary";
+import { recomputeStreak, getStreakFreezes, spendStreakFreeze } from "@/integrations/chatApi";
 import { evaluateAndUnlockBadges } from "@/services/badges";
 import {
   ResponsiveContainer,
@@ -61,10 +88,7 @@ import {
 import { RadialBarChart, RadialBar, PolarAngleAxis } from "recharts";
 
 
-const TRIGGERS = [
-  "Stress", "Social pressure", "After meals", "With coffee",
-  "Alcohol", "Boredom", "Work break", "Driving", "Phone calls", "Habit"
-];
+const CRAVING_LOCATIONS = ["Home", "Work", "Car", "Outside", "Bar / café", "With friends"];
 
 const MOOD_PRESETS = [
   { score: 1, label: "Low" },
@@ -87,7 +111,7 @@ const stressLabel = (n) => (STRESS_PRESETS.find(s => s.score === Number(n))?.lab
 
 export default function DailyLogPage() {
   const [user, setUser] = useState(null);
-  const [selectedDate, setSelectedDate] = useState(format(new Date(), "yyyy-MM-dd"));
+  const [selectedDate, setSelectedDate] = useState(() => todayKey());
   const [saving, setSaving] = useState(false);
   const [loading, setLoading] = useState(true);
 
@@ -106,6 +130,15 @@ export default function DailyLogPage() {
 
   const [uid, setUid] = useState(null);
 
+  const [cravings, setCravings] = useState([]);
+  const [cravingOpen, setCravingOpen] = useState(false);
+
+  const [tagLibrary, setTagLibrary] = useState(() => resolveTagLibrary(null));
+  const [tagsOpen, setTagsOpen] = useState(false);
+
+  const [freezes, setFreezes] = useState(null); // GET /api/streak/freezes
+  const [freezing, setFreezing] = useState(false);
+
   // NEW: modal visibility
   const [showStats, setShowStats] = useState(false);
 
@@ -121,6 +154,31 @@ export default function DailyLogPage() {
     loadData();
   }, [uid, selectedDate]);
 
+  useEffect(() => {
+    if (!uid) return;
+    loadTagLibrary(uid).then(setTagLibrary).catch((e) => console.warn("Tag library load error:", e));
+    refreshFreezes();
+  }, [uid]);
+
+  function refreshFreezes() {
+    return getStreakFreezes().then(setFreezes).catch((e) => console.warn("Streak freeze status error:", e));
+  }
+
+  async function applyFreeze() {
+    setFreezing(true);
+    try {
+      await spendStreakFreeze(selectedDate); // server recomputes the streak
+      setDailyLogEntry((prev) => ({ ...(prev || {}), streak_frozen: true }));
+      await refreshFreezes();
+      evaluateAndUnlockBadges(uid).catch((e) => console.warn("Background badge eval failed:", e));
+    } catch (e) {
+      console.warn("Streak freeze failed:", e);
+      await refreshFreezes();
+    } finally {
+      setFreezing(false);
+    }
+  }
+
   async function loadData() {
     if (!uid) return;
     setLoading(true);
@@ -150,6 +208,8 @@ export default function DailyLogPage() {
         });
       }
 
+      setCravings(await listCravingEvents(uid, selectedDate).catch(() => []));
+
       const last3 = await listRecentDailyLogs(uid, 3);
       setRecentLogs(last3 || []);
     } catch (e) {
@@ -169,6 +229,50 @@ export default function DailyLogPage() {
       : [...prev.triggers_faced, t],
   }));
 
+  // Picker options: the user's visible labels, plus anything already on this day
+  // (e.g. a label hidden later) so it can still be toggled off.
+  const triggerOptions = useMemo(() => {
+    const visible = visibleTags(tagLibrary.triggers);
+    return [...visible, ...form.triggers_faced.filter((t) => !visible.includes(t))];
+  }, [tagLibrary, form.triggers_faced]);
+
+  // After a rename/merge the service rewrote history; mirror it on what is on screen.
+  function onTagLibraryChange(lib, moved) {
+    setTagLibrary(lib);
+    if (!moved) return;
+    const swap = (v) => (v === moved.from ? moved.to : v);
+    if (moved.kind === "triggers") {
+      setForm((prev) => ({ ...prev, triggers_faced: [...new Set(prev.triggers_faced.map(swap))] }));
+      setCravings((prev) => prev.map((c) => ({ ...c, trigger: swap(c.trigger) })));
+      setRecentLogs((prev) => prev.map((l) => ({ ...l, triggers_faced: l.triggers_faced && [...new Set(l.triggers_faced.map(swap))] })));
+    } else {
+      setCravings((prev) => prev.map((c) => ({ ...c, coping: swap(c.coping) })));
+    }
+  }
+
+  // Craving events write straight through (count + triggers follow in the same batch)
+  async function addCraving(event) {
+    const id = await logCravingEvent(uid, selectedDate, event);
+    setCravings((prev) => [...prev, { id, ...event }].sort((a, b) => String(a.time).localeCompare(String(b.time))));
+    setForm((prev) => ({
+      ...prev,
+      cravings_count: (prev.cravings_count ?? 0) + 1,
+      triggers_faced: event.trigger && !prev.triggers_faced.includes(event.trigger)
+        ? [...prev.triggers_faced, event.trigger]
+        : prev.triggers_faced,
+    }));
+  }
+
+  async function removeCraving(id) {
+    try {
+      await deleteCravingEvent(uid, selectedDate, id);
+      setCravings((prev) => prev.filter((c) => c.id !== id));
+      setForm((prev) => ({ ...prev, cravings_count: Math.max(0, (prev.cravings_count ?? 0) - 1) }));
+    } catch (e) {
+      console.warn("Craving delete error:", e);
+    }
+  }
+
   async function handleSave() {
     if (!uid) return;
     setSaving(true);
@@ -176,19 +280,12 @@ export default function DailyLogPage() {
     const payload = {
       smoke_free: Number(form.cigarettes_smoked || 0) === 0,
       cigarettes_smoked: Number(form.cigarettes_smoked || 0),
-      cravings_count: Number(form.cravings_count || 0),
       mood_rating: Number(form.mood_rating || 0),
       stress_level: Number(form.stress_level || 0),
       notes: form.notes || "",
       triggers_faced: form.triggers_faced || [],
     };
 
-    // Detect whether streak could be affected
-    const prevSmokeFree =
-      typeof dailyLogEntry?.smoke_free === "boolean" ? dailyLogEntry.smoke_free : null;
-    const changedSmokeFree =
-      prevSmokeFree === null ? true : prevSmokeFree !== payload.smoke_free;
-
     setDailyLogEntry(prev => ({ ...(prev || {}), id: prev?.id, date: selectedDate, ...payload }));
     setRecentLogs(prev => {
       const id = dailyLogEntry?.id || `${uid}-${selectedDate}`;
@@ -204,28 +301,15 @@ export default function DailyLogPage() {
       // 1) Fast write (no extra work inside)
       await upsertDailyLog(uid, selectedDate, payload);
 
-      // 2) Background: streak recompute ONLY if smoke_free changed
-      if (changedSmokeFree) {
-        (async () => {
-          try {
-            const userSnap = await getDoc(doc(db, "users", uid));
-            const quitIso = (userSnap.data()?.quit_date || "").slice(0, 10) || null;
-            const todayIso = new Date().toISOString().slice(0, 10);
-            const { current_streak_days, streak_start_date, last_slip_date } =
-              await computeStreakFromQuit(uid, quitIso, todayIso);
-            await updateUserProfile(uid, {
-              current_streak_days,
-              streak_start_date: streak_start_date || null,
-              last_slip_date: last_slip_date || null,
-            });
-          } catch (e) {
-            console.warn("Background streak update failed:", e);
-          }
-        })();
-      }
-
-      // 3) Background: badges (once, after the write)
+      // 2) Background: server recomputes the streak on every write, then badges
+      //    (which read the stored streak) are evaluated once
       (async () => {
+        try {
+          await recomputeStreak();
+        } catch (e) {
+          console.warn("Background streak update failed:", e);
+        }
+        if (!payload.smoke_free) refreshFreezes(); // a new lapse may be coverable
         try {
           await evaluateAndUnlockBadges(uid);
         } catch (e) {
@@ -275,14 +359,13 @@ export default function DailyLogPage() {
             <Input
               type="date"
               value={selectedDate}
-              max={format(new Date(), "yyyy-MM-dd")}
+              max={todayKey()}
               onChange={(e) => setSelectedDate(e.target.value)}
               className="text-white border-white/20 focus-visible:ring-0 focus-visible:border-white/40 bg-white/10 rounded-xl"
             />
             <div className="flex w-full gap-2">
               {[0, 1, 2, 3, 4, 5, 6].map((d) => {
-                const day = subDays(new Date(), d);
-                const key = format(day, "yyyy-MM-dd");
+                const key = addDaysToKey(todayKey(), -d);
                 const active = key === selectedDate;
                 return (
                   <button
@@ -291,7 +374,7 @@ export default function DailyLogPage() {
                     className={`flex-1 flex items-center justify-center h-8 rounded-full text-[11px] font-medium border transition ${active ? "text-white border-white/30" : "text-white/80 border-white/15 hover:border-white/30"}`}
                     style={active ? { background: "var(--hero-grad)" } : { background: "rgba(255,255,255,0.06)" }}
                   >
-                    {d === 0 ? "Today" : format(day, "EEE")}
+                    {d === 0 ? "Today" : format(parseISO(key), "EEE")}
                   </button>
                 );
               })}
@@ -312,16 +395,33 @@ export default function DailyLogPage() {
           goodBadge="Smoke-free day!"
           showWarning={true}
         />
-        <CounterPill
-          title="Cravings Experienced"
-          icon={Brain}
-          value={form.cravings_count}
-          setValue={(v) => setField("cravings_count", v)}
-          inc={() => inc("cravings_count")}
-          dec={() => dec("cravings_count")}
+        <CravingsCard
+          count={form.cravings_count}
+          events={cravings}
+          onAdd={() => setCravingOpen(true)}
+          onDelete={removeCraving}
+          onManage={() => setTagsOpen(true)}
         />
       </div>
 
+      <CravingEventDialog
+        open={cravingOpen}
+        onOpenChange={setCravingOpen}
+        onSubmit={addCraving}
+        defaultTime={selectedDate === todayKey() ? timeKey() : "12:00"}
+        triggers={visibleTags(tagLibrary.triggers)}
+        locations={CRAVING_LOCATIONS}
+        copingStrategies={visibleTags(tagLibrary.coping)}
+      />
+
+      <TagLibraryDialog
+        open={tagsOpen}
+        onOpenChange={setTagsOpen}
+        uid={uid}
+        library={tagLibrary}
+        onChange={onTagLibraryChange}
+      />
+
       {/* Mood & Stress */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
         <PickerCard
@@ -348,11 +448,17 @@ export default function DailyLogPage() {
               <span className="inline-block w-2 h-2 rounded-full" style={{ background: "var(--hero-grad)" }} />
               <AlertTriangle className="w-5 h-5 text-white/85" />
               Triggers Faced
+              <button
+                onClick={() => setTagsOpen(true)}
+                className="ml-auto inline-flex items-center gap-1 text-xs font-normal text-white/60 hover:text-white"
+              >
+                <Settings2 className="w-3.5 h-3.5" /> Manage
+              </button>
             </CardTitle>
           </CardHeader>
           <CardContent className="p-4">
             <div className="flex flex-wrap gap-2">
-              {TRIGGERS.map((t) => {
+              {triggerOptions.map((t) => {
                 const active = form.triggers_faced.includes(t);
                 return (
                   <Badge
@@ -400,6 +506,13 @@ export default function DailyLogPage() {
             <Save className="w-5 h-5 mr-2" />
             {saving ? "Saving…" : dailyLogEntry ? "Update Entry" : "Save Entry"}
           </Button>
+          <StreakFreezeOffer
+            status={freezes}
+            date={selectedDate}
+            frozen={dailyLogEntry?.streak_frozen === true}
+            busy={freezing}
+            onUse={applyFreeze}
+          />
         </CardContent>
       </Card>
 
@@ -412,6 +525,12 @@ export default function DailyLogPage() {
         >
           <FileText className="w-4 h-4" /> Last Week Report Card
         </button>
+        <Link
+          to="/insights"
+          className="mt-1 ml-2 inline-flex items-center gap-2 rounded-full px-4 h-10 text-sm text-white border border-white/20 bg-white/10 hover:bg-white/15"
+        >
+          <BarChart3 className="w-4 h-4" /> Insights
+        </Link>
       </div>
 
       {/* Recent Progress */}
@@ -487,27 +606,25 @@ function LastWeekStatsModal({ open, onClose, uid }) {
     let alive = true;
     setLoading(true);
 
-    const days = Array.from({ length: 7 }).map((_, i) => {
-      const d = new Date();
-      d.setHours(0, 0, 0, 0);
-      d.setDate(d.getDate() - (6 - i));
-      return d;
-    });
-
-    Promise.all(
-      days.map(async (d) => {
-        const key = d.toISOString().slice(0, 10);
-        const entry = await getDailyLog(uid, key);
-        return {
-          dateKey: key,
-          cravings: Number(entry?.cravings_count ?? 0),
-          cigarettes: Number(entry?.cigarettes_smoked ?? 0),
-          stress: Number(entry?.stress_level ?? 0),
-          mood: Number(entry?.mood_rating ?? 0),
-        };
+    // One range query for the week; days without a log show as zeros
+    const keys = Array.from({ length: 7 }).map((_, i) => addDaysToKey(todayKey(), i - 6));
+
+    listDailyLogsInRange(uid, keys[0], keys[6])
+      .then((logs) => {
+        const byDate = new Map(logs.map((l) => [l.date, l]));
+        return keys.map((key) => {
+          const entry = byDate.get(key);
+          return {
+            dateKey: key,
+            cravings: Number(entry?.cravings_count ?? 0),
+            cigarettes: Number(entry?.cigarettes_smoked ?? 0),
+            stress: Number(entry?.stress_level ?? 0),
+            mood: Number(entry?.mood_rating ?? 0),
+          };
+        });
       })
-    )
       .then((data) => { if (alive) setRows(data); })
+      .catch((e) => console.error("Error loading last week:", e))
       .finally(() => { if (alive) setLoading(false); });
 
     return () => { alive = false; };
@@ -822,6 +939,89 @@ function CounterPill({ title, icon: Icon, value, inc, dec, goodBadge = "", showW
   );
 }
 
+// Shown under Save for a lapse the user can still cover (or already covered) with a freeze
+function StreakFreezeOffer({ status, date, frozen, busy, onUse }) {
+  if (!status?.enabled) return null;
+  if (frozen || status.frozen?.includes(date)) {
+    return (
+      <div className="flex items-center gap-2 rounded-xl border border-sky-300/30 bg-sky-400/10 px-3 py-2 text-xs text-sky-100">
+        <Snowflake className="w-4 h-4 shrink-0" />
+        Streak freeze used — your streak continues. This lapse stays in your log and insights.
+      </div>
+    );
+  }
+  if (!status.eligible?.includes(date)) return null;
+  return (
+    <div className="flex items-center justify-between gap-3 rounded-xl border border-sky-300/30 bg-sky-400/10 px-3 py-2">
+      <div className="text-xs text-sky-100">
+        Protect your streak? You have {status.tokens} freeze{status.tokens === 1 ? "" : "s"}.
+      </div>
+      <Button
+        onClick={onUse}
+        disabled={busy || status.tokens < 1}
+        className="h-8 rounded-full px-3 text-xs bg-sky-400/20 border border-sky-300/40 hover:bg-sky-400/30"
+      >
+        <Snowflake className="w-3.5 h-3.5 mr-1" />
+        {busy ? "Using…" : "Use a freeze"}
+      </Button>
+    </div>
+  );
+}
+
+// Derived count + the day's craving events (older days may only have a count)
+function CravingsCard({ count, events, onAdd, onDelete, onManage }) {
+  const untracked = Math.max(0, Number(count || 0) - events.length);
+  return (
+    <Card className="soft-card rounded-[22px] overflow-visible">
+      <CardContent className="p-4 md:p-5">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="inline-block w-2 h-2 rounded-full" style={{ background: "var(--hero-grad)" }} />
+          <Brain className="w-5 h-5 text-white/80" />
+          <span className="text-white font-semibold">Cravings</span>
+          <span className="ml-auto text-xl font-extrabold text-white">{count ?? 0}</span>
+        </div>
+        <button
+          onClick={onAdd}
+          className="w-full h-11 rounded-full flex items-center justify-center gap-2 text-white text-sm border"
+          style={{ background: "var(--hero-grad)", borderColor: "var(--hero-grad-first)" }}
+        >
+          <Plus className="w-4 h-4" /> Log craving now
+        </button>
+        <button
+          onClick={onManage}
+          className="mt-2 w-full inline-flex items-center justify-center gap-1 text-[11px] text-white/55 hover:text-white"
+        >
+          <Settings2 className="w-3 h-3" /> Your triggers & coping strategies
+        </button>
+        {events.length > 0 && (
+          <ul className="mt-3 space-y-1.5 max-h-40 overflow-y-auto no-scrollbar">
+            {events.map((e) => (
+              <li key={e.id} className="flex items-center gap-2 text-xs text-white/80">
+                <span className="text-white font-medium w-10">{e.time || "–"}</span>
+                <span>{e.intensity ? `${e.intensity}/10` : "–"}</span>
+                <span className="truncate text-white/60">
+                  {[e.trigger, e.location, e.coping].filter(Boolean).join(" · ")}
+                </span>
+                <span className={`ml-auto ${e.passed === false ? "text-rose-300" : e.passed ? "text-emerald-300" : "text-white/50"}`}>
+                  {e.passed === false ? "smoked" : e.passed ? "passed" : "?"}
+                </span>
+                <button onClick={() => onDelete(e.id)} aria-label="Delete craving" className="text-white/40 hover:text-white">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {untracked > 0 && (
+          <p className="mt-2 text-[11px] text-white/50">
+            {untracked} earlier craving{untracked === 1 ? "" : "s"} logged without details
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 function PickerCard({ title, icon: Icon, items, value, onPick }) {
   return (
     <Card className="soft-card rounded-[22px] overflow-hidden">
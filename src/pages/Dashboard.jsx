@@ -14,13 +14,14 @@
  *
  * Features:
  * - Displays live quit stats, savings, life regained, and badges earned.
+ * - Streak history card: timeline of every streak and relapse, personal best.
  * - Uses InkHeroCanvas for animated visual at the top.
  * - Links to key sections: Daily Log, Challenges, AI Coach, Audio, Profile.
  * - Includes motivational quotes and progress indicators.
  *
  * Dev Notes:
  * - React hooks for live auth/user tracking.
- * - Recomputes metrics dynamically from quit_date and challenge data.
+ * - Streak comes from the server (server/streaks.js); other metrics from quit_date and challenges.
  * - Uses evaluateAndUnlockBadges() to refresh achievements.
  */
 
@@ -42,10 +43,13 @@ import {
   BarChart3,
   MessageCircle,
   Music,
+  History,
 } from "lucide-react";
 import { Link, useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { format, differenceInDays, startOfDay } from "date-fns";
+import { dayKey as toDayKey, todayKey, daysBetweenKeys } from "@/utils/dayKey";
+import { recomputeStreak, getStreakHistory } from "@/integrations/chatApi";
 import InkHeroCanvas from "@/components/InkHeroCanvas";
 import { auth, db } from "@/firebase";
 import { onAuthStateChanged } from "firebase/auth";
@@ -337,6 +341,115 @@ function BellWithBadge() {
 
 
 
+/* ---------- Streak history & relapse timeline (inline) ---------- */
+// Streaks from GET /api/streak/history (server/streaks.js); the gaps between them are
+// slip days ("slip") or a moved quit date ("reset").
+const keyDate = (key) => new Date(`${key}T12:00:00`);
+const GAP_STYLE = {
+  slip: { bar: "bg-rose-400/80", text: "text-rose-300", label: "Relapse" },
+  reset: { bar: "bg-amber-300/70", text: "text-amber-200", label: "Quit date reset" },
+};
+
+function buildTimeline(data, today) {
+  const runs = [...(data?.history || [])].reverse(); // oldest first
+  if (data?.current?.start && data.current.start <= today) {
+    runs.push({ start: data.current.start, end: today, length: data.current.days, current: true });
+  }
+  const items = [];
+  let cursor = data?.first_quit_date && runs[0] && data.first_quit_date < runs[0].start ? data.first_quit_date : null;
+  let gapKind = "slip";
+  for (const run of runs) {
+    if (cursor) {
+      const gap = daysBetweenKeys(cursor, run.start);
+      if (gap > 0) items.push({ kind: gapKind, start: cursor, days: gap });
+    }
+    items.push({ kind: "streak", ...run, days: Math.max(run.length, 1) });
+    cursor = run.current ? null : run.ended_by || null;
+    gapKind = run.reason === "reset" ? "reset" : "slip";
+  }
+  return items;
+}
+
+function StreakHistoryCard({ refreshKey }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    getStreakHistory()
+      .then((res) => alive && setData(res))
+      .catch((e) => console.warn("Streak history failed:", e));
+    return () => { alive = false; };
+  }, [refreshKey]);
+
+  const today = todayKey();
+  const timeline = buildTimeline(data, today);
+  if (!data || !timeline.length) return null;
+
+  const best = data.longest_streak_days || 0;
+  const finished = timeline.filter((t) => t.kind === "streak" && !t.current).reverse().slice(0, 5);
+
+  return (
+    <Card className="soft-card rounded-[28px] md:rounded-[36px] overflow-hidden">
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <History className="w-5 h-5" />
+            Streak history
+          </span>
+          <span className="inline-flex items-center gap-1 text-sm font-normal text-white/80">
+            <Trophy className="w-4 h-4 text-amber-300" />
+            Best: {best} day{best === 1 ? "" : "s"}
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {/* Proportional timeline: streaks green, gaps coloured by what ended the streak */}
+        <div className="flex h-3 w-full gap-[2px] overflow-hidden rounded-full bg-white/5">
+          {timeline.map((t) => (
+            <div
+              key={`${t.kind}-${t.start}`}
+              title={`${t.kind === "streak" ? `${t.length} day streak` : GAP_STYLE[t.kind].label} from ${format(keyDate(t.start), "MMM d, yyyy")}`}
+              className={`${t.kind === "streak" ? (t.current ? "bg-emerald-300" : "bg-emerald-500/70") : GAP_STYLE[t.kind].bar} ${t.kind === "streak" && t.length === best && best > 0 ? "ring-1 ring-amber-300" : ""}`}
+              style={{ flexGrow: t.days, flexBasis: 3 }}
+            />
+          ))}
+        </div>
+        <div className="flex justify-between text-[11px] text-white/50">
+          <span>{format(keyDate(timeline[0].start), "MMM d, yyyy")}</span>
+          <span>Today</span>
+        </div>
+
+        {data.records_broken > 0 && (
+          <p className="text-white/80">
+            You’ve beaten your personal best {data.records_broken} time{data.records_broken === 1 ? "" : "s"} after a setback.
+          </p>
+        )}
+
+        {finished.length > 0 ? (
+          <ul className="space-y-1.5">
+            {finished.map((t) => (
+              <li key={t.start} className="flex items-center justify-between gap-2">
+                <span className="text-white/80">
+                  {format(keyDate(t.start), "MMM d")} – {format(keyDate(t.end), "MMM d, yyyy")}
+                </span>
+                <span className="text-right">
+                  <span className="text-white">{t.length}d</span>
+                  {t.frozen_days > 0 && <span className="ml-2 text-xs text-sky-200">{t.frozen_days} frozen</span>}
+                  <span className={`ml-2 text-xs ${GAP_STYLE[t.reason === "reset" ? "reset" : "slip"].text}`}>
+                    {t.reason === "reset" ? "reset" : `slip ${format(keyDate(t.ended_by), "MMM d")}`}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-white/60">No slips so far — this is your first streak.</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 function getRecentBadges(allBadges = []) {
 
   const unlocked = allBadges.filter(b => b.unlocked);
@@ -399,15 +512,15 @@ export default function Dashboard() {
     return () => clearInterval(id);
   }, []);
 
-  // a stable key that changes once per calendar day in local time
-  const dayKey = format(now, "yyyy-MM-dd");
+  // a stable key that changes once per calendar day in the user's time zone
+  const dayKey = toDayKey(now);
 
 
   useEffect(() => {
     if (!user?.id) return;
 
 
-    const todayIso = format(now, "yyyy-MM-dd");
+    const todayIso = toDayKey(now);
     const ref = doc(db, "users", user.id, "dailyLogs", todayIso);
 
 
@@ -472,7 +585,7 @@ export default function Dashboard() {
         setUser(seed);
 
         // load page data that depends on user id (you can keep your existing code)
-        const today = format(new Date(), "yyyy-MM-dd");
+        const today = todayKey();
 
         const challenges = await Challenge.filter({ user_id: seed.id, date: today });
         setTodayChallenges(challenges || []);
@@ -521,7 +634,7 @@ export default function Dashboard() {
       return { mode: "countdown", targetDate: target, daysUntil };
     }
 
-    // Primary source of truth for "since" mode is streak_start_date (set/cleared by DailyLog saves)
+    // Primary source of truth for "since" mode is streak_start_date (set by server/streaks.js)
     if (streakStart) {
       return { mode: "since", sinceDate: streakStart };
     }
@@ -581,24 +694,12 @@ export default function Dashboard() {
   };
 
 
-  // Keep current_streak_days in sync once per calendar day,
-  // but ONLY when we have an authoritative streak_start_date (set by daily log processing).
+  // Streaks are computed on the server; if it hasn't rolled over to today yet
+  // (hourly job), ask for a recompute. The user doc listener picks up the result.
   useEffect(() => {
-    if (!user?.id || !user?.streak_start_date) return;
-    const since = startOfDay(new Date(user.streak_start_date));
-    const today = startOfDay(now);
-    const days = Math.max(0, differenceInDays(today, since));
-    if (typeof user.current_streak_days !== "number" || user.current_streak_days !== days) {
-      (async () => {
-        try {
-          await ensureUserDocument(user.id);
-          await updateUserProfile(user.id, { current_streak_days: days });
-        } catch (e) {
-          console.error("Failed to persist current_streak_days:", e);
-        }
-      })();
-    }
-  }, [dayKey, now, user?.id, user?.streak_start_date, user?.current_streak_days]);
+    if (!user?.id || user?.streak_computed_for === dayKey) return;
+    recomputeStreak().catch((e) => console.warn("Streak recompute failed:", e));
+  }, [dayKey, user?.id, user?.streak_computed_for]);
 
 
 
@@ -815,6 +916,9 @@ export default function Dashboard() {
         </Card>
 
 
+        {/* Streak history: every streak and relapse since the first quit date */}
+        <StreakHistoryCard refreshKey={user.streak_updated_at?.toMillis?.() ?? 0} />
+
         {/* Daily challenges */}
         <Card className="soft-card rounded-[28px] md:rounded-[36px] overflow-hidden">
           <CardHeader className="pb-3">
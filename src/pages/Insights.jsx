@@ -0,0 +1,258 @@
+/**
+ * Insights.jsx
+ * ------------
+ * Purpose: Trigger & craving analytics for any date range — when cravings and slips
+ *          happen, which triggers come up most, how stress/mood relate to smoking,
+ *          and which coping strategies went with smoke-free days.
+ *
+ * Data (src/services/insights.js):
+ * - loadInsights(uid, from, to): one range query over dailyLogs + one collection-group
+ *   query over craving events, aggregated by computeInsights().
+ *
+ * UI:
+ * - Back to Daily Log button, range presets (7 / 30 / 90 days) + custom from/to.
+ * - Heatmap weekday × hour (cell shade = cravings, red ring = at least one slip),
+ *   slip days per weekday underneath.
+ * - Top triggers (days faced, of which with a slip), correlations with a plain-language
+ *   label, coping strategies ranked by smoke-free-day rate.
+ *
+ * Dev Notes:
+ * - Uses Auth to resolve uid (handles late auth via onAuthStateChanged).
+ * - Correlations need ≥3 days with both values; otherwise "not enough data".
+ */
+
+import React, { useEffect, useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { ArrowLeft, Clock, Zap, TrendingUp, ShieldCheck } from "lucide-react";
+import { todayKey, addDaysToKey } from "@/utils/dayKey";
+import { useNavigate } from "react-router-dom";
+import { auth } from "@/firebase";
+import { getAuth, onAuthStateChanged } from "firebase/auth";
+import { loadInsights, WEEKDAYS } from "@/services/insights";
+
+const PRESETS = [7, 30, 90];
+const fieldCls = "bg-white/5 border-white/15 text-white text-sm";
+const pct = (x) => `${Math.round(x * 100)}%`;
+const rangeFor = (days) => ({
+  from: addDaysToKey(todayKey(), 1 - days),
+  to: todayKey(),
+});
+
+function Section({ icon, title, children }) {
+  return (
+    <Card className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md">
+      <CardContent className="pt-5 pb-4">
+        <div className="flex items-center gap-2 text-white/80 text-sm mb-3">
+          {icon} {title}
+        </div>
+        {children}
+      </CardContent>
+    </Card>
+  );
+}
+
+function Heatmap({ heatmap }) {
+  const max = Math.max(1, ...heatmap.cravings.flat());
+  return (
+    <div className="overflow-x-auto">
+      <div className="inline-grid gap-[3px]" style={{ gridTemplateColumns: "36px repeat(24, 18px) 44px" }}>
+        <div />
+        {Array.from({ length: 24 }, (_, h) => (
+          <div key={h} className="text-[9px] text-white/50 text-center">
+            {h % 3 === 0 ? h : ""}
+          </div>
+        ))}
+        <div className="text-[9px] text-white/50 text-center">slip days</div>
+
+        {WEEKDAYS.map((day, w) => (
+          <React.Fragment key={day}>
+            <div className="text-[11px] text-white/70 pr-1">{day}</div>
+            {heatmap.cravings[w].map((n, h) => (
+              <div
+                key={h}
+                title={`${day} ${String(h).padStart(2, "0")}:00 — ${n} craving${n === 1 ? "" : "s"}${heatmap.slips[w][h] ? `, ${heatmap.slips[w][h]} slip` : ""}`}
+                className={`h-[18px] rounded-sm ${heatmap.slips[w][h] ? "ring-1 ring-red-400" : ""}`}
+                style={{ background: n ? `rgba(52, 211, 153, ${0.15 + 0.85 * (n / max)})` : "rgba(255,255,255,0.05)" }}
+              />
+            ))}
+            <div className="text-[11px] text-white/70 text-center">{heatmap.slipDaysByWeekday[w]}</div>
+          </React.Fragment>
+        ))}
+      </div>
+      {heatmap.untimed > 0 && (
+        <p className="mt-2 text-xs text-white/50">
+          {heatmap.untimed} craving{heatmap.untimed === 1 ? "" : "s"} without a time aren’t shown.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default function Insights() {
+  const navigate = useNavigate();
+  const [uid, setUid] = useState(null);
+  const [range, setRange] = useState(() => rangeFor(30));
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // resolve uid (late auth safe)
+  useEffect(() => {
+    const cur = getAuth().currentUser;
+    if (cur?.uid) {
+      setUid(cur.uid);
+      return undefined;
+    }
+    return onAuthStateChanged(auth, (u) => {
+      setUid(u?.uid || null);
+      if (!u) setLoading(false);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!uid || !range.from || !range.to || range.from > range.to) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    loadInsights(uid, range.from, range.to)
+      .then((res) => !cancelled && setData(res))
+      .catch((e) => {
+        console.error("Error loading insights:", e);
+        if (!cancelled) setError("Couldn’t load insights. Try again later.");
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [uid, range.from, range.to]);
+
+  return (
+    <div className="p-6 space-y-6 min-h-screen">
+      <div className="max-w-5xl mx-auto">
+        {/* Back button */}
+        <div className="mb-4">
+          <button
+            onClick={() => navigate("/dailylog")}
+            className="flex items-center gap-2 rounded-full px-4 py-2 bg-white/10 hover:bg-white/15
+                       border border-white/20 text-white text-sm backdrop-blur-md"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back to Daily Log
+          </button>
+        </div>
+
+        {/* Header */}
+        <div className="text-center mb-6">
+          <h1 className="text-2xl font-bold text-white">Insights</h1>
+          <div
+            className="mt-2 mx-auto w-40 h-[6px] rounded-full"
+            style={{ background: "var(--hero-grad)" }}
+          />
+        </div>
+
+        {/* Range */}
+        <div className="flex flex-wrap items-center justify-center gap-2 mb-6">
+          {PRESETS.map((d) => {
+            const r = rangeFor(d);
+            const active = r.from === range.from && r.to === range.to;
+            return (
+              <button
+                key={d}
+                onClick={() => setRange(r)}
+                className={`rounded-full px-3 py-1.5 text-xs border ${active ? "bg-white/20 border-white/40 text-white" : "bg-white/5 border-white/15 text-white/75"}`}
+              >
+                Last {d} days
+              </button>
+            );
+          })}
+          <Input type="date" value={range.from} max={range.to || undefined} onChange={(e) => setRange((p) => ({ ...p, from: e.target.value }))} className={`w-auto ${fieldCls}`} aria-label="From date" />
+          <Input type="date" value={range.to} min={range.from || undefined} onChange={(e) => setRange((p) => ({ ...p, to: e.target.value }))} className={`w-auto ${fieldCls}`} aria-label="To date" />
+        </div>
+
+        {loading ? (
+          <div className="p-8 flex items-center justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white/60"></div>
+          </div>
+        ) : error ? (
+          <p className="text-center text-sm text-red-300">{error}</p>
+        ) : !data || (!data.loggedDays && !data.events) ? (
+          <Card className="rounded-2xl bg-white/5 border border-white/10 backdrop-blur-md text-center py-10">
+            <CardContent>
+              <h3 className="text-xl font-semibold text-white mb-2">Nothing logged in this range</h3>
+              <p className="text-white/70">Log your days and cravings to see patterns here.</p>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-center text-xs text-white/60">
+              {data.loggedDays} logged day{data.loggedDays === 1 ? "" : "s"} · {data.events} craving
+              {data.events === 1 ? "" : "s"} · {data.slipDays} day{data.slipDays === 1 ? "" : "s"} with cigarettes
+            </p>
+
+            <Section icon={<Clock className="w-4 h-4" />} title="When cravings hit">
+              <Heatmap heatmap={data.heatmap} />
+            </Section>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Section icon={<Zap className="w-4 h-4" />} title="Top triggers">
+                {data.topTriggers.length ? (
+                  <div className="space-y-2">
+                    {data.topTriggers.map((t) => (
+                      <div key={t.trigger} className="text-xs text-white/70">
+                        <div className="flex justify-between">
+                          <span>{t.trigger}</span>
+                          <span>
+                            {t.days} day{t.days === 1 ? "" : "s"}
+                            {t.slipDays ? ` · ${t.slipDays} with a slip` : ""}
+                          </span>
+                        </div>
+                        <div className="h-1.5 rounded-full bg-white/10 mt-1">
+                          <div className="h-1.5 rounded-full bg-emerald-400" style={{ width: pct(t.days / data.loggedDays) }} />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-xs text-white/50">No triggers logged in this range.</p>
+                )}
+              </Section>
+
+              <Section icon={<TrendingUp className="w-4 h-4" />} title="What moves together">
+                <div className="space-y-2">
+                  {data.correlations.map((c) => (
+                    <div key={c.label} className="flex justify-between text-xs text-white/70">
+                      <span>{c.label}</span>
+                      <span title={`${c.n} day${c.n === 1 ? "" : "s"} with both values`}>
+                        {c.r == null ? c.description : `${c.description} (r = ${c.r})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <p className="mt-3 text-[11px] text-white/50">Correlation isn’t cause — it shows what tends to show up together.</p>
+              </Section>
+            </div>
+
+            <Section icon={<ShieldCheck className="w-4 h-4" />} title="Coping strategies">
+              {data.coping.length ? (
+                <div className="space-y-2">
+                  {data.coping.map((c) => (
+                    <div key={c.coping} className="flex flex-wrap justify-between gap-2 text-xs text-white/70">
+                      <span className="text-white/85">{c.coping}</span>
+                      <span>
+                        used {c.uses}× · passed {pct(c.passedRate)}
+                        {c.smokeFreeRate != null ? ` · ${c.smokeFreeDays}/${c.days} smoke-free days` : ""}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-xs text-white/50">Log cravings with “What you tried” to see what works for you.</p>
+              )}
+            </Section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
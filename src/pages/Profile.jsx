@@ -11,6 +11,12 @@
  * Features:
  * - Editable fields: name, quit date, cost per pack, reasons, preferences.
  * - Live total_points and quit stats summary.
+ * - Privacy: choose whether recent daily logs are shared with the AI coach.
+ * - Time zone: decides where the user's day starts (daily logs, streaks, badges,
+ *   challenges, reminders); saved immediately, like the theme.
+ * - "What your coach remembers": view/forget long-term AI coach memory facts.
+ * - Streak freezes: opt in, see tokens and how to earn more (server/streakFreezes.js);
+ *   tokens are spent from the Daily Log after a lapse.
  * - Logout button via User.logout() helper.
  *
  * Dev Notes:
@@ -33,19 +39,32 @@ import {
   Bell,
   Save,
   LogOut,
-  ArrowLeft
+  ArrowLeft,
+  Brain,
+  Trash2,
+  Shield,
+  Globe,
+  Snowflake
 } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { auth } from "@/firebase";
-import { observeUserProfile, updateUserProfile, uploadProfilePhoto } from "@/services/users";
+import { observeUserProfile, updateUserProfile, setUserTimeZone, uploadProfilePhoto } from "@/services/users";
 import { signOut } from "firebase/auth";
 import { applyTheme } from "@/theme";
-import { format, startOfDay, differenceInDays } from "date-fns";
+import { deviceTimeZone, isValidTimeZone, setActiveTimeZone } from "@/utils/dayKey";
 import { db } from "@/firebase";
 import { doc, onSnapshot, collection, query, where, deleteField } from "firebase/firestore";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { publishLeaderboardRow } from "@/services/users";
+import {
+  getCoachMemory,
+  forgetMemoryFact,
+  clearCoachMemory,
+  recomputeStreak,
+  getStreakFreezes,
+  setStreakFreezesEnabled,
+} from "@/integrations/chatApi";
 
 const quitReasons = [
   "Better health",
@@ -76,7 +95,11 @@ export default function Profile() {
       milestone_alerts: true,
       challenge_notifications: true,
     },
+    privacy_preferences: {
+      share_logs_with_coach: true,
+    },
     dashboard_theme: "forest",
+    timezone: "",
     profile_image_url: "",
   });
 
@@ -136,7 +159,11 @@ export default function Profile() {
             milestone_alerts: true,
             challenge_notifications: true,
           },
+        privacy_preferences: {
+          share_logs_with_coach: profile.privacy_preferences?.share_logs_with_coach !== false,
+        },
         dashboard_theme: profile.theme || "forest",
+        timezone: profile.timezone || "",
       }));
       // keep the radio in sync with what's stored
       if (profile.date_mode === "target") {
@@ -164,31 +191,6 @@ export default function Profile() {
   }, []);
 
 
-  function computeStreakBaseline({ activeDateChoice, quit_date, target_quit_date }) {
-    const today = startOfDay(new Date());
-
-    const q = quit_date ? startOfDay(new Date(quit_date)) : null;
-    const t = target_quit_date ? startOfDay(new Date(target_quit_date)) : null;
-
-    // determine "since" date
-    let since = null;
-    if (activeDateChoice === "quit" && q && q <= today) since = q;
-    if (activeDateChoice === "target" && t && t <= today) since = t;
-
-    if (!since) {
-      return { current_streak_days: 0, streak_start_date: null, last_slip_date: null };
-    }
-
-    const days = Math.max(0, differenceInDays(today, since));
-    return {
-      current_streak_days: days,
-      streak_start_date: format(since, "yyyy-MM-dd"),
-      last_slip_date: null,
-    };
-  }
-
-
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -205,19 +207,14 @@ export default function Profile() {
         cigarettes_per_pack: Number(formData.cigarettes_per_pack) || 20,
         quit_reasons: formData.quit_reasons || [],
         notification_preferences: formData.notification_preferences || {},
+        privacy_preferences: formData.privacy_preferences || {},
         theme: formData.dashboard_theme || "forest",
         profile_setup: true,               // set completed
       });
 
 
-      // Immediately compute & persist streak baseline (no daily log needed)
-      const baseline = computeStreakBaseline({
-        activeDateChoice,
-        quit_date: formData.quit_date,
-        target_quit_date: formData.target_quit_date,
-      });
-
-      await updateUserProfile(uid, baseline);
+      // Dates/mode may have moved the streak anchor: let the server recompute it
+      await recomputeStreak().catch((e) => console.warn("Streak recompute failed:", e));
       await publishLeaderboardRow(uid);
 
 
@@ -264,6 +261,16 @@ export default function Profile() {
     }));
   };
 
+  const handlePrivacyChange = (key, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      privacy_preferences: {
+        ...prev.privacy_preferences,
+        [key]: value,
+      },
+    }));
+  };
+
   const handleLogout = async () => {
     try {
       await signOut(auth);
@@ -588,6 +595,48 @@ export default function Profile() {
             </CardContent>
           </Card>
 
+          {/* Privacy */}
+          <Card className="glass border-white/20 overflow-hidden">
+            <CardHeader>
+              <CardTitle className="text-white flex items-center gap-2">
+                <Shield className="w-5 h-5" />
+                Privacy
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex items-center justify-between min-w-0">
+                <div className="min-w-0">
+                  <div className="text-white font-medium truncate">Share Daily Logs with AI Coach</div>
+                  <div className="text-gray-400 text-sm">
+                    Last 14 days of cravings, mood, stress, triggers and notes
+                  </div>
+                </div>
+                <Switch
+                  checked={formData.privacy_preferences.share_logs_with_coach}
+                  onCheckedChange={(value) => handlePrivacyChange("share_logs_with_coach", value)}
+                  className="data-[state=checked]:bg-[var(--hero-grad-first)] data-[state=checked]:border-[var(--hero-grad-first)]"
+                />
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* AI Coach memory */}
+          <CoachMemoryCard />
+
+          {/* Streak freezes (opt-in) */}
+          <StreakFreezeCard />
+
+          {/* Time zone */}
+          <TimeZoneCard
+            value={formData.timezone}
+            onChange={async (tz) => {
+              setFormData((prev) => ({ ...prev, timezone: tz }));
+              setActiveTimeZone(tz);
+              const uid = auth.currentUser?.uid;
+              if (uid) await setUserTimeZone(uid, tz);
+            }}
+          />
+
           {/* Theme Picker */}
           <Card className="soft-card rounded-3xl overflow-hidden">
             <CardHeader className="pb-3">
@@ -741,3 +790,198 @@ export default function Profile() {
     </div>
   );
 }
+
+const FACT_LABELS = {
+  trigger: "Trigger",
+  nrt: "NRT / meds",
+  quit_history: "Quit history",
+  coping: "Coping",
+  health: "Health",
+  other: "Other",
+};
+
+// Lists the facts the AI coach has learned from past chats; each can be forgotten.
+function CoachMemoryCard() {
+  const [facts, setFacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getCoachMemory()
+      .then((r) => setFacts(r.facts || []))
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const forget = async (id) => {
+    try {
+      await forgetMemoryFact(id);
+      setFacts((xs) => xs.filter((f) => f.id !== id));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const forgetAll = async () => {
+    if (!window.confirm("Forget everything your coach remembers about you?")) return;
+    try {
+      await clearCoachMemory();
+      setFacts([]);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <Card className="glass border-white/20 overflow-hidden">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <Brain className="w-5 h-5" />
+          What your coach remembers
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {loading ? (
+          <p className="text-gray-400 text-sm">Loading…</p>
+        ) : facts.length ? (
+          <>
+            {facts.map((f) => (
+              <div key={f.id} className="flex items-start justify-between gap-3 min-w-0">
+                <div className="min-w-0">
+                  <div className="text-[11px] uppercase tracking-wider text-gray-400">
+                    {FACT_LABELS[f.category] || "Other"}
+                  </div>
+                  <div className="text-white text-sm break-words">{f.text}</div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => forget(f.id)}
+                  className="p-2 rounded-full hover:bg-white/10 shrink-0"
+                  aria-label="Forget this"
+                  title="Forget this"
+                >
+                  <Trash2 className="w-4 h-4 text-red-300" />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={forgetAll}
+              className="text-xs text-red-300 hover:text-red-200 underline underline-offset-2"
+            >
+              Forget everything
+            </button>
+          </>
+        ) : (
+          <p className="text-gray-400 text-sm">
+            Nothing yet. As you chat, your coach will remember useful things like your triggers and what helps.
+          </p>
+        )}
+        {error && <p className="text-red-300 text-xs">{error}</p>}
+      </CardContent>
+    </Card>
+  );
+}
+
+/* ---------- Time zone (inline) ---------- */
+function StreakFreezeCard() {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getStreakFreezes()
+      .then(setStatus)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  const toggle = async (enabled) => {
+    setError("");
+    setStatus((s) => ({ ...s, enabled }));
+    try {
+      await setStreakFreezesEnabled(enabled);
+      setStatus(await getStreakFreezes());
+    } catch (e) {
+      setStatus((s) => ({ ...s, enabled: !enabled }));
+      setError(e.message);
+    }
+  };
+
+  const runLeft = status ? status.challenge_days - (status.challenge_run_days % status.challenge_days) : 0;
+
+  return (
+    <Card className="glass border-white/20 overflow-hidden">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center gap-2">
+          <Snowflake className="w-5 h-5" />
+          Streak freezes
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex items-center justify-between min-w-0">
+          <div className="min-w-0">
+            <div className="text-white font-medium truncate">Protect my streak after a lapse</div>
+            <div className="text-gray-400 text-sm">
+              A freeze keeps your streak going; the lapse stays in your log and insights.
+            </div>
+          </div>
+          <Switch
+            checked={!!status?.enabled}
+            onCheckedChange={(v) => status && toggle(v)}
+            className="data-[state=checked]:bg-[var(--hero-grad-first)] data-[state=checked]:border-[var(--hero-grad-first)]"
+          />
+        </div>
+        {status?.enabled && (
+          <div className="space-y-1 text-sm">
+            <div className="text-white">
+              {status.tokens} of {status.max_tokens} freeze{status.max_tokens === 1 ? "" : "s"} available
+            </div>
+            <div className="text-gray-400">
+              Earn one every {status.points_step} points ({status.points_to_next} to go) or every{" "}
+              {status.challenge_days} days in a row with a completed challenge ({runLeft} to go).
+              Use it within {status.grace_days + 1} days of a lapse from the Daily Log.
+            </div>
+          </div>
+        )}
+        {error && <p className="text-red-300 text-xs">{error}</p>}
+      </CardContent>
+    </Card>
+  );
+}
+
+function TimeZoneCard({ value, onChange }) {
+  const device = deviceTimeZone();
+  const zones = React.useMemo(() => {
+    const all = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+    return [...new Set([value, device, ...all].filter(isValidTimeZone))];
+  }, [value, device]);
+
+  return (
+    <Card className="soft-card rounded-3xl overflow-hidden">
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2">
+          <Globe className="w-5 h-5" />
+          Time Zone
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <select
+          value={value || device}
+          onChange={(e) => onChange(e.target.value)}
+          className="w-full h-10 rounded-xl border border-white/20 bg-white/10 px-3 text-sm text-white"
+        >
+          {zones.map((z) => (
+            <option key={z} value={z}>{z}</option>
+          ))}
+        </select>
+        <p className="text-xs text-white/60">
+          Your day (logs, streaks, challenges, reminders) starts at midnight here.
+        </p>
+        {value && value !== device && (
+          <button type="button" onClick={() => onChange(device)} className="text-xs text-white/80 underline">
+            Use this device’s zone ({device})
+          </button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -14,6 +14,8 @@
  * - markBadgeSeen(uid, badgeId)
  * - unlock(uid, badgeId): transactional, idempotent.
  * - evaluateAndUnlockBadges(uid): computes metrics and unlocks any newly met badges.
+ * - revokeChallengeBadges(uid): after an undone completion, removes challenge-count
+ *   badges that no longer hold and were unlocked inside the undo window.
  *
  * Data model
  * - users/{uid}/badges/{badgeId}: { unlockedAt: TS, seen: bool, seenAt?: TS }
@@ -29,15 +31,15 @@
  *
  * Notes
  * - Uses transactions and a per-session in-flight set to avoid duplicate unlocks.
- * - Streak/savings calculated from daily logs + profile; keep those up-to-date.
+ * - Streak comes from users/{uid}.current_streak_days (server/streaks.js); savings from profile.
  */
 
 import { db } from "@/firebase";
 import {
     doc, setDoc, getDoc, getDocs, collection, query, orderBy, limit,
-    serverTimestamp, where, runTransaction
+    serverTimestamp, where, runTransaction, deleteDoc
 } from "firebase/firestore";
-import { computeStreakFromQuit } from "@/services/dailyLogs";
+import { UNDO_WINDOW_MS } from "@/entities/Challenge";
 import { getUserProfile } from "@/services/users";
 import { getAuth } from "firebase/auth";
 import { notifyBadgeUnlocked } from "@/services/notifications";
@@ -69,6 +71,12 @@ export const BADGE_META = {
     streak900: { title: "900-Day Streak", src: "/badges/badge900.png", description: "Nine hundred days. Nearly a thousand—and still going strong." },
     streak1000: { title: "1000-Day Streak", src: "/badges/badge1000.png", description: "A thousand days. A legacy milestone and a powerful example." },
 
+    // Comebacks: a streak longer than every earlier one, after a relapse
+    // (count from users/{uid}.streak_records_broken, server/streaks.js)
+    comeback: { title: "New Personal Best", src: "/badges/badgeComeback.svg", description: "You slipped, came back, and beat your longest streak. That’s resilience." },
+    comeback2: { title: "3 Personal Bests", src: "/badges/badgeComeback2.svg", description: "Three times you’ve bounced back past your old record. Setbacks don’t define you." },
+    comeback3: { title: "5 Personal Bests", src: "/badges/badgeComeback3.svg", description: "Five comeback records. Every relapse became a launchpad." },
+
     // Daily log milestones
     log: { title: "Make 10 Daily Logs", src: "/badges/badgeLog.png", description: "Ten check-ins completed. Tracking is how progress compounds." },
     log2: { title: "Make 30 Daily Logs", src: "/badges/badgeLog2.png", description: "Thirty reflections—clear patterns, better decisions." },
@@ -122,6 +130,13 @@ export const BADGE_META = {
 // ---- Helpers ----------------------------------------------------------------
 const badgeDoc = (uid, badgeId) => doc(db, "users", uid, "badges", badgeId);
 
+// Challenge-count badges and their thresholds (unlock + revoke use the same table)
+const CHALLENGE_COUNT_BADGES = [
+    ["challenge30", 30],
+    ["challenge60", 60],
+    ["challenge90", 90],
+];
+
 // ---- Health stage order (so we can compare "at or beyond") ------------------
 const HEALTH_STAGE_RANK = {
     wk2_to_wk12: 4,
@@ -262,6 +277,32 @@ async function countCompletedChallenges(uid, cap = 2000) {
 }
 
 
+async function countCompletedChallengesExact(uid) {
+    const qRef = query(collection(db, "Challenge"), where("user_id", "==", uid), where("completed", "==", true));
+    const snap = await getDocs(qRef);
+    return snap.size;
+}
+
+// Undo support: an undone completion can drop the count back under a threshold.
+// Only badges unlocked within the undo window are taken back (they were earned by
+// the completion being undone); older ones stay. Returns the revoked badge ids.
+export async function revokeChallengeBadges(uid) {
+    if (!uid) return [];
+    const count = await countCompletedChallengesExact(uid);
+    const revoked = [];
+    for (const [id, threshold] of CHALLENGE_COUNT_BADGES) {
+        if (count >= threshold) continue;
+        const snap = await getDoc(badgeDoc(uid, id));
+        if (!snap.exists()) continue;
+        const unlockedAt = snap.data()?.unlockedAt?.toMillis?.() ?? 0;
+        if (Date.now() - unlockedAt >= UNDO_WINDOW_MS) continue;
+        await deleteDoc(badgeDoc(uid, id));
+        revoked.push(id);
+    }
+    return revoked;
+}
+
+
 // ---- Main evaluator ----------------------------------------------------------
 // Call this after meaningful actions and on app start.
 export async function evaluateAndUnlockBadges(uid) {
@@ -272,11 +313,9 @@ export async function evaluateAndUnlockBadges(uid) {
     // Wrap all Firestore reads once. If we get permission-denied, just stop quietly.
     try {
         const profile = await getUserProfile(uid);
-        const todayIso = new Date().toISOString().slice(0, 10);
-        const quitIso = (profile?.quit_date || "").slice(0, 10) || null;
-
-        const streak = await computeStreakFromQuit(uid, quitIso, todayIso);
-        const streakDays = Number(streak.current_streak_days || 0);
+        // Streak is server-computed (server/streaks.js); callers recompute it first.
+        const streakDays = Number(profile?.current_streak_days || 0);
+        const recordsBroken = Number(profile?.streak_records_broken || 0);
 
         const logsCount = await countDailyLogs(uid);
         const aiCount = Number(profile?.ai_messages_count || 0);
@@ -291,13 +330,7 @@ export async function evaluateAndUnlockBadges(uid) {
         let completedChallenges = 0;
         try {
             // Do this once, not inside conditions
-            const colRef = collection(db, "Challenge");
-            const qRef = query(colRef,
-                where("user_id", "==", uid),
-                where("completed", "==", true)
-            );
-            const snap = await getDocs(qRef);
-            completedChallenges = snap.size;
+            completedChallenges = await countCompletedChallengesExact(uid);
         } catch (e) {
             if (e?.code === "permission-denied") return []; // signed out; stop now
             // otherwise keep going; treat as zero
@@ -334,6 +367,11 @@ export async function evaluateAndUnlockBadges(uid) {
             ["streak900", () => streakDays >= 900],
             ["streak1000", () => streakDays >= 1000],
 
+            // Personal bests after a relapse
+            ["comeback", () => recordsBroken >= 1],
+            ["comeback2", () => recordsBroken >= 3],
+            ["comeback3", () => recordsBroken >= 5],
+
             // Daily log milestones
             ["log", () => logsCount >= 10],
             ["log2", () => logsCount >= 30],
@@ -370,9 +408,7 @@ export async function evaluateAndUnlockBadges(uid) {
             ["leader_saved_3", () => savedRank === 3],
 
             // Challenges — totals
-            ["challenge30", () => completedChallenges >= 30],
-            ["challenge60", () => completedChallenges >= 60],
-            ["challenge90", () => completedChallenges >= 90],
+            ...CHALLENGE_COUNT_BADGES.map(([id, n]) => [id, () => completedChallenges >= n]),
 
             // Health milestone badges
             ["health", () => healthRank >= HEALTH_STAGE_RANK["wk2_to_wk12"]],
@@ -0,0 +1,184 @@
+// src/services/challengeHistory.js
+/**
+ * Module: Challenge history — paging, filters and statistics
+ *
+ * Purpose
+ * - Page through a user's completed challenges (newest completion first) with an optional
+ *   completion-day range, using Firestore cursors instead of one big fixed query.
+ * - Client-side filters for category, difficulty, source_org and free-text search
+ *   (applied to loaded pages; keeps us on one user_id/completed/completed_day index).
+ * - Stats for the history header: completion rate per category, points per week and
+ *   the longest run of days with at least one completed challenge.
+ *
+ * Key exports
+ * - HISTORY_PAGE_SIZE
+ * - fetchCompletedPage(uid, { from?, to?, cursor? }) → { items, cursor, hasMore }
+ * - fetchInProgressMultiDay(uid) → open multi-day challenges
+ * - matchesHistoryFilters(challenge, filters)
+ * - loadChallengeStats(uid, today) / computeChallengeStats(challenges, today)
+ *
+ * Notes
+ * - Stats read the most recent STATS_LIMIT challenges (completed or not).
+ * - A challenge's "day" is its completion day (completedAt, in the user's time zone), falling back
+ *   to end_date / due_date for older docs without completedAt. Completing stores it as
+ *   completed_day (services/users); docs from before that get it once per user, the first
+ *   time the history loads (users/{uid}.challenge_completed_day_field).
+ */
+
+import { db } from "@/firebase";
+import { doc, collection, query, where, orderBy, limit, startAfter, getDocs, getDoc, setDoc, writeBatch } from "firebase/firestore";
+import { format, startOfWeek, subWeeks, parseISO, differenceInCalendarDays } from "date-fns";
+import { completedAtMs } from "@/entities/Challenge";
+import { dayKey, todayKey } from "@/utils/dayKey";
+
+export const HISTORY_PAGE_SIZE = 24;
+const STATS_LIMIT = 500;
+const STATS_WEEKS = 8;
+const BATCH_LIMIT = 450; // stay under Firestore's 500 writes per batch
+
+const COL = () => collection(db, "Challenge");
+
+// Stamp completed_day on completed challenges from before it was stored (once per user)
+const completedDayChecked = new Set();
+async function ensureCompletedDays(uid) {
+  if (completedDayChecked.has(uid)) return;
+  const userRef = doc(db, "users", uid);
+  if (!(await getDoc(userRef)).data()?.challenge_completed_day_field) {
+    const snap = await getDocs(query(COL(), where("user_id", "==", uid), where("completed", "==", true)));
+    const missing = snap.docs
+      .filter((d) => !d.data().completed_day)
+      .map((d) => [d.ref, completionDay(d.data())])
+      .filter(([, day]) => day);
+    for (let i = 0; i < missing.length; i += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      missing.slice(i, i + BATCH_LIMIT).forEach(([ref, day]) => batch.update(ref, { completed_day: day }));
+      await batch.commit();
+    }
+    await setDoc(userRef, { challenge_completed_day_field: true }, { merge: true });
+  }
+  completedDayChecked.add(uid);
+}
+
+export async function fetchCompletedPage(uid, { from = "", to = "", cursor = null } = {}) {
+  await ensureCompletedDays(uid);
+  const parts = [where("user_id", "==", uid), where("completed", "==", true)];
+  if (from) parts.push(where("completed_day", ">=", from));
+  if (to) parts.push(where("completed_day", "<=", to));
+  parts.push(orderBy("completed_day", "desc"));
+  if (cursor) parts.push(startAfter(cursor));
+  parts.push(limit(HISTORY_PAGE_SIZE + 1));
+
+  const snap = await getDocs(query(COL(), ...parts));
+  const docs = snap.docs.slice(0, HISTORY_PAGE_SIZE);
+  return {
+    items: docs.map((d) => ({ id: d.id, ...d.data() })),
+    cursor: docs.length ? docs[docs.length - 1] : cursor,
+    hasMore: snap.docs.length > HISTORY_PAGE_SIZE,
+  };
+}
+
+export async function fetchInProgressMultiDay(uid) {
+  const snap = await getDocs(
+    query(COL(), where("user_id", "==", uid), where("multi_day", "==", true), orderBy("created_date", "desc"), limit(50))
+  );
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((c) => !c.completed);
+}
+
+// filters: { category, difficulty, sourceOrg, search } — empty values match everything
+export function matchesHistoryFilters(ch, { category = "", difficulty = "", sourceOrg = "", search = "" } = {}) {
+  if (category && ch.category !== category) return false;
+  if (difficulty && ch.difficulty !== difficulty) return false;
+  if (sourceOrg && (ch.source_org || "") !== sourceOrg) return false;
+  const q = search.trim().toLowerCase();
+  if (q) {
+    const text = [ch.title, ch.description, ch.source_org, ch.evidence?.note].filter(Boolean).join(" ").toLowerCase();
+    if (!text.includes(q)) return false;
+  }
+  return true;
+}
+
+// yyyy-MM-dd the challenge counts for (see Notes above)
+export function completionDay(ch) {
+  const ms = completedAtMs(ch);
+  if (ms != null) return dayKey(new Date(ms));
+  return (ch.multi_day ? ch.end_date : ch.due_date) || (ch.created_date || "").slice(0, 10) || null;
+}
+
+/**
+ * Pure stats over Challenge docs as of `today` (yyyy-MM-dd):
+ * {
+ *   byCategory: [{ category, assigned, completed, rate }],   // closed or completed only
+ *   pointsPerWeek: [{ week: "yyyy-MM-dd" (Monday), points }], // last STATS_WEEKS weeks
+ *   longestRun: { days, from, to }, currentRun: days,
+ *   totalCompleted, totalPoints
+ * }
+ */
+export function computeChallengeStats(challenges = [], today = todayKey()) {
+  const cats = {};
+  const days = new Set();
+  let totalCompleted = 0;
+  let totalPoints = 0;
+
+  const weekKey = (iso) => format(startOfWeek(parseISO(iso), { weekStartsOn: 1 }), "yyyy-MM-dd");
+  const weeks = new Map();
+  for (let i = STATS_WEEKS - 1; i >= 0; i--) {
+    weeks.set(format(subWeeks(startOfWeek(parseISO(today), { weekStartsOn: 1 }), i), "yyyy-MM-dd"), 0);
+  }
+
+  for (const ch of challenges) {
+    const last = ch.multi_day ? ch.end_date : ch.due_date;
+    const open = !ch.completed && (!last || last >= today);
+    if (!open) {
+      const c = (cats[ch.category || "other"] ||= { category: ch.category || "other", assigned: 0, completed: 0 });
+      c.assigned += 1;
+      if (ch.completed) c.completed += 1;
+    }
+    if (!ch.completed) continue;
+
+    const day = completionDay(ch);
+    const pts = Number(ch.awarded_points ?? ch.points) || 0;
+    totalCompleted += 1;
+    totalPoints += pts;
+    if (day) {
+      days.add(day);
+      const wk = weekKey(day);
+      if (weeks.has(wk)) weeks.set(wk, weeks.get(wk) + pts);
+    }
+  }
+
+  // Longest run of consecutive days with ≥1 completion
+  const sorted = [...days].sort();
+  let best = { days: 0, from: null, to: null };
+  let runStart = null;
+  let prev = null;
+  for (const d of sorted) {
+    runStart = prev && differenceInCalendarDays(parseISO(d), parseISO(prev)) === 1 ? runStart : d;
+    const len = differenceInCalendarDays(parseISO(d), parseISO(runStart)) + 1;
+    if (len > best.days) best = { days: len, from: runStart, to: d };
+    prev = d;
+  }
+  // Current run ends today (or yesterday, if nothing is done yet today)
+  let currentRun = 0;
+  const lastDay = sorted[sorted.length - 1];
+  if (lastDay && differenceInCalendarDays(parseISO(today), parseISO(lastDay)) <= 1) {
+    currentRun = differenceInCalendarDays(parseISO(lastDay), parseISO(runStart)) + 1;
+  }
+
+  return {
+    byCategory: Object.values(cats)
+      .map((c) => ({ ...c, rate: c.assigned ? c.completed / c.assigned : 0 }))
+      .sort((a, b) => b.assigned - a.assigned),
+    pointsPerWeek: [...weeks.entries()].map(([week, points]) => ({ week, points })),
+    longestRun: best,
+    currentRun,
+    totalCompleted,
+    totalPoints,
+  };
+}
+
+export async function loadChallengeStats(uid, today) {
+  const snap = await getDocs(
+    query(COL(), where("user_id", "==", uid), orderBy("created_date", "desc"), limit(STATS_LIMIT))
+  );
+  return computeChallengeStats(snap.docs.map((d) => d.data() || {}), today);
+}
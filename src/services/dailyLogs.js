@@ -1,20 +1,29 @@
 // src/services/dailyLogs.js
 /**
- * Module: Daily logs (CRUD) & streak computation
+ * Module: Daily logs (CRUD) & craving events
  *
  * Purpose
  * - Store and retrieve per-day smoking data (cigs, cravings, mood, stress, notes).
  * - Keep a normalized invariant: smoke_free is true only when cigarettes_smoked === 0.
- * - Compute current streak based on quit date and most recent slip.
+ * - Streaks are computed on the server (server/streaks.js) from these docs.
  *
  * Key exports
  * - getDailyLog(uid, dateIso)
  * - upsertDailyLog(uid, dateIso, data)  // merge; normalizes fields
  * - listRecentDailyLogs(uid, count?)
- * - computeStreakFromQuit(uid, quitIso, todayIso) → { current_streak_days, streak_start_date, last_slip_date }
+ * - listDailyLogsInRange(uid, fromIso, toIso) → logs (one range query, oldest first)
+ * - listCravingEventsInRange(uid, fromIso, toIso) → events across days (collection group)
+ * - logCravingEvent(uid, dateIso, event) → event id   // + cravings_count, triggers_faced
+ * - listCravingEvents(uid, dateIso) → events (oldest first)
+ * - deleteCravingEvent(uid, dateIso, eventId)
  *
  * Data model
  * - users/{uid}/dailyLogs/{YYYY-MM-DD}: { date, cigarettes_smoked, cravings_count, mood_rating, stress_level, notes, smoke_free, createdAt, updatedAt }
+ * - users/{uid}/dailyLogs/{YYYY-MM-DD}/cravings/{id}: { uid, date, at, time "HH:mm", intensity 1–10,
+ *   trigger, location, coping, passed, source: "app" | "coach", createdAt }
+ *   (uid + date make range reads possible: collection group "cravings", index uid ASC, date ASC)
+ *   cravings_count is derived: every event write/delete moves it by ±1 in the same batch
+ *   (days logged before events existed keep their plain count).
  *
  * Expectations / rules
  * - Dates are ISO strings (YYYY-MM-DD), local-day semantics handled by caller.
@@ -24,10 +33,10 @@
 import { db } from "@/firebase";
 import {
   doc, setDoc, getDoc, serverTimestamp,
-  collection, query, where, orderBy, limit, getDocs
+  collection, query, where, orderBy, limit, getDocs,
+  writeBatch, runTransaction, increment, arrayUnion, Timestamp, collectionGroup
 } from "firebase/firestore";
-
-
+import { dateAt } from "@/utils/dayKey";
 
 export async function getDailyLog(uid, date) {
   const ref = doc(db, "users", uid, "dailyLogs", date);
@@ -59,73 +68,93 @@ export async function upsertDailyLog(uid, date, data) {
   return { ok: true };
 }
 
-export async function listRecentDailyLogs(uid, count = 3) {
-  const col = collection(db, "users", uid, "dailyLogs");
-  const q = query(col, orderBy("date", "desc"), limit(count));
-  const snap = await getDocs(q);
-  const rows = [];
-  snap.forEach((d) => rows.push({ id: d.id, ...d.data() }));
-  return rows;
+const cravingsCol = (uid, date) => collection(db, "users", uid, "dailyLogs", date, "cravings");
+
+const clampInt = (v, lo, hi) => {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : null;
+};
+const cleanTag = (v) => (typeof v === "string" && v.trim() ? v.trim().slice(0, 40) : null);
+
+// event: { time?: "HH:mm", intensity, trigger?, location?, coping?, passed? }
+export async function logCravingEvent(uid, date, event = {}) {
+  const time = /^\d{2}:\d{2}$/.test(event.time || "") ? event.time : "12:00";
+  const data = {
+    uid,
+    date,
+    at: Timestamp.fromDate(dateAt(date, time)), // in the active (profile) zone, not the device's
+    time,
+    intensity: clampInt(event.intensity, 1, 10),
+    trigger: cleanTag(event.trigger),
+    location: cleanTag(event.location),
+    coping: cleanTag(event.coping),
+    passed: typeof event.passed === "boolean" ? event.passed : null,
+    source: "app",
+    createdAt: serverTimestamp(),
+  };
+
+  const ref = doc(cravingsCol(uid, date));
+  const batch = writeBatch(db);
+  batch.set(ref, data);
+  batch.set(
+    doc(db, "users", uid, "dailyLogs", date),
+    {
+      date,
+      cravings_count: increment(1),
+      ...(data.trigger ? { triggers_faced: arrayUnion(data.trigger) } : {}),
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+  await batch.commit();
+  return ref.id;
 }
 
+export async function listCravingEvents(uid, date) {
+  const snap = await getDocs(query(cravingsCol(uid, date), orderBy("at", "asc")));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
 
-export async function computeStreakFromQuit(uid, quitIso, todayIso) {
-  if (!quitIso) {
-    return { current_streak_days: 0, streak_start_date: null, last_slip_date: null };
-  }
+// Transactional so a double tap can't decrement twice.
+export async function deleteCravingEvent(uid, date, eventId) {
+  const ref = doc(cravingsCol(uid, date), eventId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) return;
+    tx.delete(ref);
+    tx.set(
+      doc(db, "users", uid, "dailyLogs", date),
+      { cravings_count: increment(-1), updatedAt: serverTimestamp() },
+      { merge: true }
+    );
+  });
+}
 
+export async function listDailyLogsInRange(uid, fromIso, toIso) {
   const col = collection(db, "users", uid, "dailyLogs");
+  const q = query(col, where("date", ">=", fromIso), where("date", "<=", toIso), orderBy("date", "asc"));
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
 
-
-  // Most recent slip by explicit flag OR by cigs > 0
-  const qSlip = query(
-    col,
-    where("smoke_free", "==", false),
-    where("date", ">=", quitIso),
-    where("date", "<=", todayIso),
-    orderBy("date", "desc"),
-    limit(1)
+export async function listCravingEventsInRange(uid, fromIso, toIso) {
+  const q = query(
+    collectionGroup(db, "cravings"),
+    where("uid", "==", uid),
+    where("date", ">=", fromIso),
+    where("date", "<=", toIso),
+    orderBy("date", "asc")
   );
-  const qCigs = query(
-    col,
-    where("cigarettes_smoked", ">", 0),
-    where("date", ">=", quitIso),
-    where("date", "<=", todayIso),
-    orderBy("date", "desc"),
-    limit(1)
-  );
-  const [snap1, snap2] = await Promise.all([getDocs(qSlip), getDocs(qCigs)]);
-  const candidates = [];
-  if (!snap1.empty) candidates.push(snap1.docs[0].data().date);
-  if (!snap2.empty) candidates.push(snap2.docs[0].data().date);
-  candidates.sort((a, b) => (a < b ? 1 : a > b ? -1 : 0)); // ISO desc
-
-  const nextDay = (iso) => {
-    const d = new Date(iso + "T00:00:00");
-    d.setDate(d.getDate() + 1);
-    return d.toISOString().slice(0, 10);
-  };
+  const snap = await getDocs(q);
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
 
-  let startIso;
-  let lastSlipIso = candidates[0] ?? null;
-
-  if (!lastSlipIso) {
-    // No slips since quitting → streak starts at quit date
-    startIso = quitIso;
-  } else {
-    startIso = nextDay(lastSlipIso);        // day after the most recent slip
-  }
-
-  // Days difference (clamped at 0)
-  const dStart = new Date(startIso + "T00:00:00");
-  const dToday = new Date(todayIso + "T00:00:00");
-  const msPerDay = 1000 * 60 * 60 * 24;
-  const diffDays = Math.max(0, Math.floor((dToday - dStart) / msPerDay));
-
-  return {
-    current_streak_days: diffDays,
-    streak_start_date: startIso,
-    last_slip_date: lastSlipIso,
-  };
+export async function listRecentDailyLogs(uid, count = 3) {
+  const col = collection(db, "users", uid, "dailyLogs");
+  const q = query(col, orderBy("date", "desc"), limit(count));
+  const snap = await getDocs(q);
+  const rows = [];
+  snap.forEach((d) => rows.push({ id: d.id, ...d.data() }));
+  return rows;
 }
 
@@ -0,0 +1,152 @@
+// src/services/insights.js
+/**
+ * Module: Trigger & craving insights over a date range
+ *
+ * Purpose
+ * - Turn daily logs + craving events for any range into the Insights page data:
+ *   weekday × hour heatmap of cravings and slips, most frequent triggers,
+ *   correlations between stress, mood, cravings and cigarettes, and which coping
+ *   strategies were used on smoke-free days.
+ *
+ * Key exports
+ * - loadInsights(uid, fromIso, toIso) → computeInsights(...) result
+ *   (one range query for logs + one collection-group query for craving events)
+ * - computeInsights({ logs, events }) — pure; safe to unit-check offline
+ * - pearson(xs, ys), describeCorrelation(r)
+ * - WEEKDAYS (Mon-first labels used by the heatmap rows)
+ *
+ * Notes
+ * - A "slip" event is a craving logged with passed === false; slip days are days
+ *   with cigarettes_smoked > 0 (those have no time of day).
+ * - Events without a time (e.g. logged by the coach) count in `untimed`.
+ */
+
+import { listDailyLogsInRange, listCravingEventsInRange } from "@/services/dailyLogs";
+
+export const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MIN_PAIRS = 3; // below this a correlation is noise
+
+// Mon = 0 … Sun = 6 for a yyyy-MM-dd (local calendar day)
+const weekdayIndex = (iso) => (new Date(`${iso}T12:00:00`).getDay() + 6) % 7;
+const num = (v) => (v === null || v === undefined || v === "" ? null : Number.isFinite(Number(v)) ? Number(v) : null);
+const smokedOn = (log) => Number(log?.cigarettes_smoked || 0) > 0 || log?.smoke_free === false;
+
+/** Pearson r, or null when there are too few pairs or no variance. */
+export function pearson(xs, ys) {
+  const pairs = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => x != null && y != null);
+  const n = pairs.length;
+  if (n < MIN_PAIRS) return null;
+  const mx = pairs.reduce((a, [x]) => a + x, 0) / n;
+  const my = pairs.reduce((a, [, y]) => a + y, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (const [x, y] of pairs) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  if (!sxx || !syy) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+export function describeCorrelation(r) {
+  if (r == null) return "not enough data";
+  const a = Math.abs(r);
+  const strength = a >= 0.6 ? "strong" : a >= 0.3 ? "moderate" : a >= 0.1 ? "weak" : "no clear";
+  if (strength === "no clear") return "no clear link";
+  return `${strength} ${r > 0 ? "positive" : "negative"}`;
+}
+
+export function computeInsights({ logs = [], events = [] } = {}) {
+  const logByDate = new Map(logs.map((l) => [l.date, l]));
+
+  // Heatmap: [weekday][hour]
+  const cravings = WEEKDAYS.map(() => Array(24).fill(0));
+  const slips = WEEKDAYS.map(() => Array(24).fill(0));
+  let untimed = 0;
+  for (const e of events) {
+    const hour = /^\d{2}:\d{2}$/.test(e.time || "") ? Number(e.time.slice(0, 2)) : null;
+    if (!e.date || hour == null || hour > 23) {
+      untimed += 1;
+      continue;
+    }
+    const w = weekdayIndex(e.date);
+    cravings[w][hour] += 1;
+    if (e.passed === false) slips[w][hour] += 1;
+  }
+  const slipDaysByWeekday = Array(7).fill(0);
+  logs.forEach((l) => smokedOn(l) && (slipDaysByWeekday[weekdayIndex(l.date)] += 1));
+
+  // Triggers: days each trigger was faced, and how many of those days had a slip
+  const trig = new Map();
+  for (const l of logs) {
+    for (const t of new Set(l.triggers_faced || [])) {
+      const row = trig.get(t) || { trigger: t, days: 0, slipDays: 0 };
+      row.days += 1;
+      if (smokedOn(l)) row.slipDays += 1;
+      trig.set(t, row);
+    }
+  }
+  const topTriggers = [...trig.values()].sort((a, b) => b.days - a.days || b.slipDays - a.slipDays).slice(0, 8);
+
+  // Correlations across logged days
+  const col = (k) => logs.map((l) => num(l[k]));
+  const PAIRS = [
+    ["stress_level", "cigarettes_smoked", "Stress ↔ cigarettes"],
+    ["mood_rating", "cigarettes_smoked", "Mood ↔ cigarettes"],
+    ["stress_level", "mood_rating", "Stress ↔ mood"],
+    ["stress_level", "cravings_count", "Stress ↔ cravings"],
+  ];
+  const correlations = PAIRS.map(([a, b, label]) => {
+    const r = pearson(col(a), col(b));
+    const n = logs.filter((l) => num(l[a]) != null && num(l[b]) != null).length;
+    return { a, b, label, r: r == null ? null : Math.round(r * 100) / 100, n, description: describeCorrelation(r) };
+  });
+
+  // Coping strategies: per strategy, how often the craving passed and how many of
+  // the days it was used ended smoke-free (only days that have a log count).
+  const cop = new Map();
+  for (const e of events) {
+    if (!e.coping) continue;
+    const row = cop.get(e.coping) || { coping: e.coping, uses: 0, passed: 0, days: new Set() };
+    row.uses += 1;
+    if (e.passed === true) row.passed += 1;
+    row.days.add(e.date);
+    cop.set(e.coping, row);
+  }
+  const coping = [...cop.values()]
+    .map((row) => {
+      const logged = [...row.days].filter((d) => logByDate.has(d));
+      const smokeFree = logged.filter((d) => !smokedOn(logByDate.get(d))).length;
+      return {
+        coping: row.coping,
+        uses: row.uses,
+        passedRate: row.uses ? row.passed / row.uses : 0,
+        days: logged.length,
+        smokeFreeDays: smokeFree,
+        smokeFreeRate: logged.length ? smokeFree / logged.length : null,
+      };
+    })
+    .sort((a, b) => (b.smokeFreeRate ?? -1) - (a.smokeFreeRate ?? -1) || b.uses - a.uses);
+
+  return {
+    loggedDays: logs.length,
+    slipDays: logs.filter(smokedOn).length,
+    events: events.length,
+    heatmap: { cravings, slips, untimed, slipDaysByWeekday },
+    topTriggers,
+    correlations,
+    coping,
+  };
+}
+
+export async function loadInsights(uid, fromIso, toIso) {
+  const [logs, events] = await Promise.all([
+    listDailyLogsInRange(uid, fromIso, toIso),
+    listCravingEventsInRange(uid, fromIso, toIso).catch((e) => {
+      // Missing collection-group index or rules: still show the log-based parts
+      console.warn("Craving events unavailable for insights:", e);
+      return [];
+    }),
+  ]);
+  return computeInsights({ logs, events });
+}
@@ -0,0 +1,177 @@
+// src/services/tagLibrary.js
+/**
+ * Module: Personal trigger & coping-strategy lists
+ *
+ * Purpose
+ * - Let each user keep their own trigger and coping-strategy lists (add, rename, hide,
+ *   merge) instead of the fixed app lists, and keep old logs consistent with them.
+ *
+ * Key exports
+ * - DEFAULT_TRIGGERS, DEFAULT_COPING_STRATEGIES, TAG_LABEL_MAX
+ * - resolveTagLibrary(profile) → { triggers, coping, aliases }   // defaults when unset
+ * - visibleTags(list) → labels for pickers (hidden ones left out)
+ * - loadTagLibrary(uid)
+ * - addTag / setTagHidden (uid, kind, …) → library
+ * - renameTag / mergeTags (uid, kind, from, to) → { library, migrated, label }
+ *
+ * Data model
+ * - users/{uid}.tag_library: {
+ *     triggers: [{ label, hidden, builtin }], coping: [{ label, hidden, builtin }],
+ *     aliases: { triggers: { "old label (lowercase)": "Label" }, coping: { … } }
+ *   }
+ *   kind is "triggers" | "coping".
+ *
+ * Notes
+ * - Rename and merge rewrite history first (dailyLogs.triggers_faced, craving event
+ *   trigger / coping), then the list; a failed migration leaves the list untouched so
+ *   it can simply be retried.
+ * - Aliases let the coach map an old label it still uses to the current one.
+ */
+
+import { db } from "@/firebase";
+import { doc, collection, query, where, getDocs, writeBatch, runTransaction, serverTimestamp } from "firebase/firestore";
+import { listCravingEventsInRange } from "@/services/dailyLogs";
+import { getUserProfile } from "@/services/users";
+
+export const DEFAULT_TRIGGERS = [
+  "Stress", "Social pressure", "After meals", "With coffee",
+  "Alcohol", "Boredom", "Work break", "Driving", "Phone calls", "Habit",
+];
+
+export const DEFAULT_COPING_STRATEGIES = [
+  "Deep breathing", "Went for a walk", "Drank water", "Chewed gum",
+  "Called someone", "Distracted myself", "Waited it out", "Nicotine replacement",
+];
+
+export const TAG_LABEL_MAX = 40;
+const DEFAULTS = { triggers: DEFAULT_TRIGGERS, coping: DEFAULT_COPING_STRATEGIES };
+const BATCH_LIMIT = 450; // stay under Firestore's 500 writes per batch
+
+const cleanLabel = (v) => String(v || "").trim().replace(/\s+/g, " ").slice(0, TAG_LABEL_MAX);
+const sameLabel = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+function defaultList(kind) {
+  return DEFAULTS[kind].map((label) => ({ label, hidden: false, builtin: true }));
+}
+
+export function resolveTagLibrary(profile) {
+  const saved = profile?.tag_library || {};
+  const list = (kind) =>
+    Array.isArray(saved[kind]) && saved[kind].length
+      ? saved[kind].map((t) => ({ label: t.label, hidden: !!t.hidden, builtin: !!t.builtin }))
+      : defaultList(kind);
+  return {
+    triggers: list("triggers"),
+    coping: list("coping"),
+    aliases: { triggers: { ...saved.aliases?.triggers }, coping: { ...saved.aliases?.coping } },
+  };
+}
+
+export const visibleTags = (list = []) => list.filter((t) => !t.hidden).map((t) => t.label);
+
+export async function loadTagLibrary(uid) {
+  return resolveTagLibrary(await getUserProfile(uid));
+}
+
+function assertKind(kind) {
+  if (!DEFAULTS[kind]) throw new Error(`Unknown tag kind: ${kind}`);
+}
+
+// Read-modify-write of users/{uid}.tag_library; mutate(lib) edits the resolved copy.
+async function updateLibrary(uid, mutate) {
+  const userRef = doc(db, "users", uid);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(userRef);
+    const lib = resolveTagLibrary(snap.data());
+    mutate(lib);
+    tx.set(userRef, { tag_library: lib, updatedAt: serverTimestamp() }, { merge: true });
+    return lib;
+  });
+}
+
+export async function addTag(uid, kind, label) {
+  assertKind(kind);
+  const clean = cleanLabel(label);
+  if (!clean) throw new Error("TAG_EMPTY");
+  return updateLibrary(uid, (lib) => {
+    const existing = lib[kind].find((t) => sameLabel(t.label, clean));
+    if (existing && !existing.hidden) throw new Error("TAG_EXISTS");
+    if (existing) existing.hidden = false; // re-adding a hidden one just shows it again
+    else lib[kind].push({ label: clean, hidden: false, builtin: false });
+  });
+}
+
+export async function setTagHidden(uid, kind, label, hidden) {
+  assertKind(kind);
+  return updateLibrary(uid, (lib) => {
+    const tag = lib[kind].find((t) => t.label === label);
+    if (tag) tag.hidden = !!hidden;
+  });
+}
+
+// Rewrite `from` → `to` in old daily logs (triggers only) and craving events.
+async function migrateHistory(uid, kind, from, to) {
+  const writes = [];
+
+  if (kind === "triggers") {
+    const logs = await getDocs(
+      query(collection(db, "users", uid, "dailyLogs"), where("triggers_faced", "array-contains", from))
+    );
+    logs.forEach((d) => {
+      const next = [...new Set((d.data().triggers_faced || []).map((t) => (t === from ? to : t)))];
+      writes.push([d.ref, { triggers_faced: next }]);
+    });
+  }
+
+  const field = kind === "triggers" ? "trigger" : "coping";
+  const events = await listCravingEventsInRange(uid, "0000-01-01", "9999-12-31");
+  events
+    .filter((e) => e[field] === from && e.date)
+    .forEach((e) => writes.push([doc(db, "users", uid, "dailyLogs", e.date, "cravings", e.id), { [field]: to }]));
+
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_LIMIT).forEach(([ref, patch]) => batch.update(ref, patch));
+    await batch.commit();
+  }
+  return writes.length;
+}
+
+function addAlias(lib, kind, from, to) {
+  const aliases = lib.aliases[kind];
+  Object.keys(aliases).forEach((k) => {
+    if (aliases[k] === from) aliases[k] = to;
+  });
+  aliases[from.toLowerCase()] = to;
+  delete aliases[to.toLowerCase()];
+}
+
+export async function renameTag(uid, kind, from, to) {
+  assertKind(kind);
+  const clean = cleanLabel(to);
+  if (!clean) throw new Error("TAG_EMPTY");
+  if (clean === from) return { library: await loadTagLibrary(uid), migrated: 0, label: clean };
+  const current = await loadTagLibrary(uid);
+  if (current[kind].some((t) => t.label !== from && sameLabel(t.label, clean))) throw new Error("TAG_EXISTS"); // use merge
+
+  const migrated = await migrateHistory(uid, kind, from, clean);
+  const library = await updateLibrary(uid, (lib) => {
+    const tag = lib[kind].find((t) => t.label === from);
+    if (tag) tag.label = clean;
+    addAlias(lib, kind, from, clean);
+  });
+  return { library, migrated, label: clean };
+}
+
+export async function mergeTags(uid, kind, from, into) {
+  assertKind(kind);
+  if (!from || !into || from === into) throw new Error("TAG_MERGE_SAME");
+
+  const migrated = await migrateHistory(uid, kind, from, into);
+  const library = await updateLibrary(uid, (lib) => {
+    lib[kind] = lib[kind].filter((t) => t.label !== from);
+    if (!lib[kind].some((t) => t.label === into)) lib[kind].push({ label: into, hidden: false, builtin: false });
+    addAlias(lib, kind, from, into);
+  });
+  return { library, migrated, label: into };
+}
@@ -13,27 +13,41 @@
  * - normalizeUsername(name)
  * - claimUsernameAndCreateProfile(uid, { email, username })
  * - getUserProfile(uid), observeUserProfile(uid, cb), updateUserProfile(uid, data)
+ * - setUserTimeZone(uid, tz) → stores the zone; the server reschedules reminders and streak rollover
  * - ensureUserDocument(uid, defaults?)
- * - completeChallengeAndAwardPoints(challengeId, points) → new total_points
+ * - completeChallengeAndAwardPoints(challengeId, points, evidence?) → new total_points
+ * - checkInChallenge(challengeId, date, evidence?) → { progress, target, completed, total_points }
+ * - undoChallengeCompletion(challengeId) → { points, total_points } (within UNDO_WINDOW_MS)
+ * - uploadChallengeEvidencePhoto(uid, challengeId, file) → { url, path }
  * - publishLeaderboardRow(uid)
  *
  * Data model
  * - users/{uid}: profile fields + totals, createdAt/updatedAt timestamps.
  * - usernames/{username}: { uid, createdAt } for uniqueness claims.
- * - Challenge/{id}: per-user challenges (completed/awarded flags).
+ * - Challenge/{id}: per-user challenges (completed/awarded flags,
+ *   optional evidence { note, photoURL, photoPath, createdAt } added on completion;
+ *   completed_day = the user's day it was completed, for the history's date filter).
  * - leaderboard/{uid}: { name, avatar, points, streak, saved, lifeYears, updatedAt }.
  *
  * Notes
  * - Username claim uses a transaction and candidate fallbacks.
- * - Challenge completion is idempotent (checks completed/awarded).
+ * - Challenge completion is idempotent (checks completed/awarded) and records
+ *   awarded_points so an undo (within 24h) reverses exactly what was added.
+ * - Multi-day challenges complete through check-ins; points are awarded on the final one.
+ * - Evidence photos live at users/{uid}/challenges/{challengeId}/evidence; size and type
+ *   are checked before upload (EVIDENCE_PHOTO_MAX_BYTES, images only).
+ *   The photo is uploaded first; a completion that fails or doesn't store it deletes it.
  * - Leaderboard publishing is best-effort and can be called after profile changes.
  */
 
 import { db } from "@/firebase";
-import { doc, runTransaction, serverTimestamp, increment } from "firebase/firestore";
+import { doc, runTransaction, serverTimestamp, increment, deleteField } from "firebase/firestore";
 import { storage, auth } from "@/firebase";
 import { getDoc, onSnapshot, setDoc } from "firebase/firestore";
-import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+import { ref, uploadBytes, getDownloadURL, deleteObject } from "firebase/storage";
+import { isCheckinDay, canUndoCompletion } from "@/entities/Challenge";
+import { revokePointsTokens } from "@/utils/streakFreeze";
+import { todayKey } from "@/utils/dayKey";
 
 export const normalizeUsername = (name = "") =>
   name
@@ -148,6 +162,15 @@ export async function updateUserProfile(uid, data) {
   );
 }
 
+// "now" = due on the server's next reminder tick / streak run, which reschedule in the new zone
+export async function setUserTimeZone(uid, tz) {
+  await updateUserProfile(uid, {
+    timezone: tz,
+    reminders_next_at: serverTimestamp(),
+    streak_next_rollover_at: serverTimestamp(),
+  });
+}
+
 export async function ensureUserDocument(uid, defaults = {}) {
   const ref = doc(db, "users", uid);
   const snap = await getDoc(ref);
@@ -180,14 +203,45 @@ export async function uploadProfilePhoto(uid, file) {
   return url;
 }
 
+export const EVIDENCE_NOTE_MAX = 500;
+export const EVIDENCE_PHOTO_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+
+export async function uploadChallengeEvidencePhoto(uid, challengeId, file) {
+  if (!file) throw new Error("No file");
+  if (!String(file.type || "").startsWith("image/")) throw new Error("PHOTO_NOT_IMAGE");
+  if (file.size > EVIDENCE_PHOTO_MAX_BYTES) throw new Error("PHOTO_TOO_LARGE");
+  const path = `users/${uid}/challenges/${challengeId}/evidence`;
+  const sref = ref(storage, path);
+  await uploadBytes(sref, file, { contentType: file.type });
+  const url = await getDownloadURL(sref);
+  return { url, path };
+}
+
+// The photo is uploaded before the completion transaction; if that transaction fails or
+// doesn't store the evidence, remove the upload so nothing is left unreferenced (unless
+// the doc already points at the same object).
+async function discardEvidencePhoto(evidence, keptPath = null) {
+  const path = evidence?.photoPath;
+  if (!path || path === keptPath) return;
+  await deleteObject(ref(storage, path)).catch((e) => console.warn("Evidence photo cleanup failed:", e));
+}
+
+// Evidence fields for the Challenge doc, or null when there's nothing to store.
+function evidenceFields(evidence) {
+  const note = String(evidence?.note || "").trim().slice(0, EVIDENCE_NOTE_MAX);
+  const photoURL = evidence?.photoURL || null;
+  if (!note && !photoURL) return null;
+  return { note: note || null, photoURL, photoPath: evidence?.photoPath || null, createdAt: serverTimestamp() };
+}
+
 /**
  * Atomically:
  *  - verifies the challenge belongs to current user and isn't completed
- *  - sets `completed: true` (+ completedAt)
+ *  - sets `completed: true` (+ completedAt / completed_day, + evidence { note, photoURL } when given)
  *  - increments /users/{uid}.total_points by `points`
  * Returns the new total_points.
  */
-export async function completeChallengeAndAwardPoints(challengeId, points) {
+export async function completeChallengeAndAwardPoints(challengeId, points, evidence = null) {
   const uid = auth.currentUser?.uid;
   if (!uid) throw new Error("Not signed in");
 
@@ -195,40 +249,171 @@ export async function completeChallengeAndAwardPoints(challengeId, points) {
   const uRef = doc(db, "users", uid);
   const lbRef = doc(db, "leaderboard", uid);
 
-  await runTransaction(db, async (tx) => {
-    const cSnap = await tx.get(cRef);
-    if (!cSnap.exists()) throw new Error("Challenge not found");
-    const c = cSnap.data();
+  let stored;
+  try {
+    stored = await runTransaction(db, async (tx) => {
+      const cSnap = await tx.get(cRef);
+      if (!cSnap.exists()) throw new Error("Challenge not found");
+      const c = cSnap.data();
+
+      if (c.user_id !== uid) throw new Error("Forbidden");
+
+      // Idempotency guard
+      if (c.completed === true || c.awarded === true) return { kept: c.evidence?.photoPath || null };
+      if (c.multi_day) throw new Error("Multi-day challenges complete through daily check-ins");
+
+      // Use server-authoritative points if present; fall back to param
+      const pts = Number(c.points ?? points) || 0;
+
+      // Mark completed + awarded once
+      const ev = evidenceFields(evidence);
+      tx.update(cRef, {
+        completed: true,
+        awarded: true,
+        awarded_points: pts,
+        completedAt: serverTimestamp(),
+        completed_day: todayKey(),
+        ...(ev ? { evidence: ev } : {}),
+      });
+
+      // Safely bump totals (works even if user doc doesn’t exist yet)
+      tx.set(uRef, { total_points: increment(pts) }, { merge: true });
+
+      // Keep leaderboard points in sync
+      tx.set(
+        lbRef,
+        { userId: uid, points: increment(pts), updatedAt: serverTimestamp() },
+        { merge: true }
+      );
+      return { kept: ev?.photoPath || null };
+    });
+  } catch (e) {
+    await discardEvidencePhoto(evidence);
+    throw e;
+  }
+  await discardEvidencePhoto(evidence, stored.kept);
 
-    if (c.user_id !== uid) throw new Error("Forbidden");
+  // Return fresh total
+  const uSnap = await getDoc(doc(db, "users", uid));
+  return uSnap.data()?.total_points ?? 0;
+}
+
+// Check in one day of a multi-day challenge. The last required check-in completes it
+// and awards its points (same totals/leaderboard updates as a one-shot completion);
+// `evidence` is only stored with that final check-in.
+export async function checkInChallenge(challengeId, date, evidence = null) {
+  const uid = auth.currentUser?.uid;
+  if (!uid) throw new Error("Not signed in");
+
+  const cRef = doc(db, "Challenge", challengeId);
+  const uRef = doc(db, "users", uid);
+  const lbRef = doc(db, "leaderboard", uid);
 
-    // Idempotency guard
-    if (c.completed === true || c.awarded === true) return;
+  let result;
+  try {
+    result = await runTransaction(db, async (tx) => {
+      const cSnap = await tx.get(cRef);
+      if (!cSnap.exists()) throw new Error("Challenge not found");
+      const c = cSnap.data();
+      if (c.user_id !== uid) throw new Error("Forbidden");
+      if (!c.multi_day) throw new Error("Not a multi-day challenge");
+
+      const target = Number(c.target) || 1;
+      const checkins = c.checkins || {};
+      if (c.completed || checkins[date]) {
+        return { progress: Object.keys(checkins).length, target, completed: !!c.completed, kept: c.evidence?.photoPath || null };
+      }
+      if (!isCheckinDay(c, date)) throw new Error("Not a check-in day for this challenge");
+
+      const progress = Object.keys(checkins).length + 1;
+      const completed = progress >= target;
+      const ev = completed ? evidenceFields(evidence) : null;
+      tx.update(cRef, {
+        [`checkins.${date}`]: true,
+        progress,
+        ...(completed
+          ? { completed: true, awarded: true, awarded_points: Number(c.points) || 0, completed_checkin: date, completedAt: serverTimestamp(), completed_day: todayKey() }
+          : {}),
+        ...(ev ? { evidence: ev } : {}),
+      });
+
+      if (completed) {
+        const pts = Number(c.points) || 0;
+        tx.set(uRef, { total_points: increment(pts) }, { merge: true });
+        tx.set(lbRef, { userId: uid, points: increment(pts), updatedAt: serverTimestamp() }, { merge: true });
+      }
+      return { progress, target, completed, kept: ev?.photoPath || null };
+    });
+  } catch (e) {
+    await discardEvidencePhoto(evidence);
+    throw e;
+  }
+  const { kept, ...outcome } = result;
+  await discardEvidencePhoto(evidence, kept);
 
-    // Use server-authoritative points if present; fall back to param
-    const pts = Number(c.points ?? points) || 0;
+  const uSnap = await getDoc(uRef);
+  return { ...outcome, total_points: uSnap.data()?.total_points ?? 0 };
+}
 
-    // Mark completed + awarded once
-    tx.update(cRef, { completed: true, awarded: true, completedAt: serverTimestamp() });
+/**
+ * Undo an accidental completion within UNDO_WINDOW_MS. Atomically:
+ *  - clears completed/awarded/completedAt/completed_day and the evidence
+ *  - multi-day: also drops the final check-in that completed it
+ *  - decrements total_points and leaderboard points by what was awarded
+ *  - takes back streak-freeze tokens those points had earned (revokePointsTokens)
+ * The evidence photo is removed afterwards (best-effort). Callers should run
+ * revokeChallengeBadges() (services/badges) since count badges may no longer hold.
+ */
+export async function undoChallengeCompletion(challengeId) {
+  const uid = auth.currentUser?.uid;
+  if (!uid) throw new Error("Not signed in");
 
-    // Safely bump totals (works even if user doc doesn’t exist yet)
-    tx.set(uRef, { total_points: increment(pts) }, { merge: true });
+  const cRef = doc(db, "Challenge", challengeId);
+  const uRef = doc(db, "users", uid);
+  const lbRef = doc(db, "leaderboard", uid);
 
-    // Keep leaderboard points in sync
-    tx.set(
-      lbRef,
-      { userId: uid, points: increment(pts), updatedAt: serverTimestamp() },
-      { merge: true }
-    );
+  const { points, photoPath } = await runTransaction(db, async (tx) => {
+    const cSnap = await tx.get(cRef);
+    if (!cSnap.exists()) throw new Error("Challenge not found");
+    const uSnap = await tx.get(uRef);
+    const c = cSnap.data();
+    if (c.user_id !== uid) throw new Error("Forbidden");
+    if (!c.completed) return { points: 0, photoPath: null }; // already undone
+    if (!canUndoCompletion(c)) throw new Error("UNDO_WINDOW_PASSED");
+
+    const pts = c.awarded ? Number(c.awarded_points ?? c.points) || 0 : 0;
+    const patch = {
+      completed: false,
+      awarded: false,
+      awarded_points: deleteField(),
+      completedAt: deleteField(),
+      completed_day: deleteField(),
+      evidence: deleteField(),
+    };
+    if (c.multi_day && c.completed_checkin) {
+      patch[`checkins.${c.completed_checkin}`] = deleteField();
+      patch.progress = Math.max(0, (Number(c.progress) || 1) - 1);
+      patch.completed_checkin = deleteField();
+    }
+    tx.update(cRef, patch);
+
+    if (pts) {
+      const profile = uSnap.data() || {};
+      const tokens = revokePointsTokens(profile, (Number(profile.total_points) || 0) - pts);
+      tx.set(uRef, { total_points: increment(-pts), ...tokens }, { merge: true });
+      tx.set(lbRef, { userId: uid, points: increment(-pts), updatedAt: serverTimestamp() }, { merge: true });
+    }
+    return { points: pts, photoPath: c.evidence?.photoPath || null };
   });
 
-  // Return fresh total
-  const uSnap = await getDoc(doc(db, "users", uid));
-  return uSnap.data()?.total_points ?? 0;
+  if (photoPath) {
+    await deleteObject(ref(storage, photoPath)).catch((e) => console.warn("Evidence photo cleanup failed:", e));
+  }
+  const uSnap = await getDoc(uRef);
+  return { points, total_points: uSnap.data()?.total_points ?? 0 };
 }
 
 
-
 // helpers
 const safeNum = (v, f = 0) => Number.isFinite(Number(v)) ? Number(v) : f;
 
@@ -259,17 +444,8 @@ export async function publishLeaderboardRow(uid) {
   const points =
     Number(u.total_points ?? u.totalPoints ?? u?.totals?.totalPoints ?? 0) || 0;
 
-  // streak (prefer stored, fallback from quit_date)
-  const today = new Date();
-  let streak = typeof u.current_streak_days === "number" ? u.current_streak_days : 0;
-  if (!streak && u.quit_date) {
-    const qd = new Date(u.quit_date);
-    if (!isNaN(qd) && qd <= today) {
-      const d1 = new Date(qd.getFullYear(), qd.getMonth(), qd.getDate());
-      const d2 = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      streak = Math.max(0, Math.round((d2 - d1) / (1000 * 60 * 60 * 24)));
-    }
-  }
+  // streak: stored by the server (server/streaks.js)
+  const streak = typeof u.current_streak_days === "number" ? u.current_streak_days : 0;
 
   // saved € and life years
   const cpd = Number(u.cigarettes_per_day_before) || 0;
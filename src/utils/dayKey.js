@@ -0,0 +1,121 @@
+// src/utils/dayKey.js
+/**
+ * Module: Calendar day keys ("yyyy-MM-dd") in the user's time zone
+ *
+ * Every daily doc (dailyLogs/{day}, challengeDays/{day}, due_date, check-ins, streaks,
+ * badges, push reminders) is keyed by the user's calendar day. Compute those keys here
+ * only — never with toISOString() (UTC) or the device clock's zone by accident.
+ *
+ * dayKey(date?, tz?)         → "yyyy-MM-dd" of `date` (default now) in `tz`
+ * todayKey(tz?)              → dayKey(new Date(), tz)
+ * addDaysToKey(key, n)       → key shifted by n calendar days (zone-free)
+ * daysBetweenKeys(a, b)      → whole days from a to b (b - a)
+ * weekdayOfKey(key)          → 0 = Sunday … 6 = Saturday
+ * isDayKey(key)              → true for a real calendar day ("2025-02-31" is not)
+ * minutesOfDay(date?, tz?)   → minutes since local midnight in `tz` (for reminders)
+ * timeKey(date?, tz?)        → "HH:mm" in `tz`
+ * dateAt(key, time, tz?)     → the Date when it is `time` ("HH:mm") on day `key` in `tz`
+ * deviceTimeZone(), isValidTimeZone(tz)
+ * setActiveTimeZone(tz) / getActiveTimeZone() — client default for `tz`; the layout sets
+ *   it from users/{uid}.timezone. The server always passes the user's zone explicitly.
+ *
+ * Pure, no dependencies: also imported by the server (server/challenges.js, push.js, …).
+ */
+
+const FALLBACK_TZ = "UTC";
+
+export function isValidTimeZone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function deviceTimeZone() {
+  const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimeZone(tz) ? tz : FALLBACK_TZ;
+}
+
+let activeTz = deviceTimeZone();
+
+export function setActiveTimeZone(tz) {
+  activeTz = isValidTimeZone(tz) ? tz : deviceTimeZone();
+}
+
+export const getActiveTimeZone = () => activeTz;
+
+// Cached formatters: Intl.DateTimeFormat construction is the slow part
+const formatters = new Map();
+function partsIn(date, tz) {
+  const zone = isValidTimeZone(tz) ? tz : FALLBACK_TZ;
+  if (!formatters.has(zone)) {
+    formatters.set(
+      zone,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone: zone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  const out = {};
+  for (const p of formatters.get(zone).formatToParts(date)) out[p.type] = p.value;
+  return out;
+}
+
+export function dayKey(date = new Date(), tz = activeTz) {
+  const p = partsIn(date, tz);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+export const todayKey = (tz = activeTz) => dayKey(new Date(), tz);
+
+export function minutesOfDay(date = new Date(), tz = activeTz) {
+  const p = partsIn(date, tz);
+  return Number(p.hour) * 60 + Number(p.minute);
+}
+
+export function timeKey(date = new Date(), tz = activeTz) {
+  const p = partsIn(date, tz);
+  return `${p.hour}:${p.minute}`;
+}
+
+// Wall-clock time in `tz` read back as if it were UTC, in ms
+function wallMs(date, tz) {
+  const p = partsIn(date, tz);
+  return Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute));
+}
+
+export function dateAt(key, time = "00:00", tz = activeTz) {
+  const wanted = Date.parse(`${key}T${time}:00Z`);
+  // Shift by the zone offset, then once more in case that crossed a DST change
+  let at = wanted - (wallMs(new Date(wanted), tz) - wanted);
+  at += wanted - wallMs(new Date(at), tz);
+  return new Date(at);
+}
+
+// Day arithmetic on the key itself (UTC noon), so DST and the zone can't shift it
+const keyToUtc = (key) => Date.parse(`${key}T12:00:00Z`);
+
+export function addDaysToKey(key, n) {
+  return new Date(keyToUtc(key) + n * 86400000).toISOString().slice(0, 10);
+}
+
+export function daysBetweenKeys(a, b) {
+  return Math.round((keyToUtc(b) - keyToUtc(a)) / 86400000);
+}
+
+export const weekdayOfKey = (key) => new Date(keyToUtc(key)).getUTCDay();
+
+export function isDayKey(key) {
+  if (typeof key !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(key)) return false;
+  const t = keyToUtc(key);
+  return Number.isFinite(t) && new Date(t).toISOString().slice(0, 10) === key;
+}
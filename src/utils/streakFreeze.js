@@ -0,0 +1,31 @@
+// src/utils/streakFreeze.js
+/**
+ * Module: Streak-freeze earning rules shared by the app and the server
+ *
+ * FREEZE_MAX_TOKENS, FREEZE_POINTS_STEP, FREEZE_CHALLENGE_DAYS, FREEZE_GRACE_DAYS
+ * revokePointsTokens(profile, newTotal) → users/{uid} patch, or null when nothing changes
+ *
+ * Tokens are awarded by server/streakFreezes.js against a high-water mark
+ * (streak_freeze_points_mark = levels of FREEZE_POINTS_STEP already paid out). When points
+ * are taken back (undoing a completion) the mark drops with them and so do the tokens those
+ * levels paid, so re-earning the same points can't mint a second token.
+ *
+ * Pure, no dependencies: also imported by the server.
+ */
+
+export const FREEZE_MAX_TOKENS = 3;
+export const FREEZE_POINTS_STEP = 500;
+export const FREEZE_CHALLENGE_DAYS = 7;
+export const FREEZE_GRACE_DAYS = 2; // today and the two days before
+
+export function revokePointsTokens(profile, newTotal) {
+  if (!profile?.streak_freeze_enabled) return null;
+  const mark = Number(profile.streak_freeze_points_mark);
+  if (!Number.isFinite(mark)) return null;
+  const level = Math.floor(Math.max(0, Number(newTotal) || 0) / FREEZE_POINTS_STEP);
+  if (level >= mark) return null;
+  return {
+    streak_freeze_points_mark: level,
+    streak_freeze_tokens: Math.max(0, (Number(profile.streak_freeze_tokens) || 0) - (mark - level)),
+  };
+}